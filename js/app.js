@@ -4,30 +4,120 @@
 console.log('App.js loading...');
 
 import { TaskStorage } from './storage.js';
-import { TaskModel } from './taskModel.js';
+import { TaskModel, DEFAULT_LIST_ID, TASK_STATUSES } from './taskModel.js';
+import { DateUtils } from './dateUtils.js';
+import { Recurrence } from './recurrence.js';
+import { QuickAddParser } from './quickAddParser.js';
+import { CommandHistory } from './commandHistory.js';
+import { TaskTransfer } from './taskTransfer.js';
+import { TabSync } from './tabSync.js';
+import { TaskQuery } from './taskQuery.js';
+import { ViewModel, BUILT_IN_VIEWS } from './views.js';
+import { ListModel, ALL_LISTS_ID } from './lists.js';
+import { ReminderService } from './reminders.js';
+import { BoardModel, BOARD_COLUMNS, NO_TAG_COLUMN } from './board.js';
+import { CalendarModel, CALENDAR_MODES } from './calendar.js';
+import { StatsModel } from './stats.js';
+import { CommandModel } from './commands.js';
+import { ArchiveModel } from './archive.js';
+import { TimeTracking } from './timeTracking.js';
+import { AppUpdates } from './appUpdates.js';
+import { Encryption, DEFAULT_AUTO_LOCK_MINUTES } from './encryption.js';
+import { ServerSync } from './serverSync.js';
 import { UIRenderer } from './uiRenderer.js';
 
+const LAYOUT_VIEWS = ['list', 'board', 'calendar'];
+
+// How often to check for idle time, and to tell other tabs the user is still active
+const AUTO_LOCK_CHECK_MS = 30 * 1000;
+const ACTIVITY_SHARE_MS = 60 * 1000;
+
 class TodoApp {
     constructor() {
         this.storage = new TaskStorage();
         this.ui = new UIRenderer();
+        this.history = new CommandHistory();
         this.tasks = [];
+        this.savedSnapshot = [];
+        // Completed tasks moved out of this.tasks, most recently archived first
+        this.archive = [];
+        this.savedArchive = [];
+        this.archiveChanged = false;
+        this.archiveSettings = ArchiveModel.normalizeSettings(null);
+        this.archiveQuery = '';
+        this.recentlyDeleted = new Set();
+        this.tabSync = new TabSync(this.handleRemoteChange.bind(this));
+        this.reminders = new ReminderService(this.handleReminder.bind(this));
+        this.updates = new AppUpdates(() => this.ui.showUpdateBanner());
+        this.serverSync = new ServerSync(this.storage, {
+            getData: () => ({ tasks: this.tasks, archive: this.archive }),
+            onChanges: this.handleServerChanges.bind(this),
+            onStatus: status => this.ui.renderSyncStatus(status)
+        });
         this.currentFilter = '';
+        this.currentQuery = '';
         this.currentSort = 'created';
+        this.currentGroupBy = '';
+        this.views = [];
+        this.lists = [ListModel.createDefaultList()];
+        this.activeListId = ALL_LISTS_ID;
+        this.selectionMode = false;
+        this.selectedIds = new Set();
         this.isDarkMode = this.loadDarkModePreference();
+        this.layout = this.loadLayoutPreference();
+        // Any day in the month or week the calendar shows
+        this.calendarDate = DateUtils.today();
+        // Interval ticking the running timer's clock, set only while one runs
+        this.timerTick = null;
+        // Last input in this or another tab, for locking encrypted tasks when idle
+        this.lastActivity = Date.now();
+        this.lastActivityShared = 0;
         
-        this.init();
+        this.init().catch((error) => {
+            console.error('Error initializing TodoApp:', error);
+            this.ui.showNotification('Could not load your tasks: ' + error.message, 'error');
+        });
     }
 
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         console.log('Initializing TodoApp...');
         
-        // Load tasks from storage
-        this.tasks = this.storage.loadTasks();
+        // Open storage (running any migrations) and load tasks
+        try {
+            await this.storage.init();
+        } catch (error) {
+            console.error('Could not open storage:', error);
+            this.ui.showStorageError(error.message);
+            return;
+        }
+        if (this.storage.isLocked()) {
+            await this.waitForUnlock();
+        }
+        const tasks = await this.storage.loadTasks();
+        this.tasks = TaskModel.ensurePositions(tasks.map(task => TaskModel.normalizeTask(task)));
+        this.savedSnapshot = this.snapshotTasks();
         console.log('Loaded tasks:', this.tasks);
+
+        // A save interrupted between the archive and the task list can leave a task in both; keep the active one
+        const activeIds = new Set(this.tasks.map(task => task.id));
+        const archive = await this.storage.loadArchive();
+        this.archive = archive.filter(task => !activeIds.has(task.id)).map(task => ArchiveModel.normalizeEntry(task));
+        this.savedArchive = this.snapshotArchive();
+        this.archiveSettings = ArchiveModel.normalizeSettings(await this.storage.loadArchiveSettings());
+        
+        // Restore lists, saved views and the last used view settings
+        this.lists = ListModel.normalizeLists(await this.storage.loadLists());
+        this.views = await this.storage.loadViews();
+        const viewState = await this.storage.loadViewState();
+        if (viewState) {
+            this.applyViewState(viewState);
+            if (ListModel.getList(this.lists, viewState.listId)) {
+                this.activeListId = viewState.listId;
+            }
+        }
         
         // Set up dark mode
         this.ui.toggleDarkMode(this.isDarkMode);
@@ -36,26 +126,107 @@ class TodoApp {
         // Add event listeners
         this.ui.addEventListeners({
             onTaskSubmit: this.handleTaskSubmit.bind(this),
+            onTaskInput: this.handleTaskInput.bind(this),
             onTaskToggle: this.handleTaskToggle.bind(this),
+            onTimerToggle: this.handleTimerToggle.bind(this),
             onTaskEdit: this.handleTaskEdit.bind(this),
             onTaskDelete: this.handleTaskDelete.bind(this),
+            onTaskReorder: this.handleTaskReorder.bind(this),
+            onLayoutChange: this.handleLayoutChange.bind(this),
+            onBoardColumnsChange: this.handleBoardColumnsChange.bind(this),
+            onCardMove: this.handleCardMove.bind(this),
+            onCalendarModeChange: this.handleCalendarModeChange.bind(this),
+            onCalendarNavigate: this.handleCalendarNavigate.bind(this),
+            onCalendarDayOpen: this.handleCalendarDayOpen.bind(this),
+            onCalendarMove: this.handleCalendarMove.bind(this),
+            onCalendarQuickAdd: this.handleCalendarQuickAdd.bind(this),
+            onSelectModeToggle: this.handleSelectModeToggle.bind(this),
+            onTaskSelect: this.handleTaskSelect.bind(this),
+            onSelectAll: this.handleSelectAll.bind(this),
+            onSelectionClear: this.handleSelectionClear.bind(this),
+            onBatchAction: this.handleBatchAction.bind(this),
+            onSubtaskAdd: this.handleSubtaskAdd.bind(this),
+            onSubtaskToggle: this.handleSubtaskToggle.bind(this),
+            onSubtaskMove: this.handleSubtaskMove.bind(this),
+            onSubtaskDelete: this.handleSubtaskDelete.bind(this),
             onEditSubmit: this.handleEditSubmit.bind(this),
+            onSearchInput: this.handleSearchInput.bind(this),
             onTagFilterChange: this.handleTagFilterChange.bind(this),
             onSortChange: this.handleSortChange.bind(this),
-            onClearCompleted: this.handleClearCompleted.bind(this),
-            onDarkModeToggle: this.handleDarkModeToggle.bind(this)
+            onGroupByChange: this.handleGroupByChange.bind(this),
+            onViewSelect: this.handleViewSelect.bind(this),
+            onViewSave: this.handleViewSave.bind(this),
+            onViewDelete: this.handleViewDelete.bind(this),
+            onListSelect: this.handleListSelect.bind(this),
+            onListNew: this.handleListNew.bind(this),
+            onListEdit: this.handleListEdit.bind(this),
+            onListSubmit: this.handleListSubmit.bind(this),
+            onListDelete: this.handleListDelete.bind(this),
+            onArchiveCompleted: this.handleArchiveCompleted.bind(this),
+            onArchiveOpen: this.handleArchiveOpen.bind(this),
+            onArchiveSearch: this.handleArchiveSearch.bind(this),
+            onArchiveRestore: this.handleArchiveRestore.bind(this),
+            onArchiveDelete: this.handleArchiveDelete.bind(this),
+            onArchiveSettingsChange: this.handleArchiveSettingsChange.bind(this),
+            onDarkModeToggle: this.handleDarkModeToggle.bind(this),
+            onStatsOpen: this.handleStatsOpen.bind(this),
+            onSyncOpen: this.handleSyncOpen.bind(this),
+            onSyncConnect: this.handleSyncConnect.bind(this),
+            onSyncNow: this.handleSyncNow.bind(this),
+            onSyncDisconnect: this.handleSyncDisconnect.bind(this),
+            onEncryptionOpen: this.handleEncryptionOpen.bind(this),
+            onEncryptionEnable: this.handleEncryptionEnable.bind(this),
+            onPassphraseChange: this.handlePassphraseChange.bind(this),
+            onEncryptionDisable: this.handleEncryptionDisable.bind(this),
+            onAutoLockChange: this.handleAutoLockChange.bind(this),
+            onLockNow: this.handleLock.bind(this),
+            onCommandSearch: this.handleCommandSearch.bind(this),
+            onCommandRun: this.handleCommandRun.bind(this),
+            onUpdateApply: this.handleUpdateApply.bind(this),
+            onExport: this.handleExport.bind(this),
+            onImport: this.handleImport.bind(this),
+            onUndo: this.handleUndo.bind(this),
+            onRedo: this.handleRedo.bind(this)
         });
         console.log('Event listeners added');
 
         // Initial render
         this.render();
+        this.renderEncryption();
+        this.startAutoLock();
+        this.serverSync.start();
+
+        // Tidy away tasks completed long ago and drop expired archived ones
+        this.runArchiveMaintenance();
         
         // Set default due date to today
-        const today = new Date().toISOString().split('T')[0];
-        this.ui.elements.dueDateInput.value = today;
+        this.ui.elements.dueDateInput.value = DateUtils.toDateString(DateUtils.today());
+
+        // Cache the app for offline use and watch for new versions
+        this.updates.register();
         console.log('App initialized successfully');
     }
 
+    /**
+     * Show the lock screen until the right passphrase is entered
+     * @returns {Promise} Resolves once the storage is unlocked
+     */
+    waitForUnlock() {
+        return new Promise((resolve) => {
+            this.ui.showLockScreen(async (passphrase) => {
+                try {
+                    await this.storage.unlock(passphrase);
+                } catch (error) {
+                    console.error('Error unlocking tasks:', error);
+                    this.ui.showUnlockError(error.reason === 'wrong-passphrase' ? 'Wrong passphrase. Try again.' : error.message);
+                    return;
+                }
+                this.ui.hideLockScreen();
+                resolve();
+            });
+        });
+    }
+
     /**
      * Handle task form submission
      * @param {Event} e - Form submit event
@@ -64,45 +235,212 @@ class TodoApp {
         console.log('Task submit handler called');
         e.preventDefault();
         
-        const formData = this.ui.getFormData();
+        const formData = this.getQuickAddData(this.ui.getFormData());
         console.log('Form data:', formData);
-        
-        const validation = TaskModel.validateTask(formData);
+
+        if (this.addTask(formData)) {
+            this.ui.clearTaskForm();
+        }
+    }
+
+    /**
+     * Validate and add a task at the top of the current list
+     * @param {Object} formData - Task data from getQuickAddData
+     * @returns {boolean} True if the task was added
+     */
+    addTask(formData) {
+        const validation = TaskModel.validateTask({ ...formData, tags: TaskModel.parseTags(formData.tags) });
         console.log('Validation result:', validation);
         
         if (!validation.isValid) {
             this.ui.showNotification(validation.errors.join(', '), 'error');
-            return;
+            return false;
         }
 
         const newTask = TaskModel.createTask(
             formData.text,
             formData.dueDate,
-            formData.tags
+            formData.tags,
+            {
+                dueTime: formData.dueTime,
+                priority: formData.priority,
+                recurrence: formData.recurrence,
+                position: TaskModel.getTopPosition(this.tasks),
+                listId: this.getTargetListId()
+            }
         );
         console.log('Created new task:', newTask);
 
         this.tasks.unshift(newTask);
-        this.saveAndRender();
-        this.ui.clearTaskForm();
-        this.ui.showNotification('Task added successfully!');
+        this.saveAndRender('Add task');
+        this.ui.showNotification('Task added successfully!', 'success', this.getUndoAction());
+        return true;
+    }
+
+    /**
+     * Handle typing in the task input by refreshing the quick-add preview
+     */
+    handleTaskInput() {
+        const parsed = QuickAddParser.parse(this.ui.elements.taskInput.value);
+        this.ui.renderQuickAddPreview(parsed);
+    }
+
+    /**
+     * Combine the add form fields with anything parsed from the task text
+     * @param {Object} formData - { text, dueDate, priority, tags } as entered
+     * @returns {Object} Task data
+     */
+    getQuickAddData(formData) {
+        const parsed = QuickAddParser.parse(formData.text);
+        const list = ListModel.getList(this.lists, this.getTargetListId());
+        const tags = TaskModel.parseTags(`${formData.tags} ${parsed.tags.join(' ')} ${list ? list.tags.join(' ') : ''}`);
+
+        return {
+            text: parsed.text,
+            dueDate: parsed.dueDate || formData.dueDate,
+            dueTime: parsed.dueTime,
+            tags: tags.join(' '),
+            priority: parsed.priority || formData.priority,
+            recurrence: parsed.recurrence
+        };
     }
 
     /**
      * Handle task completion toggle
      * @param {string} taskId - Task ID
      * @param {boolean} completed - Completion status
+     * @param {boolean} force - Complete it even if it is waiting on open tasks (optional)
      */
-    handleTaskToggle(taskId, completed) {
+    handleTaskToggle(taskId, completed, force = false) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
-            task.completed = completed;
-            task.priority = TaskModel.calculatePriority(task.dueDate);
-            this.saveAndRender();
+            if (completed && !force && this.warnIfBlocked(task, () => this.handleTaskToggle(taskId, true, true))) {
+                return;
+            }
+
+            const nextTask = this.setTaskCompleted(task, completed);
+            this.saveAndRender(completed ? 'Complete task' : 'Reopen task');
             
-            const message = completed ? 'Task completed!' : 'Task marked as pending';
-            this.ui.showNotification(message);
+            let message = completed ? 'Task completed!' : 'Task marked as pending';
+            if (nextTask) {
+                message += ` Next one due ${TaskModel.formatDate(nextTask.dueDate)}`;
+            }
+            this.ui.showNotification(message, 'success', this.getUndoAction());
+        }
+    }
+
+    /**
+     * Handle starting or stopping a task's timer
+     * Starting one stops any other, so only one task is timed at a time.
+     * @param {string|null} taskId - Task ID, or null for the task being timed
+     */
+    handleTimerToggle(taskId = null) {
+        const task = taskId ? this.tasks.find(t => t.id === taskId) : TimeTracking.findRunning(this.tasks);
+        if (!task) return;
+
+        if (task.timerStartedAt) {
+            const entry = TimeTracking.stop(task);
+            task.updatedAt = new Date().toISOString();
+            this.saveAndRender('Stop timer');
+            this.ui.showNotification(
+                entry ? `Logged ${TimeTracking.formatDuration(entry.duration)} on "${task.text}"` : 'Timer stopped',
+                'success',
+                this.getUndoAction()
+            );
+            return;
+        }
+
+        if (task.completed) {
+            this.ui.showNotification('Reopen the task to time it', 'warning');
+            return;
+        }
+
+        const now = new Date();
+        const previous = TimeTracking.start(this.tasks, task, now);
+        task.updatedAt = now.toISOString();
+        if (previous) previous.updatedAt = now.toISOString();
+        this.saveAndRender('Start timer');
+
+        let message = `Timing "${task.text}"`;
+        if (previous) {
+            message += ` (stopped "${previous.text}")`;
+        }
+        this.ui.showNotification(message, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Get the open tasks a task is waiting on
+     * @param {Object} task - Task object
+     * @returns {Array} Blocking tasks
+     */
+    getOpenBlockers(task) {
+        return TaskModel.getBlockers(this.tasks).get(task.id) || [];
+    }
+
+    /**
+     * Hold back completing a blocked task, offering to complete it anyway
+     * @param {Object} task - Task about to be completed
+     * @param {Function} completeAnyway - Completes it regardless
+     * @returns {boolean} True if the task is blocked and was left open
+     */
+    warnIfBlocked(task, completeAnyway) {
+        const blockers = this.getOpenBlockers(task);
+        if (blockers.length === 0) return false;
+
+        // Put back the checkbox or card the user just moved
+        this.render();
+        const names = blockers.slice(0, 2).map(blocker => `"${blocker.text}"`).join(' and ');
+        const more = blockers.length > 2 ? ` and ${blockers.length - 2} more` : '';
+        this.ui.showNotification(`"${task.text}" is waiting on ${names}${more}`, 'warning', {
+            label: 'Complete anyway',
+            onClick: completeAnyway
+        });
+        return true;
+    }
+
+    /**
+     * Mark a task done or not done without saving
+     * @param {Object} task - Task object
+     * @param {boolean} completed - Completion status
+     * @returns {Object|null} The next occurrence, if completing a recurring task created one
+     */
+    setTaskCompleted(task, completed) {
+        if (completed) {
+            TimeTracking.stop(task);
+        }
+        task.completed = completed;
+        task.completedAt = completed ? new Date().toISOString() : null;
+        task.status = completed ? 'done' : 'todo';
+        task.urgency = TaskModel.calculateUrgency(task.dueDate, task.dueTime);
+
+        // Spawn the next occurrence once per completed recurring task
+        if (completed && task.recurrence && !task.nextOccurrenceId) {
+            const nextTask = TaskModel.createNextOccurrence(task);
+            if (nextTask) {
+                task.nextOccurrenceId = nextTask.id;
+                this.tasks.unshift(nextTask);
+                return nextTask;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Move a task to a workflow status without saving
+     * @param {Object} task - Task object
+     * @param {string} status - 'todo', 'in-progress' or 'done'
+     * @returns {Object|null} The next occurrence, if completing a recurring task created one
+     */
+    setTaskStatus(task, status) {
+        if (status === 'done') {
+            return task.completed ? null : this.setTaskCompleted(task, true);
         }
+
+        if (task.completed) {
+            this.setTaskCompleted(task, false);
+        }
+        task.status = status;
+        return null;
     }
 
     /**
@@ -112,8 +450,331 @@ class TodoApp {
     handleTaskEdit(taskId) {
         const task = this.tasks.find(t => t.id === taskId);
         if (task) {
-            this.ui.showEditModal(task);
+            // Open tasks can become blockers; done ones already chosen stay listed
+            const blockerChoices = this.tasks.filter(t => t.id !== taskId && (!t.completed || task.blockedBy.includes(t.id)));
+            this.ui.showEditModal(task, this.lists, blockerChoices);
+        }
+    }
+
+    /**
+     * Handle moving a task by drag and drop or Alt+Up/Down
+     * @param {string} taskId - Task ID
+     * @param {string} targetId - ID of the task to place it next to
+     * @param {boolean} placeAfter - Place it below the target instead of above
+     */
+    handleTaskReorder(taskId, targetId, placeAfter) {
+        if (this.currentSort !== 'manual') {
+            this.ui.showNotification('Switch "Sort by" to Manual to reorder tasks', 'warning');
+            return;
+        }
+
+        if (TaskModel.reorderTask(this.tasks, taskId, targetId, placeAfter)) {
+            this.saveAndRender('Reorder tasks');
+            this.ui.focusTask(taskId);
+        }
+    }
+
+    /**
+     * Handle switching between the list, the board and the calendar
+     * @param {string} view - 'list', 'board' or 'calendar'
+     */
+    handleLayoutChange(view) {
+        if (view === this.layout.view) return;
+
+        this.layout.view = LAYOUT_VIEWS.includes(view) ? view : 'list';
+        this.selectionMode = false;
+        this.selectedIds.clear();
+        this.saveLayoutPreference();
+        this.render();
+    }
+
+    /**
+     * Handle choosing what the board columns are based on
+     * @param {string} columns - 'status', 'tag' or 'list'
+     */
+    handleBoardColumnsChange(columns) {
+        this.layout.columns = BOARD_COLUMNS.includes(columns) ? columns : 'status';
+        this.saveLayoutPreference();
+        this.render();
+    }
+
+    /**
+     * Handle dropping a board card on another column
+     * @param {string} taskId - Task ID
+     * @param {string} fromColumnId - Column the card came from
+     * @param {string} toColumnId - Column the card was dropped on
+     * @param {boolean} force - Move a blocked task to Done anyway (optional)
+     */
+    handleCardMove(taskId, fromColumnId, toColumnId, force = false) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || fromColumnId === toColumnId) return;
+
+        const columnsBy = this.layout.columns;
+        let nextTask = null;
+        let columnName;
+
+        if (columnsBy === 'status') {
+            if (!TASK_STATUSES.includes(toColumnId)) return;
+            if (toColumnId === 'done' && !task.completed && !force &&
+                this.warnIfBlocked(task, () => this.handleCardMove(taskId, fromColumnId, toColumnId, true))) {
+                return;
+            }
+            nextTask = this.setTaskStatus(task, toColumnId);
+            columnName = TaskModel.STATUS_LABELS[toColumnId];
+        } else {
+            const list = ListModel.getList(this.lists, toColumnId);
+            if (columnsBy === 'list' && !list) return;
+
+            const errors = BoardModel.moveTask(task, columnsBy, fromColumnId, toColumnId);
+            if (errors.length > 0) {
+                this.ui.showNotification(errors.join(', '), 'error');
+                return;
+            }
+            columnName = columnsBy === 'list' ? list.name : toColumnId === NO_TAG_COLUMN ? 'No tag' : toColumnId;
+        }
+
+        this.saveAndRender('Move task');
+        this.ui.focusTask(taskId);
+
+        let message = `Moved to ${columnName}`;
+        if (nextTask) {
+            message += `. Next one due ${TaskModel.formatDate(nextTask.dueDate)}`;
+        }
+        this.ui.showNotification(message, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle switching the calendar between a month and a week
+     * @param {string} mode - 'month' or 'week'
+     */
+    handleCalendarModeChange(mode) {
+        this.layout.calendar = CALENDAR_MODES.includes(mode) ? mode : 'month';
+        this.saveLayoutPreference();
+        this.render();
+    }
+
+    /**
+     * Handle the calendar's previous, today and next buttons
+     * @param {number} steps - Months or weeks to move; 0 goes back to today
+     */
+    handleCalendarNavigate(steps) {
+        this.calendarDate = steps === 0
+            ? DateUtils.today()
+            : CalendarModel.shift(this.calendarDate, this.layout.calendar, steps);
+        this.render();
+    }
+
+    /**
+     * Handle "+N more" on a crowded day by showing its week, where every task fits
+     * @param {string} date - Day (YYYY-MM-DD)
+     */
+    handleCalendarDayOpen(date) {
+        this.calendarDate = DateUtils.parseLocalDate(date) || this.calendarDate;
+        this.handleCalendarModeChange('week');
+    }
+
+    /**
+     * Handle dropping a task on another calendar day
+     * @param {string} taskId - Task ID
+     * @param {string} date - New due date (YYYY-MM-DD)
+     */
+    handleCalendarMove(taskId, date) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task || task.dueDate === date) return;
+
+        const errors = CalendarModel.reschedule(task, date);
+        if (errors.length > 0) {
+            this.ui.showNotification(errors.join(', '), 'error');
+            return;
+        }
+
+        // Follow the task when the keyboard moves it out of the month or week shown
+        const { start, end } = CalendarModel.getRange(this.layout.calendar, this.calendarDate);
+        const newDate = DateUtils.parseLocalDate(date);
+        if (newDate < start || newDate > end) {
+            this.calendarDate = newDate;
+        }
+
+        this.saveAndRender('Reschedule task');
+        this.ui.focusTask(taskId);
+        this.ui.showNotification(`Moved to ${TaskModel.formatDate(date)}`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle the quick-add form of a calendar day
+     * @param {string} date - Day (YYYY-MM-DD)
+     * @param {string} text - Task text, which may include tags, a time or a priority
+     */
+    handleCalendarQuickAdd(date, text) {
+        this.addTask(this.getQuickAddData({ text, dueDate: date, priority: 4, tags: '' }));
+    }
+
+    /**
+     * Handle turning checkbox selection on or off
+     */
+    handleSelectModeToggle() {
+        this.selectionMode = !this.selectionMode;
+        this.selectedIds.clear();
+        this.render();
+    }
+
+    /**
+     * Handle selecting or deselecting tasks (several at once for a Shift-click range)
+     * @param {Array} taskIds - Task IDs
+     * @param {boolean} selected - Whether to select or deselect them
+     */
+    handleTaskSelect(taskIds, selected) {
+        this.selectionMode = true;
+        taskIds.forEach(taskId => {
+            if (selected) {
+                this.selectedIds.add(taskId);
+            } else {
+                this.selectedIds.delete(taskId);
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * Handle Ctrl+A: select every visible task, or deselect them if all are selected
+     */
+    handleSelectAll() {
+        if (this.layout.view !== 'list') return;
+
+        const visibleIds = this.getFilteredTasks().map(t => t.id);
+        if (visibleIds.length === 0) return;
+
+        const allSelected = visibleIds.every(id => this.selectedIds.has(id));
+        this.selectionMode = true;
+        this.selectedIds = new Set(allSelected ? [] : visibleIds);
+        this.render();
+    }
+
+    /**
+     * Handle leaving selection mode
+     */
+    handleSelectionClear() {
+        if (!this.selectionMode) return;
+
+        this.selectionMode = false;
+        this.selectedIds.clear();
+        this.render();
+    }
+
+    /**
+     * Handle an action from the batch bar, applied to every selected task in one save
+     * @param {string} action - complete, reopen, delete, addTags, removeTags or setDueDate
+     * @param {string} value - Tags or due date for the actions that take one
+     */
+    handleBatchAction(action, value = '') {
+        const selected = this.tasks.filter(t => this.selectedIds.has(t.id));
+        if (selected.length === 0) {
+            this.ui.showNotification('No tasks selected', 'warning');
+            return;
+        }
+
+        const countTasks = (count) => `${count} task${count !== 1 ? 's' : ''}`;
+        let label;
+        let summary;
+
+        switch (action) {
+            case 'complete':
+            case 'reopen': {
+                const completed = action === 'complete';
+                let changed = selected.filter(t => t.completed !== completed);
+                let skipped = 0;
+
+                // Tasks waiting on ones outside the batch stay open (and so do tasks waiting on those)
+                if (completed) {
+                    const blockers = TaskModel.getBlockers(this.tasks);
+                    let blocked;
+                    do {
+                        const ids = new Set(changed.map(t => t.id));
+                        blocked = changed.filter(t => (blockers.get(t.id) || []).some(blocker => !ids.has(blocker.id)));
+                        changed = changed.filter(t => !blocked.includes(t));
+                        skipped += blocked.length;
+                    } while (blocked.length > 0);
+                }
+                const nextTasks = changed.map(t => this.setTaskCompleted(t, completed)).filter(Boolean);
+
+                label = `${completed ? 'Complete' : 'Reopen'} ${countTasks(changed.length)}`;
+                summary = `${countTasks(changed.length)} ${completed ? 'completed' : 'marked as pending'}`;
+                if (nextTasks.length > 0) {
+                    summary += `, ${nextTasks.length} next occurrence${nextTasks.length !== 1 ? 's' : ''} added`;
+                }
+                if (skipped > 0) {
+                    summary += ` (${countTasks(skipped)} skipped: still blocked)`;
+                }
+                break;
+            }
+            case 'delete':
+                this.tasks = this.tasks.filter(t => !this.selectedIds.has(t.id));
+                this.selectedIds.clear();
+                label = `Delete ${countTasks(selected.length)}`;
+                summary = `${countTasks(selected.length)} deleted`;
+                break;
+            case 'addTags':
+            case 'removeTags': {
+                // The # is optional here since the field only takes tags
+                const tags = TaskModel.parseTags(value.split(/\s+/).map(tag => tag && !tag.startsWith('#') ? `#${tag}` : tag).join(' '));
+                if (tags.length === 0) {
+                    this.ui.showNotification('Enter a tag such as #work', 'error');
+                    return;
+                }
+
+                let changed = 0;
+                let skipped = 0;
+                selected.forEach(task => {
+                    const newTags = action === 'addTags'
+                        ? [...new Set([...task.tags, ...tags])]
+                        : task.tags.filter(tag => !tags.includes(tag));
+                    if (newTags.length === task.tags.length) return;
+                    if (newTags.length > 10) {
+                        skipped++;
+                        return;
+                    }
+                    task.tags = newTags;
+                    changed++;
+                });
+
+                const tagText = tags.join(' ');
+                label = `${action === 'addTags' ? 'Tag' : 'Untag'} ${countTasks(changed)}`;
+                summary = action === 'addTags'
+                    ? `Added ${tagText} to ${countTasks(changed)}`
+                    : `Removed ${tagText} from ${countTasks(changed)}`;
+                if (skipped > 0) {
+                    summary += ` (${countTasks(skipped)} skipped: maximum 10 tags)`;
+                }
+                break;
+            }
+            case 'setDueDate': {
+                if (value && !DateUtils.parseLocalDate(value)) {
+                    this.ui.showNotification('Invalid due date', 'error');
+                    return;
+                }
+
+                selected.forEach(task => {
+                    task.dueDate = value;
+                    // A time or reminders make no sense without a date
+                    if (!value) {
+                        task.dueTime = '';
+                        task.reminders = [];
+                    }
+                    task.urgency = TaskModel.calculateUrgency(task.dueDate, task.dueTime);
+                });
+
+                label = `Reschedule ${countTasks(selected.length)}`;
+                summary = value
+                    ? `${countTasks(selected.length)} due ${TaskModel.formatDate(value)}`
+                    : `Due date cleared on ${countTasks(selected.length)}`;
+                break;
+            }
+            default:
+                return;
         }
+
+        this.saveAndRender(label);
+        this.ui.showNotification(summary, 'success', this.getUndoAction());
     }
 
     /**
@@ -121,13 +782,94 @@ class TodoApp {
      * @param {string} taskId - Task ID
      */
     handleTaskDelete(taskId) {
-        if (confirm('Are you sure you want to delete this task?')) {
-            this.tasks = this.tasks.filter(t => t.id !== taskId);
-            this.saveAndRender();
-            this.ui.showNotification('Task deleted successfully!');
+        if (!this.tasks.some(t => t.id === taskId)) return;
+
+        this.tasks = this.tasks.filter(t => t.id !== taskId);
+        this.saveAndRender('Delete task');
+        this.ui.showNotification('Task deleted', 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle adding a subtask
+     * @param {string} taskId - Parent task ID
+     * @param {string} text - Subtask text
+     */
+    handleSubtaskAdd(taskId, text) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const validation = TaskModel.validateTask({ text });
+        if (!validation.isValid) {
+            this.ui.showNotification(validation.errors.join(', '), 'error');
+            return;
+        }
+
+        task.subtasks.push(TaskModel.createSubtask(text));
+        // A new open subtask means the parent is no longer done
+        if (task.completed) {
+            this.setTaskCompleted(task, false);
+        }
+        this.saveAndRender('Add subtask');
+        this.ui.focusSubtaskInput(taskId);
+    }
+
+    /**
+     * Handle subtask completion toggle
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @param {boolean} completed - Completion status
+     */
+    handleSubtaskToggle(taskId, subtaskId, completed) {
+        const task = this.tasks.find(t => t.id === taskId);
+        const subtask = task && task.subtasks.find(s => s.id === subtaskId);
+        if (!subtask) return;
+
+        subtask.completed = completed;
+        const progress = TaskModel.getSubtaskProgress(task);
+
+        // Keep the parent in step with its checklist, unless it is still waiting on other tasks
+        if (progress.done === progress.total && !task.completed && this.getOpenBlockers(task).length === 0) {
+            this.handleTaskToggle(taskId, true);
+        } else if (!completed && task.completed) {
+            this.handleTaskToggle(taskId, false);
+        } else {
+            this.saveAndRender(completed ? 'Complete subtask' : 'Reopen subtask');
         }
     }
 
+    /**
+     * Handle moving a subtask up or down
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    handleSubtaskMove(taskId, subtaskId, direction) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        const index = task.subtasks.findIndex(s => s.id === subtaskId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= task.subtasks.length) return;
+
+        const [subtask] = task.subtasks.splice(index, 1);
+        task.subtasks.splice(target, 0, subtask);
+        this.saveAndRender('Reorder subtasks');
+    }
+
+    /**
+     * Handle subtask deletion
+     * @param {string} taskId - Parent task ID
+     * @param {string} subtaskId - Subtask ID
+     */
+    handleSubtaskDelete(taskId, subtaskId) {
+        const task = this.tasks.find(t => t.id === taskId);
+        if (!task) return;
+
+        task.subtasks = task.subtasks.filter(s => s.id !== subtaskId);
+        this.saveAndRender('Delete subtask');
+        this.ui.showNotification('Subtask deleted', 'success', this.getUndoAction());
+    }
+
     /**
      * Handle edit form submission
      * @param {Event} e - Form submit event
@@ -140,11 +882,12 @@ class TodoApp {
         
         if (!task) {
             this.ui.hideEditModal();
+            this.ui.showNotification('This task was deleted in another tab', 'warning');
             return;
         }
 
         const formData = this.ui.getEditFormData();
-        const validation = TaskModel.validateTask(formData);
+        const validation = TaskModel.validateTask({ ...formData, id: task.id, tags: TaskModel.parseTags(formData.tags) }, this.tasks);
         
         if (!validation.isValid) {
             this.ui.showNotification(validation.errors.join(', '), 'error');
@@ -153,13 +896,55 @@ class TodoApp {
 
         // Update task
         task.text = formData.text.trim();
+        task.notes = formData.notes.trim();
         task.dueDate = formData.dueDate;
+        task.dueTime = formData.dueDate ? formData.dueTime : '';
         task.tags = TaskModel.parseTags(formData.tags);
-        task.priority = TaskModel.calculatePriority(formData.dueDate);
+        task.priority = TaskModel.normalizePriority(formData.priority);
+        task.urgency = TaskModel.calculateUrgency(task.dueDate, task.dueTime);
+        task.reminders = formData.dueDate ? TaskModel.normalizeReminders(formData.reminders) : [];
+        if (ListModel.getList(this.lists, formData.listId)) {
+            task.listId = formData.listId;
+        }
+        task.recurrence = formData.recurrence ? Recurrence.normalize({
+            ...formData.recurrence,
+            occurrence: task.recurrence ? task.recurrence.occurrence : 1
+        }, formData.dueDate) : null;
+        task.blockedBy = formData.blockedBy;
+        task.estimate = TimeTracking.parseDuration(formData.estimate);
+        if (formData.logTime.trim()) {
+            TimeTracking.addEntry(task, TimeTracking.parseDuration(formData.logTime));
+        }
+        // Choosing Done in the form is deliberate, so a blocked task is completed with a warning
+        const blockers = formData.status === 'done' && !task.completed ? this.getOpenBlockers(task) : [];
+        const nextTask = TASK_STATUSES.includes(formData.status) ? this.setTaskStatus(task, formData.status) : null;
 
-        this.saveAndRender();
+        // Ask while we still have the user's click; reminders fall back to in-app messages if refused
+        if (task.reminders.length > 0) {
+            ReminderService.requestPermission();
+        }
+
+        this.saveAndRender('Edit task');
         this.ui.hideEditModal();
-        this.ui.showNotification('Task updated successfully!');
+
+        let message = 'Task updated successfully!';
+        if (nextTask) {
+            message += ` Next one due ${TaskModel.formatDate(nextTask.dueDate)}`;
+        }
+        if (blockers.length > 0) {
+            message += ` It was still waiting on ${blockers.map(blocker => `"${blocker.text}"`).join(', ')}.`;
+        }
+        this.ui.showNotification(message, blockers.length > 0 ? 'warning' : 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle typing in the search box
+     * @param {Event} e - Input event
+     */
+    handleSearchInput(e) {
+        this.currentQuery = e.target.value;
+        this.saveViewState();
+        this.render();
     }
 
     /**
@@ -168,6 +953,7 @@ class TodoApp {
      */
     handleTagFilterChange(e) {
         this.currentFilter = e.target.value;
+        this.saveViewState();
         this.render();
     }
 
@@ -177,56 +963,913 @@ class TodoApp {
      */
     handleSortChange(e) {
         this.currentSort = e.target.value;
+        this.saveViewState();
         this.render();
     }
 
     /**
-     * Handle clear completed tasks
+     * Handle group by change
+     * @param {Event} e - Change event
      */
-    handleClearCompleted() {
-        const completedCount = this.tasks.filter(t => t.completed).length;
-        
-        if (completedCount === 0) {
-            this.ui.showNotification('No completed tasks to clear', 'warning');
-            return;
-        }
-
-        if (confirm(`Are you sure you want to delete ${completedCount} completed task${completedCount !== 1 ? 's' : ''}?`)) {
-            this.tasks = this.tasks.filter(t => !t.completed);
-            this.saveAndRender();
-            this.ui.showNotification(`${completedCount} completed task${completedCount !== 1 ? 's' : ''} cleared!`);
-        }
+    handleGroupByChange(e) {
+        this.currentGroupBy = e.target.value;
+        this.saveViewState();
+        this.render();
     }
 
     /**
-     * Handle dark mode toggle
+     * Handle picking a smart list or saved view in the sidebar
+     * @param {string} viewId - View ID
      */
-    handleDarkModeToggle() {
-        console.log('Dark mode toggle handler called');
-        this.isDarkMode = !this.isDarkMode;
-        console.log('Dark mode toggled to:', this.isDarkMode);
-        this.ui.toggleDarkMode(this.isDarkMode);
-        this.saveDarkModePreference();
-        this.ui.showNotification(
-            this.isDarkMode ? 'Dark mode enabled' : 'Light mode enabled',
-            'success'
-        );
+    handleViewSelect(viewId) {
+        const view = [...BUILT_IN_VIEWS, ...this.views].find(v => v.id === viewId);
+        if (!view) return;
+
+        this.applyViewState(view);
+        this.saveViewState();
+        this.render();
     }
 
     /**
-     * Get filtered and sorted tasks
-     * @returns {Array} Filtered and sorted tasks
+     * Handle saving the current controls as a named view
+     * @param {string} name - View name
      */
-    getFilteredTasks() {
-        let filteredTasks = this.tasks;
-        
-        // Apply tag filter
-        if (this.currentFilter) {
-            filteredTasks = TaskModel.filterTasksByTag(filteredTasks, this.currentFilter);
+    handleViewSave(name) {
+        const errors = ViewModel.validateName(name, this.views);
+        if (errors.length > 0) {
+            this.ui.showNotification(errors.join(', '), 'error');
+            return;
         }
-        
-        // Apply sorting
-        filteredTasks = TaskModel.sortTasks(filteredTasks, this.currentSort);
+
+        this.views.push(ViewModel.createView(name, this.getViewState()));
+        this.persistViews();
+        this.ui.elements.saveViewForm.reset();
+        this.render();
+        this.ui.showNotification(`View "${name.trim()}" saved`);
+    }
+
+    /**
+     * Handle deleting a saved view
+     * @param {string} viewId - View ID
+     */
+    handleViewDelete(viewId) {
+        const view = this.views.find(v => v.id === viewId);
+        if (!view) return;
+
+        this.views = this.views.filter(v => v.id !== viewId);
+        this.persistViews();
+        this.render();
+        this.ui.showNotification(`View "${view.name}" deleted`, 'success', {
+            label: 'Undo',
+            onClick: () => {
+                this.views.push(view);
+                this.persistViews();
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Get the current search, filter, sort and grouping
+     * @returns {Object} View state
+     */
+    getViewState() {
+        return {
+            query: this.currentQuery,
+            tagFilter: this.currentFilter,
+            sort: this.currentSort,
+            groupBy: this.currentGroupBy
+        };
+    }
+
+    /**
+     * Change some of the search, filter, sort and grouping settings
+     * @param {Object} changes - Any of query, tagFilter, sort and groupBy
+     */
+    updateViewState(changes) {
+        this.applyViewState({ ...this.getViewState(), ...changes });
+        this.saveViewState();
+        this.render();
+    }
+
+    /**
+     * Set the search, filter, sort and grouping from a view
+     * @param {Object} state - View or saved view state
+     */
+    applyViewState(state) {
+        this.currentQuery = state.query || '';
+        this.currentFilter = state.tagFilter || '';
+        this.currentSort = state.sort || 'created';
+        this.currentGroupBy = state.groupBy || '';
+        this.ui.setViewControls(this.getViewState());
+    }
+
+    /**
+     * Remember the current view settings across reloads
+     */
+    saveViewState() {
+        this.storage.saveViewState({ ...this.getViewState(), listId: this.activeListId }).catch(() => {
+            this.ui.showNotification('Your view settings could not be saved.', 'error');
+        });
+    }
+
+    /**
+     * Handle switching lists in the header
+     * @param {string} listId - List id, or ALL_LISTS_ID
+     */
+    handleListSelect(listId) {
+        const list = ListModel.getList(this.lists, listId);
+        if (!list && listId !== ALL_LISTS_ID) return;
+
+        this.activeListId = listId;
+        if (list) {
+            this.currentSort = list.sort;
+            this.ui.setViewControls(this.getViewState());
+        }
+        this.saveViewState();
+        this.render();
+    }
+
+    /**
+     * Handle the new list button
+     */
+    handleListNew() {
+        this.ui.showListModal(null, ListModel.getNextColor(this.lists));
+    }
+
+    /**
+     * Handle the list settings button
+     */
+    handleListEdit() {
+        const list = ListModel.getList(this.lists, this.activeListId);
+        if (list) {
+            this.ui.showListModal(list);
+        }
+    }
+
+    /**
+     * Handle saving the list settings form
+     * @param {Object} data - { name, color, sort, tags }
+     * @param {string|null} listId - List being edited, or null for a new list
+     */
+    handleListSubmit(data, listId) {
+        const errors = ListModel.validateList(data, this.lists, listId);
+        if (errors.length > 0) {
+            this.ui.showNotification(errors.join(', '), 'error');
+            return;
+        }
+
+        let list = ListModel.getList(this.lists, listId);
+        if (list) {
+            Object.assign(list, {
+                name: data.name.trim(),
+                color: data.color,
+                sort: data.sort,
+                tags: TaskModel.parseTags(data.tags)
+            });
+        } else {
+            list = ListModel.createList(data, this.lists);
+            this.lists.push(list);
+            this.activeListId = list.id;
+        }
+
+        if (list.id === this.activeListId) {
+            this.currentSort = list.sort;
+            this.ui.setViewControls(this.getViewState());
+            this.saveViewState();
+        }
+
+        this.persistLists();
+        this.ui.hideListModal();
+        this.render();
+        this.ui.showNotification(listId ? 'List updated' : `List "${list.name}" created`);
+    }
+
+    /**
+     * Handle deleting a list; its tasks move to the Inbox
+     * @param {string} listId - List id
+     */
+    handleListDelete(listId) {
+        const list = ListModel.getList(this.lists, listId);
+        if (!list || listId === DEFAULT_LIST_ID) return;
+
+        const index = this.lists.indexOf(list);
+        const movedIds = this.tasks.filter(t => t.listId === listId).map(t => t.id);
+
+        this.lists.splice(index, 1);
+        this.tasks.forEach(t => {
+            if (t.listId === listId) t.listId = DEFAULT_LIST_ID;
+        });
+        if (this.activeListId === listId) {
+            this.activeListId = ALL_LISTS_ID;
+            this.saveViewState();
+        }
+
+        this.persistLists();
+        this.ui.hideListModal();
+        if (movedIds.length > 0) {
+            this.saveAndRender('Delete list');
+        } else {
+            this.render();
+        }
+
+        const moved = movedIds.length > 0
+            ? `; ${movedIds.length} task${movedIds.length !== 1 ? 's' : ''} moved to Inbox`
+            : '';
+        this.ui.showNotification(`List "${list.name}" deleted${moved}`, 'success', {
+            label: 'Undo',
+            onClick: () => {
+                this.lists.splice(index, 0, list);
+                this.persistLists();
+                this.tasks.forEach(t => {
+                    if (movedIds.includes(t.id) && t.listId === DEFAULT_LIST_ID) t.listId = listId;
+                });
+                this.saveAndRender('Restore list');
+            }
+        });
+    }
+
+    /**
+     * Get the list new tasks go into
+     * @returns {string} List id
+     */
+    getTargetListId() {
+        return this.activeListId === ALL_LISTS_ID ? DEFAULT_LIST_ID : this.activeListId;
+    }
+
+    /**
+     * Get the tasks in the active list
+     * @returns {Array} Tasks
+     */
+    getScopedTasks() {
+        return ListModel.filterTasks(this.tasks, this.activeListId, this.lists);
+    }
+
+    /**
+     * Save the lists and tell other tabs
+     */
+    persistLists() {
+        this.storage.saveLists(this.lists).catch(() => {
+            this.ui.showNotification('Your lists could not be saved.', 'error');
+        });
+        this.tabSync.broadcast({ lists: this.lists });
+    }
+
+    /**
+     * Save the list of named views
+     */
+    persistViews() {
+        this.storage.saveViews(this.views).catch(() => {
+            this.ui.showNotification('Your saved views could not be saved.', 'error');
+        });
+    }
+
+    /**
+     * Handle moving the completed tasks of the active list to the archive
+     */
+    handleArchiveCompleted() {
+        const scopedTasks = new Set(this.getScopedTasks());
+        const result = ArchiveModel.archiveTasks(this.tasks, this.archive, task => scopedTasks.has(task) && task.completed);
+
+        if (result.archived.length === 0) {
+            this.ui.showNotification('No completed tasks to archive', 'warning');
+            return;
+        }
+
+        this.tasks = result.tasks;
+        this.setArchive(result.archive);
+        this.saveAndRender('Archive completed');
+
+        const count = result.archived.length;
+        this.ui.showNotification(`Archived ${count} completed task${count !== 1 ? 's' : ''}`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle opening the archive
+     */
+    handleArchiveOpen() {
+        this.archiveQuery = '';
+        this.renderArchive();
+        this.ui.showArchiveModal();
+    }
+
+    /**
+     * Handle typing in the archive search
+     * @param {string} query - Search query
+     */
+    handleArchiveSearch(query) {
+        this.archiveQuery = query;
+        this.renderArchive();
+    }
+
+    /**
+     * Handle moving archived tasks back to the task list
+     * @param {Array} taskIds - IDs of archived tasks
+     */
+    handleArchiveRestore(taskIds) {
+        const result = ArchiveModel.restoreTasks(this.tasks, this.archive, taskIds, this.lists);
+        if (result.restored.length === 0) return;
+
+        this.tasks = result.tasks;
+        this.setArchive(result.archive);
+        this.saveAndRender(result.restored.length === 1 ? 'Restore task' : 'Restore tasks');
+
+        const message = result.restored.length === 1
+            ? `Restored "${result.restored[0].text}"`
+            : `Restored ${result.restored.length} tasks`;
+        this.ui.showNotification(message, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle permanently deleting archived tasks
+     * @param {Array} taskIds - IDs of archived tasks
+     */
+    handleArchiveDelete(taskIds) {
+        const ids = new Set(taskIds);
+        const archive = this.archive.filter(task => !ids.has(task.id));
+        const count = this.archive.length - archive.length;
+        if (count === 0) return;
+
+        this.setArchive(archive);
+        this.saveAndRender(count === 1 ? 'Delete archived task' : 'Delete archived tasks');
+        this.ui.showNotification(`Deleted ${count} archived task${count !== 1 ? 's' : ''}`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Handle changing when tasks are archived and purged, applying the new settings right away
+     * @param {Object} settings - { autoArchiveDays, purgeDays }
+     */
+    handleArchiveSettingsChange(settings) {
+        this.archiveSettings = ArchiveModel.normalizeSettings(settings);
+        this.storage.saveArchiveSettings(this.archiveSettings).catch(() => {
+            this.ui.showNotification('Your archive settings could not be saved.', 'error');
+        });
+        this.runArchiveMaintenance('Apply archive settings');
+    }
+
+    /**
+     * Archive tasks completed long enough ago and delete tasks archived long enough ago
+     * @param {string} label - Description for undo history; maintenance on start-up isn't undoable (optional)
+     */
+    runArchiveMaintenance(label = '') {
+        const { autoArchiveDays, purgeDays } = this.archiveSettings;
+        const now = new Date();
+        const archived = ArchiveModel.archiveTasks(this.tasks, this.archive,
+            task => ArchiveModel.isDueForArchive(task, autoArchiveDays, now), now);
+        const purged = ArchiveModel.purge(archived.archive, purgeDays, now);
+        if (archived.archived.length === 0 && purged.purged.length === 0) return;
+
+        this.tasks = archived.tasks;
+        this.setArchive(purged.archive);
+        this.saveAndRender(label);
+
+        const parts = [];
+        if (archived.archived.length > 0) {
+            const count = archived.archived.length;
+            parts.push(`Archived ${count} task${count !== 1 ? 's' : ''} completed over ${autoArchiveDays} day${autoArchiveDays !== 1 ? 's' : ''} ago`);
+        }
+        if (purged.purged.length > 0) {
+            const count = purged.purged.length;
+            parts.push(`${parts.length > 0 ? 'deleted' : 'Deleted'} ${count} task${count !== 1 ? 's' : ''} archived over ${purgeDays} days ago`);
+        }
+        this.ui.showNotification(parts.join(' and '), 'success', label ? this.getUndoAction() : {
+            label: 'View',
+            onClick: () => this.handleArchiveOpen()
+        });
+    }
+
+    /**
+     * Replace the archived tasks; they are saved with the next saveAndRender
+     * @param {Array} archive - Archived tasks
+     */
+    setArchive(archive) {
+        this.archive = archive;
+        this.archiveChanged = true;
+    }
+
+    /**
+     * Render the archive modal for the active list
+     */
+    renderArchive() {
+        const list = ListModel.getList(this.lists, this.activeListId);
+        const archived = ListModel.filterTasks(this.archive, this.activeListId, this.lists);
+
+        this.ui.renderArchive(ArchiveModel.search(archived, this.archiveQuery), {
+            scope: list ? list.name : 'All lists',
+            total: archived.length,
+            highlightTerms: TaskQuery.getHighlightTerms(TaskQuery.parse(this.archiveQuery)),
+            lists: this.activeListId === ALL_LISTS_ID && this.lists.length > 1 ? this.lists : null,
+            settings: this.archiveSettings
+        });
+    }
+
+    /**
+     * Handle exporting all tasks to a file
+     * @param {string} format - Export format (json, csv, markdown, ics)
+     */
+    handleExport(format) {
+        const details = TaskTransfer.FORMATS[format];
+        // Only the JSON backup holds the archive and lists; the other formats are for other apps
+        const content = TaskTransfer.exportTasks(this.tasks, format, { archive: this.archive, lists: this.lists });
+        const date = DateUtils.toDateString(DateUtils.today());
+        const archived = format === 'json' && this.archive.length > 0
+            ? ` and ${this.archive.length} archived task${this.archive.length !== 1 ? 's' : ''}`
+            : '';
+
+        this.ui.downloadFile(content, `tasks-${date}.${details.extension}`, details.mimeType);
+        this.ui.showNotification(`Exported ${this.tasks.length} task${this.tasks.length !== 1 ? 's' : ''}${archived} as ${details.label}`);
+    }
+
+    /**
+     * Handle importing tasks from a file
+     * @param {File} file - Selected file
+     * @param {string} mode - 'merge' or 'replace'
+     */
+    async handleImport(file, mode) {
+        const format = TaskTransfer.detectFormat(file.name);
+        if (!format) {
+            this.ui.showNotification('Unsupported file type. Use .json, .csv, .md or .ics', 'error');
+            return;
+        }
+
+        let result;
+        try {
+            result = TaskTransfer.importTasks(await file.text(), format);
+        } catch (error) {
+            console.error('Error importing tasks:', error);
+            this.ui.showNotification(`Could not read ${file.name}: ${error.message}`, 'error');
+            return;
+        }
+
+        // Lists from a backup are added by id; one named like a list you have is merged into it
+        const listIds = new Map(this.lists.map(list => [list.id, list.id]));
+        const addedLists = [];
+        result.lists.forEach(list => {
+            if (listIds.has(list.id)) return;
+            const name = list.name.toLowerCase();
+            const sameName = [...this.lists, ...addedLists].find(other => other.name.toLowerCase() === name);
+            listIds.set(list.id, sameName ? sameName.id : list.id);
+            if (!sameName) addedLists.push(list);
+        });
+        const inKnownList = task => ({ ...task, listId: listIds.get(task.listId) || DEFAULT_LIST_ID });
+
+        const combined = TaskTransfer.combineTasks(this.tasks, result.tasks.map(inKnownList), mode);
+        // The archive is only replaced by a backup that has archived tasks of its own
+        const activeIds = new Set(combined.tasks.map(task => task.id));
+        const importedArchive = result.archive.filter(task => !activeIds.has(task.id));
+        const archived = TaskTransfer.combineTasks(
+            this.archive,
+            importedArchive.map(inKnownList),
+            result.archive.length > 0 ? mode : 'merge'
+        );
+        this.ui.renderImportResults({
+            added: combined.added,
+            archived: archived.added,
+            lists: archived.added + combined.added > 0 ? addedLists.length : 0,
+            duplicates: combined.duplicates + archived.duplicates + result.archive.length - importedArchive.length,
+            errors: result.errors
+        });
+
+        // A replace that brings nothing in would wipe every task, so it is stopped like an empty merge
+        if (combined.added === 0 && archived.added === 0) {
+            this.ui.showNotification(
+                mode === 'replace' ? 'No tasks to import, so your tasks were kept' : 'No new tasks to import',
+                'warning'
+            );
+            return;
+        }
+
+        if (addedLists.length > 0) {
+            this.lists = ListModel.normalizeLists([...this.lists, ...addedLists]);
+            this.persistLists();
+        }
+        if (archived.added > 0) {
+            this.setArchive(archived.tasks);
+        }
+        this.tasks = TaskModel.ensurePositions(combined.tasks);
+        this.saveAndRender(mode === 'replace' ? 'Replace tasks from import' : 'Import tasks');
+        this.ui.showNotification(
+            `Imported ${combined.added} task${combined.added !== 1 ? 's' : ''}` +
+                (archived.added > 0 ? ` and ${archived.added} archived task${archived.added !== 1 ? 's' : ''}` : ''),
+            result.errors.length > 0 ? 'warning' : 'success',
+            this.getUndoAction()
+        );
+    }
+
+    /**
+     * Handle undo (Ctrl+Z or the toast button)
+     */
+    handleUndo() {
+        const entry = this.history.undo();
+        if (!entry) {
+            this.ui.showNotification('Nothing to undo', 'warning');
+            return;
+        }
+
+        this.restoreSnapshot(entry.before, entry.archive && entry.archive.before);
+        this.ui.showNotification(`Undone: ${entry.label}`, 'success', {
+            label: 'Redo',
+            onClick: () => this.handleRedo()
+        });
+    }
+
+    /**
+     * Handle redo (Ctrl+Shift+Z or the toast button)
+     */
+    handleRedo() {
+        const entry = this.history.redo();
+        if (!entry) {
+            this.ui.showNotification('Nothing to redo', 'warning');
+            return;
+        }
+
+        this.restoreSnapshot(entry.after, entry.archive && entry.archive.after);
+        this.ui.showNotification(`Redone: ${entry.label}`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Build the Undo button shown in notifications
+     * @returns {Object} Notification action
+     */
+    getUndoAction() {
+        return {
+            label: 'Undo',
+            onClick: () => this.handleUndo()
+        };
+    }
+
+    /**
+     * Handle opening the statistics panel
+     */
+    handleStatsOpen() {
+        this.renderStats();
+        this.ui.showStatsModal();
+    }
+
+    /**
+     * Handle typing in the command palette
+     * @param {string} query - Text typed so far
+     */
+    handleCommandSearch(query) {
+        this.ui.renderCommandResults(CommandModel.search(this.getCommands(), query));
+    }
+
+    /**
+     * Handle choosing a command in the palette
+     * @param {Object} command - Command from getCommands
+     */
+    handleCommandRun(command) {
+        if (!command) return;
+
+        this.ui.hideCommandPalette();
+        command.run();
+    }
+
+    /**
+     * List everything the command palette can do, with a command per sort, tag, view and list
+     * @returns {Array} Commands of { label, keywords, shortcut, run }
+     */
+    getCommands() {
+        const tags = TaskModel.getAllTags(this.getScopedTasks());
+        const views = [...BUILT_IN_VIEWS, ...this.views];
+        const running = TimeTracking.findRunning(this.tasks);
+
+        return [
+            { label: 'New task', keywords: 'add create', shortcut: 'N', run: () => this.ui.elements.taskInput.focus() },
+            { label: 'Search tasks', keywords: 'find query', shortcut: '/', run: () => this.ui.elements.searchInput.focus() },
+            ...(this.currentQuery ? [{ label: 'Clear search', run: () => this.updateViewState({ query: '' }) }] : []),
+            ...this.ui.getSelectOptions('sortBy').map(option => ({
+                label: `Sort by ${option.label.toLowerCase()}`,
+                keywords: 'order',
+                run: () => this.updateViewState({ sort: option.value })
+            })),
+            ...this.ui.getSelectOptions('groupBy').map(option => ({
+                label: option.value ? `Group by ${option.label.toLowerCase()}` : 'Stop grouping',
+                keywords: 'group none',
+                run: () => this.updateViewState({ groupBy: option.value })
+            })),
+            ...tags.map(tag => ({
+                label: `Filter ${tag}`,
+                keywords: 'tag',
+                run: () => this.updateViewState({ tagFilter: tag })
+            })),
+            ...(this.currentFilter ? [{ label: 'Show all tags', keywords: 'filter clear', run: () => this.updateViewState({ tagFilter: '' }) }] : []),
+            ...views.map(view => ({
+                label: `Go to ${view.name}`,
+                keywords: 'view smart saved',
+                run: () => this.handleViewSelect(view.id)
+            })),
+            ...[{ id: ALL_LISTS_ID, name: 'All lists' }, ...this.lists].map(list => ({
+                label: list.id === ALL_LISTS_ID ? 'Show all lists' : `Switch to list ${list.name}`,
+                keywords: 'list open',
+                run: () => this.handleListSelect(list.id)
+            })),
+            { label: 'New list', keywords: 'create add', run: () => this.handleListNew() },
+            ...LAYOUT_VIEWS.map(view => ({
+                label: `Show as ${view}`,
+                keywords: 'layout view',
+                run: () => this.handleLayoutChange(view)
+            })),
+            { label: 'Toggle dark mode', keywords: 'theme light night', run: () => this.handleDarkModeToggle() },
+            ...Object.entries(TaskTransfer.FORMATS).map(([format, details]) => ({
+                label: `Export as ${details.label}`,
+                keywords: `download backup ${format}`,
+                run: () => this.handleExport(format)
+            })),
+            { label: 'Import tasks from a file', keywords: 'upload', run: () => this.ui.showTransferModal() },
+            ...(running ? [{
+                label: `Stop timer on "${running.text}"`,
+                keywords: 'time tracking',
+                shortcut: 'T',
+                run: () => this.handleTimerToggle()
+            }] : []),
+            { label: 'Show statistics', keywords: 'stats charts progress time', run: () => this.handleStatsOpen() },
+            { label: 'Archive completed tasks', keywords: 'clear remove done', run: () => this.handleArchiveCompleted() },
+            { label: 'Open archive', keywords: 'archived restore history done', run: () => this.handleArchiveOpen() },
+            ...(this.serverSync.getStatus().enabled ? [{ label: 'Sync now', keywords: 'server upload download', run: () => this.handleSyncNow() }] : []),
+            { label: 'Sync settings', keywords: 'server devices connect', run: () => this.handleSyncOpen() },
+            { label: 'Encryption settings', keywords: 'passphrase password security lock', run: () => this.handleEncryptionOpen() },
+            ...(this.storage.isEncrypted() ? [{ label: 'Lock now', keywords: 'passphrase security', run: () => this.handleLock() }] : []),
+            { label: 'Undo', shortcut: 'Ctrl+Z', run: () => this.handleUndo() },
+            { label: 'Redo', shortcut: 'Ctrl+Shift+Z', run: () => this.handleRedo() },
+            { label: 'Show keyboard shortcuts', keywords: 'help keys', shortcut: '?', run: () => this.ui.showShortcutsModal() }
+        ];
+    }
+
+    /**
+     * Handle opening the sync settings
+     */
+    handleSyncOpen() {
+        this.ui.showSyncModal(this.serverSync.getStatus().url);
+        this.serverSync.report();
+    }
+
+    /**
+     * Handle connecting to a sync server
+     * @param {string} url - Server address
+     * @param {string} token - Access token (optional)
+     */
+    async handleSyncConnect(url, token) {
+        try {
+            await this.serverSync.connect(url, token);
+        } catch (error) {
+            console.error('Error saving sync settings:', error);
+            this.ui.showNotification(error.message, 'error');
+            return;
+        }
+
+        this.tabSync.broadcast({ syncSettings: true });
+        this.ui.hideSyncModal();
+        this.ui.showNotification('Connected. Your tasks will sync with the server.', 'success');
+    }
+
+    /**
+     * Handle syncing straight away
+     */
+    handleSyncNow() {
+        this.serverSync.sync();
+    }
+
+    /**
+     * Handle stopping sync
+     */
+    async handleSyncDisconnect() {
+        try {
+            await this.serverSync.disconnect();
+        } catch (error) {
+            console.error('Error saving sync settings:', error);
+            this.ui.showNotification('Could not disconnect: ' + error.message, 'error');
+            return;
+        }
+
+        this.tabSync.broadcast({ syncSettings: true });
+        this.ui.hideSyncModal();
+        this.ui.showNotification('Disconnected. Your tasks stay in this browser and on the server.', 'success');
+    }
+
+    /**
+     * Apply tasks pulled from the sync server
+     * They are saved as they came, without being stamped as local changes.
+     * @param {Object} data - { tasks, archive } with the server's changes merged in
+     */
+    handleServerChanges({ tasks, archive }) {
+        // Lists aren't synced, so tasks from a list this browser doesn't have go to the Inbox
+        const listIds = new Set(this.lists.map(list => list.id));
+        const inKnownList = task => listIds.has(task.listId) ? task : { ...task, listId: DEFAULT_LIST_ID };
+
+        if (archive !== this.archive) {
+            this.archive = archive.map(task => ArchiveModel.normalizeEntry(inKnownList(task)));
+            this.archiveChanged = true;
+            this.persistArchive();
+        }
+
+        const before = this.savedSnapshot;
+        this.tasks = TaskModel.ensurePositions(tasks.map(task => TaskModel.normalizeTask(inKnownList(task))));
+        this.savedSnapshot = this.snapshotTasks();
+        // Undo steps were recorded against tasks that have since changed
+        this.history.clear();
+        this.persistTasks();
+
+        const { changes, deletions } = TabSync.diff(before, this.savedSnapshot);
+        if (changes.length > 0 || deletions.length > 0) {
+            this.tabSync.broadcast({ tasks: this.savedSnapshot, changes, deletions });
+        }
+        this.render();
+    }
+
+    /**
+     * Handle opening the encryption settings
+     */
+    handleEncryptionOpen() {
+        this.renderEncryption();
+        this.ui.showEncryptionModal();
+    }
+
+    /**
+     * Show whether tasks are encrypted and how soon they lock
+     */
+    renderEncryption() {
+        const encrypted = this.storage.isEncrypted();
+        this.ui.renderEncryption({
+            supported: Encryption.isSupported(),
+            encrypted,
+            autoLockMinutes: encrypted ? this.storage.getAutoLockMinutes() : DEFAULT_AUTO_LOCK_MINUTES
+        });
+    }
+
+    /**
+     * Handle turning on encryption
+     * @param {string} passphrase - New passphrase
+     * @param {string} confirmation - The passphrase typed again
+     */
+    async handleEncryptionEnable(passphrase, confirmation) {
+        const errors = Encryption.validatePassphrase(passphrase, confirmation);
+        if (errors.length > 0) {
+            this.ui.showNotification(errors.join(', '), 'error');
+            return;
+        }
+
+        try {
+            await this.storage.enableEncryption(passphrase);
+        } catch (error) {
+            console.error('Error enabling encryption:', error);
+            this.ui.showNotification('Could not encrypt your tasks: ' + error.message, 'error');
+            return;
+        }
+
+        this.tabSync.broadcast({ encryption: true });
+        this.renderEncryption();
+        this.ui.hideEncryptionModal();
+        this.ui.showNotification('Your tasks are encrypted. You will need the passphrase each time you open the app.', 'success');
+    }
+
+    /**
+     * Handle changing the passphrase, re-encrypting everything with the new one
+     * @param {string} currentPassphrase - Passphrase in use
+     * @param {string} newPassphrase - New passphrase
+     * @param {string} confirmation - The new passphrase typed again
+     */
+    async handlePassphraseChange(currentPassphrase, newPassphrase, confirmation) {
+        const errors = Encryption.validatePassphrase(newPassphrase, confirmation);
+        if (errors.length > 0) {
+            this.ui.showNotification(errors.join(', '), 'error');
+            return;
+        }
+
+        try {
+            await this.storage.changePassphrase(currentPassphrase, newPassphrase);
+        } catch (error) {
+            console.error('Error changing passphrase:', error);
+            const message = error.reason === 'wrong-passphrase'
+                ? 'The current passphrase is wrong'
+                : 'Could not change the passphrase: ' + error.message;
+            this.ui.showNotification(message, 'error');
+            return;
+        }
+
+        this.tabSync.broadcast({ encryption: true });
+        this.ui.hideEncryptionModal();
+        this.ui.showNotification('Passphrase changed', 'success');
+    }
+
+    /**
+     * Handle turning off encryption
+     * @param {string} passphrase - Passphrase in use
+     */
+    async handleEncryptionDisable(passphrase) {
+        try {
+            await this.storage.disableEncryption(passphrase);
+        } catch (error) {
+            console.error('Error disabling encryption:', error);
+            const message = error.reason === 'wrong-passphrase'
+                ? 'Wrong passphrase'
+                : 'Could not turn off encryption: ' + error.message;
+            this.ui.showNotification(message, 'error');
+            return;
+        }
+
+        this.tabSync.broadcast({ encryption: true });
+        this.renderEncryption();
+        this.ui.hideEncryptionModal();
+        this.ui.showNotification('Encryption turned off. Your tasks are stored unencrypted.', 'success');
+    }
+
+    /**
+     * Handle choosing how long the app may sit idle before locking
+     * @param {number} minutes - Idle minutes (0 never locks)
+     */
+    async handleAutoLockChange(minutes) {
+        try {
+            await this.storage.saveAutoLockMinutes(minutes);
+        } catch (error) {
+            console.error('Error saving auto-lock setting:', error);
+            this.ui.showNotification('Could not save the auto-lock setting: ' + error.message, 'error');
+            this.renderEncryption();
+            return;
+        }
+        this.tabSync.broadcast({ autoLockMinutes: minutes });
+    }
+
+    /**
+     * Track input so encrypted tasks lock after the chosen idle time
+     */
+    startAutoLock() {
+        const markActive = () => {
+            this.lastActivity = Date.now();
+            // Keep other tabs from locking while this one is in use
+            if (this.storage.isEncrypted() && this.lastActivity - this.lastActivityShared >= ACTIVITY_SHARE_MS) {
+                this.lastActivityShared = this.lastActivity;
+                this.tabSync.broadcast({ activity: true });
+            }
+        };
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, markActive, { capture: true, passive: true });
+        });
+
+        // Timers are throttled in background tabs, so check again when the tab comes back
+        setInterval(() => this.checkAutoLock(), AUTO_LOCK_CHECK_MS);
+        document.addEventListener('visibilitychange', () => this.checkAutoLock());
+    }
+
+    /**
+     * Lock if the app has been idle for longer than the auto-lock setting
+     */
+    checkAutoLock() {
+        const minutes = this.storage.getAutoLockMinutes();
+        if (minutes > 0 && !this.storage.isLocked() && Date.now() - this.lastActivity >= minutes * 60 * 1000) {
+            this.handleLock();
+        }
+    }
+
+    /**
+     * Lock encrypted tasks in every tab
+     * Reloading is what clears the decrypted tasks from memory; the page
+     * comes back up on the lock screen.
+     */
+    async handleLock() {
+        if (!this.storage.isEncrypted() || this.storage.isLocked()) return;
+
+        await this.storage.lock();
+        this.tabSync.broadcast({ locked: true });
+        window.location.reload();
+    }
+
+    /**
+     * Handle reloading into a newly downloaded version
+     */
+    handleUpdateApply() {
+        this.ui.hideUpdateBanner();
+        this.updates.applyUpdate();
+    }
+
+    /**
+     * Handle dark mode toggle
+     */
+    handleDarkModeToggle() {
+        console.log('Dark mode toggle handler called');
+        this.isDarkMode = !this.isDarkMode;
+        console.log('Dark mode toggled to:', this.isDarkMode);
+        this.ui.toggleDarkMode(this.isDarkMode);
+        this.saveDarkModePreference();
+        this.ui.showNotification(
+            this.isDarkMode ? 'Dark mode enabled' : 'Light mode enabled',
+            'success'
+        );
+    }
+
+    /**
+     * Get filtered and sorted tasks
+     * @returns {Array} Filtered and sorted tasks
+     */
+    getFilteredTasks() {
+        // Apply tag filter and search query
+        let filteredTasks = ViewModel.filterTasks(this.getScopedTasks(), {
+            query: this.currentQuery,
+            tagFilter: this.currentFilter
+        }, this.getBlockedIds());
+        
+        // Apply sorting
+        filteredTasks = TaskModel.sortTasks(filteredTasks, this.currentSort);
         
         return filteredTasks;
     }
@@ -235,24 +1878,286 @@ class TodoApp {
      * Render the application
      */
     render() {
+        const scopedTasks = this.getScopedTasks();
         const filteredTasks = this.getFilteredTasks();
+        // Blockers can be in another list, so look across all tasks
+        const blockers = TaskModel.getBlockers(this.tasks);
+
+        // Only visible tasks stay selected, so batch actions never touch hidden ones
+        const visibleIds = new Set(filteredTasks.map(t => t.id));
+        this.selectedIds.forEach(id => {
+            if (!visibleIds.has(id)) this.selectedIds.delete(id);
+        });
         
         // Update UI
-        this.ui.renderTasks(filteredTasks);
-        this.ui.updateTaskCount(this.tasks.length);
-        this.ui.updateTagFilter(TaskModel.getAllTags(this.tasks));
+        const highlightTerms = TaskQuery.getHighlightTerms(TaskQuery.parse(this.currentQuery));
+        const labelLists = this.activeListId === ALL_LISTS_ID && this.lists.length > 1 ? this.lists : null;
+        this.ui.renderListSwitcher(this.lists, this.activeListId);
+        this.ui.setLayoutControls(this.layout);
+        if (this.layout.view === 'board') {
+            this.ui.renderBoard(BoardModel.getColumns(filteredTasks, this.layout.columns, this.lists), {
+                highlightTerms,
+                columnsBy: this.layout.columns,
+                lists: labelLists,
+                blockers
+            });
+        } else if (this.layout.view === 'calendar') {
+            this.ui.renderCalendar(CalendarModel.getCalendar(filteredTasks, this.layout.calendar, this.calendarDate), {
+                highlightTerms,
+                mode: this.layout.calendar
+            });
+        } else {
+            this.ui.renderTasks(filteredTasks, {
+                highlightTerms,
+                isFiltered: scopedTasks.length > 0,
+                draggable: this.currentSort === 'manual',
+                groups: ViewModel.groupTasks(filteredTasks, this.currentGroupBy),
+                lists: labelLists,
+                selection: this.selectionMode ? this.selectedIds : null,
+                blockers
+            });
+        }
+        this.ui.renderBatchBar(this.selectionMode, this.selectedIds.size, filteredTasks.length);
+        this.ui.updateTaskCount(scopedTasks.length);
+        this.ui.updateTagFilter(TaskModel.getAllTags(scopedTasks), this.currentFilter);
+        
+        // Update sidebar counts
+        const allViews = [...BUILT_IN_VIEWS, ...this.views];
+        const activeView = ViewModel.findMatchingView(allViews, this.getViewState());
+        this.ui.renderSidebar(
+            BUILT_IN_VIEWS,
+            this.views,
+            ViewModel.getCounts(scopedTasks, allViews, new Set(blockers.keys())),
+            activeView ? activeView.id : null
+        );
+        
+        // Re-arm reminders for the current tasks
+        this.reminders.schedule(this.tasks);
+
+        this.renderActiveTimer();
         
-        // Log statistics
-        const stats = TaskModel.getTaskStats(this.tasks);
-        console.log('Task Statistics:', stats);
+        // Keep open statistics and the archive up to date
+        if (this.ui.isStatsModalOpen()) {
+            this.renderStats();
+        }
+        if (this.ui.isArchiveModalOpen()) {
+            this.renderArchive();
+        }
+    }
+
+    /**
+     * Show the running timer in the header and keep its clock ticking while it runs
+     */
+    renderActiveTimer() {
+        const running = TimeTracking.findRunning(this.tasks);
+        this.ui.renderActiveTimer(running);
+
+        if (running && !this.timerTick) {
+            this.timerTick = setInterval(() => this.ui.updateTimers(new Date()), 1000);
+        } else if (!running && this.timerTick) {
+            clearInterval(this.timerTick);
+            this.timerTick = null;
+        }
+    }
+
+    /**
+     * Get the IDs of open tasks that are waiting on other open tasks
+     * @returns {Set} Task IDs
+     */
+    getBlockedIds() {
+        return new Set(TaskModel.getBlockers(this.tasks).keys());
+    }
+
+    /**
+     * Render statistics for the active list, counting archived tasks as part of its history
+     */
+    renderStats() {
+        const list = ListModel.getList(this.lists, this.activeListId);
+        const archived = ListModel.filterTasks(this.archive, this.activeListId, this.lists);
+        this.ui.renderStats(StatsModel.getStats([...this.getScopedTasks(), ...archived]), list ? list.name : 'All lists');
+    }
+
+    /**
+     * Save tasks, tell other tabs and re-render
+     * @param {string} label - Description of the change for undo history (optional)
+     */
+    saveAndRender(label = '') {
+        // Stamp what changed since the last save so other tabs can merge per task
+        const { changes, deletions } = TabSync.diff(this.savedSnapshot, this.tasks);
+        const now = new Date().toISOString();
+        changes.forEach(change => {
+            this.tasks.find(t => t.id === change.id).updatedAt = now;
+        });
+        deletions.forEach(deletion => this.recentlyDeleted.add(deletion.id));
+
+        const snapshot = this.snapshotTasks();
+        // The archive is saved first, so an interrupted save leaves a task in both rather than neither
+        const archiveChange = this.archiveChanged ? this.persistArchive() : null;
+        if (label) {
+            this.history.record(label, this.savedSnapshot, snapshot, archiveChange);
+        }
+        this.savedSnapshot = snapshot;
+
+        this.persistTasks();
+        if (changes.length > 0 || deletions.length > 0) {
+            this.tabSync.broadcast({ tasks: snapshot, changes, deletions });
+        }
+        this.serverSync.schedule();
+        this.render();
     }
 
     /**
-     * Save tasks and re-render
+     * Show a reminder in the app when system notifications aren't available
+     * @param {Object} reminder - { task, minutes }
+     * @param {string} message - Reminder text
      */
-    saveAndRender() {
-        this.storage.saveTasks(this.tasks);
+    handleReminder(reminder, message) {
+        this.ui.showNotification(message, 'warning', {
+            label: 'View',
+            onClick: () => this.handleTaskEdit(reminder.task.id)
+        });
+    }
+
+    /**
+     * Merge changes saved in another tab
+     * @param {Object} message - { tasks, changes, deletions }, { lists }, { archive } or an encryption
+     *     message ({ encryption }, { locked }, { autoLockMinutes } or { activity }) from the other tab
+     */
+    handleRemoteChange(message) {
+        // A locked tab loads everything once unlocked
+        if (this.storage.isLocked()) return;
+
+        // Sync settings changed in another tab
+        if (message.syncSettings) {
+            this.serverSync.reload();
+            return;
+        }
+
+        // Encryption was turned on or off, the passphrase changed, or the tasks were locked:
+        // reload to pick up the new key, or to clear the tasks from memory
+        if (message.encryption || message.locked) {
+            window.location.reload();
+            return;
+        }
+
+        if (message.autoLockMinutes !== undefined) {
+            this.storage.useAutoLockMinutes(message.autoLockMinutes);
+            this.renderEncryption();
+            return;
+        }
+
+        if (message.activity) {
+            this.lastActivity = Date.now();
+            return;
+        }
+
+        // Tasks archived, restored or purged in another tab
+        if (message.archive) {
+            this.archive = message.archive;
+            this.savedArchive = this.snapshotArchive();
+            this.archiveChanged = false;
+            this.history.clear();
+            this.serverSync.schedule();
+            this.render();
+            return;
+        }
+
+        // Lists changed in another tab
+        if (message.lists) {
+            this.lists = ListModel.normalizeLists(message.lists);
+            if (this.activeListId !== ALL_LISTS_ID && !ListModel.getList(this.lists, this.activeListId)) {
+                this.activeListId = ALL_LISTS_ID;
+            }
+            this.render();
+            return;
+        }
+
+        const result = TabSync.merge(this.tasks, message, this.recentlyDeleted);
+
+        this.tasks = result.tasks.map(task => TaskModel.normalizeTask(task));
+        this.savedSnapshot = this.snapshotTasks();
+        // Undo steps were recorded against a list that no longer exists
+        this.history.clear();
+
+        if (result.diverged) {
+            // We hold changes the other tab has not seen: save and share the merged list
+            this.persistTasks();
+            this.tabSync.broadcast({
+                tasks: this.savedSnapshot,
+                changes: TabSync.diff(message.tasks, this.tasks).changes,
+                deletions: []
+            });
+        }
+        this.serverSync.schedule();
         this.render();
+
+        if (result.conflicts.length > 0) {
+            const names = result.conflicts.map(task => `"${task.text}"`).join(', ');
+            this.ui.showNotification(
+                `${names} ${result.conflicts.length === 1 ? 'was' : 'were'} also changed in another tab. Kept the most recent version.`,
+                'warning'
+            );
+        }
+    }
+
+    /**
+     * Write tasks to storage, telling the user if the save fails
+     */
+    persistTasks() {
+        this.storage.saveTasks(this.tasks).catch((error) => {
+            const message = error.quotaExceeded
+                ? 'Browser storage is full, so your latest changes were not saved. Delete old tasks from the archive to free up space.'
+                : 'Your latest changes could not be saved.';
+            this.ui.showNotification(message, 'error');
+        });
+    }
+
+    /**
+     * Write the changed archive to storage and tell other tabs
+     * @returns {Object} { before, after } copies of the archive for undo history
+     */
+    persistArchive() {
+        const before = this.savedArchive;
+        this.savedArchive = this.snapshotArchive();
+        this.archiveChanged = false;
+
+        this.storage.saveArchive(this.archive).catch((error) => {
+            const message = error.quotaExceeded
+                ? 'Browser storage is full, so the archive was not saved. Delete old tasks from the archive to free up space.'
+                : 'The archive could not be saved.';
+            this.ui.showNotification(message, 'error');
+        });
+        this.tabSync.broadcast({ archive: this.savedArchive });
+        return { before, after: this.savedArchive };
+    }
+
+    /**
+     * Take a deep copy of the task list
+     * @returns {Array} Copy of tasks
+     */
+    snapshotTasks() {
+        return JSON.parse(JSON.stringify(this.tasks));
+    }
+
+    /**
+     * Take a deep copy of the archived tasks
+     * @returns {Array} Copy of the archive
+     */
+    snapshotArchive() {
+        return JSON.parse(JSON.stringify(this.archive));
+    }
+
+    /**
+     * Replace the task list with a snapshot from history
+     * @param {Array} snapshot - Tasks to restore
+     * @param {Array} archive - Archived tasks to restore, when the change touched the archive (optional)
+     */
+    restoreSnapshot(snapshot, archive = null) {
+        this.tasks = JSON.parse(JSON.stringify(snapshot));
+        if (archive) {
+            this.setArchive(JSON.parse(JSON.stringify(archive)));
+        }
+        this.saveAndRender();
     }
 
     /**
@@ -279,6 +2184,36 @@ class TodoApp {
             console.error('Error saving dark mode preference:', error);
         }
     }
+
+    /**
+     * Load the list/board/calendar layout preference from localStorage
+     * @returns {Object} { view: 'list', 'board' or 'calendar', columns: 'status', 'tag' or 'list',
+     *     calendar: 'month' or 'week' }
+     */
+    loadLayoutPreference() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('todo-layout')) || {};
+            return {
+                view: LAYOUT_VIEWS.includes(saved.view) ? saved.view : 'list',
+                columns: BOARD_COLUMNS.includes(saved.columns) ? saved.columns : 'status',
+                calendar: CALENDAR_MODES.includes(saved.calendar) ? saved.calendar : 'month'
+            };
+        } catch (error) {
+            console.error('Error loading layout preference:', error);
+            return { view: 'list', columns: 'status', calendar: 'month' };
+        }
+    }
+
+    /**
+     * Save the list/board/calendar layout preference to localStorage
+     */
+    saveLayoutPreference() {
+        try {
+            localStorage.setItem('todo-layout', JSON.stringify(this.layout));
+        } catch (error) {
+            console.error('Error saving layout preference:', error);
+        }
+    }
 }
 
 // Initialize the application when DOM is loaded
@@ -0,0 +1,77 @@
+/**
+ * Offline support and app updates
+ *
+ * Registers the service worker (sw.js) and reports when a newly deployed
+ * version has been downloaded, so the user can choose when to reload into it.
+ */
+export class AppUpdates {
+    /**
+     * @param {Function} onUpdateReady - Called when a new version is waiting to be used
+     */
+    constructor(onUpdateReady) {
+        this.onUpdateReady = onUpdateReady;
+        this.registration = null;
+        this.updateRequested = false;
+    }
+
+    /**
+     * Register the service worker and start watching for new versions
+     */
+    async register() {
+        // Service workers need http(s); the app still works without one, just not offline
+        if (!('serviceWorker' in navigator)) return;
+
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+            return;
+        }
+
+        // Only reload when this tab asked for the update, not on the first install
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                window.location.reload();
+            }
+        });
+
+        // A new version may have been downloaded on an earlier visit
+        if (this.registration.waiting && navigator.serviceWorker.controller) {
+            this.onUpdateReady();
+        }
+
+        this.registration.addEventListener('updatefound', () => {
+            const worker = this.registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install rather than an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.onUpdateReady();
+                }
+            });
+        });
+
+        // Tabs can stay open for days, so look for a new deploy whenever the app comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.registration.update().catch(() => {});
+            }
+        });
+    }
+
+    /**
+     * Switch to the waiting version and reload
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            // Another tab already switched versions
+            window.location.reload();
+            return;
+        }
+
+        this.updateRequested = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Archive of completed tasks
+ *
+ * Archiving moves completed tasks out of the active list into a store of
+ * their own, stamped with archivedAt, so the tasks the app renders and saves
+ * stay few. Archived tasks can be searched with the usual query syntax,
+ * restored, or purged once they have been archived long enough.
+ */
+import { TaskModel, DEFAULT_LIST_ID } from './taskModel.js';
+import { TaskQuery } from './taskQuery.js';
+
+// Days after completion to archive a task, and after archiving to delete it; 0 means never
+export const DEFAULT_ARCHIVE_SETTINGS = { autoArchiveDays: 7, purgeDays: 90 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class ArchiveModel {
+    /**
+     * Fill in missing or invalid archive settings with the defaults
+     * @param {Object|null} settings - Stored settings
+     * @returns {Object} { autoArchiveDays, purgeDays }
+     */
+    static normalizeSettings(settings) {
+        const days = (value, fallback) => Number.isInteger(value) && value >= 0 ? value : fallback;
+        const saved = settings || {};
+
+        return {
+            autoArchiveDays: days(saved.autoArchiveDays, DEFAULT_ARCHIVE_SETTINGS.autoArchiveDays),
+            purgeDays: days(saved.purgeDays, DEFAULT_ARCHIVE_SETTINGS.purgeDays)
+        };
+    }
+
+    /**
+     * Fill in fields missing from a stored archived task
+     * @param {Object} task - Stored archived task
+     * @returns {Object} Archived task with all current fields
+     */
+    static normalizeEntry(task) {
+        const archivedAt = new Date(task.archivedAt);
+        return {
+            ...TaskModel.normalizeTask(task),
+            archivedAt: isNaN(archivedAt) ? new Date().toISOString() : task.archivedAt
+        };
+    }
+
+    /**
+     * Move tasks into the archive
+     * @param {Array} tasks - Active tasks
+     * @param {Array} archive - Archived tasks, most recently archived first
+     * @param {Function} shouldArchive - Called with each task; true to archive it
+     * @param {Date} now - Archive time (defaults to now)
+     * @returns {Object} { tasks, archive, archived } where archived lists the tasks moved
+     */
+    static archiveTasks(tasks, archive, shouldArchive, now = new Date()) {
+        const archivedAt = now.toISOString();
+        const archived = tasks.filter(task => shouldArchive(task));
+        if (archived.length === 0) return { tasks, archive, archived };
+
+        const ids = new Set(archived.map(task => task.id));
+        return {
+            tasks: tasks.filter(task => !ids.has(task.id)),
+            archive: [...archived.map(task => ({ ...task, archivedAt })), ...archive.filter(task => !ids.has(task.id))],
+            archived
+        };
+    }
+
+    /**
+     * Whether a completed task has been done long enough to archive automatically
+     * @param {Object} task - Task object
+     * @param {number} days - Days after completion (0 never archives)
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {boolean} True if it should be archived
+     */
+    static isDueForArchive(task, days, now = new Date()) {
+        if (!task.completed || days <= 0) return false;
+
+        const completedAt = new Date(task.completedAt || task.updatedAt);
+        return !isNaN(completedAt) && now - completedAt >= days * DAY_MS;
+    }
+
+    /**
+     * Move archived tasks back to the top of the active list
+     * Tasks whose list has since been deleted go to the Inbox.
+     * @param {Array} tasks - Active tasks
+     * @param {Array} archive - Archived tasks
+     * @param {Array} ids - IDs of the archived tasks to restore
+     * @param {Array} lists - All lists
+     * @returns {Object} { tasks, archive, restored } where restored lists the tasks moved back
+     */
+    static restoreTasks(tasks, archive, ids, lists) {
+        const restoreIds = new Set(ids);
+        const listIds = new Set(lists.map(list => list.id));
+        const entries = archive.filter(task => restoreIds.has(task.id));
+        const firstPosition = TaskModel.getTopPosition(tasks) - entries.length + 1;
+
+        const restored = entries.map(({ archivedAt, ...task }, index) => ({
+            ...task,
+            listId: listIds.has(task.listId) ? task.listId : DEFAULT_LIST_ID,
+            position: firstPosition + index
+        }));
+
+        return {
+            tasks: [...restored, ...tasks],
+            archive: archive.filter(task => !restoreIds.has(task.id)),
+            restored
+        };
+    }
+
+    /**
+     * Delete tasks that have been archived for longer than the given number of days
+     * @param {Array} archive - Archived tasks
+     * @param {number} days - Days to keep archived tasks (0 keeps them forever)
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {Object} { archive, purged } where purged lists the deleted tasks
+     */
+    static purge(archive, days, now = new Date()) {
+        if (days <= 0) return { archive, purged: [] };
+
+        const cutoff = now - days * DAY_MS;
+        const isExpired = task => new Date(task.archivedAt) < cutoff;
+        const purged = archive.filter(isExpired);
+        if (purged.length === 0) return { archive, purged };
+
+        return { archive: archive.filter(task => !isExpired(task)), purged };
+    }
+
+    /**
+     * Search archived tasks, most recently archived first
+     * @param {Array} archive - Archived tasks
+     * @param {string} query - Search query, in the same syntax as the task search
+     * @returns {Array} Matching archived tasks
+     */
+    static search(archive, query) {
+        return TaskQuery.filter(archive, query)
+            .slice()
+            .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt));
+    }
+}
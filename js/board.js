@@ -0,0 +1,82 @@
+/**
+ * Board (kanban) view
+ *
+ * The board shows the same filtered and sorted tasks as the list, split into
+ * columns by status, tag or list. Moving a card to another column changes the
+ * field the columns are based on.
+ */
+import { TaskModel, TASK_STATUSES, DEFAULT_LIST_ID } from './taskModel.js';
+
+export const BOARD_COLUMNS = ['status', 'tag', 'list'];
+
+// Column id of tasks without tags when the board is split by tag
+export const NO_TAG_COLUMN = '';
+
+export class BoardModel {
+    /**
+     * Split tasks into board columns
+     * @param {Array} tasks - Sorted tasks
+     * @param {string} columnsBy - 'status', 'tag' or 'list'
+     * @param {Array} lists - All lists (for 'list' columns)
+     * @returns {Array} Columns of { id, label, color, tasks }
+     */
+    static getColumns(tasks, columnsBy, lists = []) {
+        switch (columnsBy) {
+            case 'tag': {
+                // A task appears under each of its tags, as when grouping the list by tag
+                const tags = TaskModel.getAllTags(tasks);
+                return [
+                    ...tags.map(tag => ({ id: tag, label: tag, color: null, tasks: tasks.filter(task => task.tags.includes(tag)) })),
+                    { id: NO_TAG_COLUMN, label: 'No tag', color: null, tasks: tasks.filter(task => task.tags.length === 0) }
+                ];
+            }
+            case 'list': {
+                // Every list gets a column, even an empty one, so cards can be moved into it
+                const listIds = new Set(lists.map(list => list.id));
+                return lists.map(list => ({
+                    id: list.id,
+                    label: list.name,
+                    color: list.color,
+                    tasks: tasks.filter(task => task.listId === list.id ||
+                        (list.id === DEFAULT_LIST_ID && !listIds.has(task.listId)))
+                }));
+            }
+            case 'status':
+            default:
+                return TASK_STATUSES.map(status => ({
+                    id: status,
+                    label: TaskModel.STATUS_LABELS[status],
+                    color: null,
+                    tasks: tasks.filter(task => task.status === status)
+                }));
+        }
+    }
+
+    /**
+     * Move a task between tag or list columns (status moves are handled by the app,
+     * since completing a task can create its next occurrence)
+     * @param {Object} task - Task object
+     * @param {string} columnsBy - 'tag' or 'list'
+     * @param {string} fromColumnId - Column the card came from
+     * @param {string} toColumnId - Column the card was dropped on
+     * @returns {Array} Error messages; empty when the task was moved
+     */
+    static moveTask(task, columnsBy, fromColumnId, toColumnId) {
+        if (columnsBy === 'list') {
+            task.listId = toColumnId;
+            return [];
+        }
+
+        // Tag columns: swap the tag of the column it came from for the new one
+        const tags = task.tags.filter(tag => tag !== fromColumnId);
+        if (toColumnId !== NO_TAG_COLUMN && !tags.includes(toColumnId)) {
+            tags.push(toColumnId);
+        }
+        if (tags.length > 10) {
+            return ['Maximum 10 tags allowed'];
+        }
+
+        task.tags = tags;
+        return [];
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * Calendar (month/week) view
+ *
+ * Tasks are placed on their due date. Weeks start on Monday, as in the
+ * due:this-week search, and a month shows every week that touches it.
+ */
+import { TaskModel } from './taskModel.js';
+import { DateUtils } from './dateUtils.js';
+
+export const CALENDAR_MODES = ['month', 'week'];
+
+// Tasks shown in a month cell before the rest are summed up as "+N more"
+export const MONTH_DAY_LIMIT = 3;
+
+export class CalendarModel {
+    /**
+     * Lay out the days of a month or week with their tasks
+     * @param {Array} tasks - Sorted tasks
+     * @param {string} mode - 'month' or 'week'
+     * @param {Date} anchor - Any date in the month or week to show
+     * @param {Date} today - Reference date (defaults to today)
+     * @returns {Object} { title, days, undated } where days are
+     *     { date, label, inRange, isToday, tasks, hiddenCount } and undated counts tasks without a due date
+     */
+    static getCalendar(tasks, mode, anchor, today = DateUtils.today()) {
+        const { start, end } = this.getRange(mode, anchor);
+        const todayString = DateUtils.toDateString(today);
+        const byDate = this.groupByDate(tasks);
+        const limit = mode === 'month' ? MONTH_DAY_LIMIT : Infinity;
+
+        const days = [];
+        for (let date = start; date <= end; date = DateUtils.addDays(date, 1)) {
+            const dateString = DateUtils.toDateString(date);
+            const dayTasks = byDate.get(dateString) || [];
+
+            days.push({
+                date: dateString,
+                label: date.getDate(),
+                inRange: mode === 'week' || date.getMonth() === anchor.getMonth(),
+                isToday: dateString === todayString,
+                // A crowded day shows one row fewer so the "+N more" line fits
+                tasks: dayTasks.length > limit ? dayTasks.slice(0, limit - 1) : dayTasks,
+                hiddenCount: dayTasks.length > limit ? dayTasks.length - limit + 1 : 0
+            });
+        }
+
+        return {
+            title: this.getTitle(mode, anchor),
+            days,
+            undated: tasks.filter(task => !task.dueDate).length
+        };
+    }
+
+    /**
+     * Get the first and last day shown
+     * @param {string} mode - 'month' or 'week'
+     * @param {Date} anchor - Any date in the month or week
+     * @returns {Object} { start, end } as local dates
+     */
+    static getRange(mode, anchor) {
+        if (mode === 'week') {
+            const start = this.getWeekStart(anchor);
+            return { start, end: DateUtils.addDays(start, 6) };
+        }
+
+        const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+        const last = new Date(anchor.getFullYear(), anchor.getMonth(), DateUtils.daysInMonth(anchor.getFullYear(), anchor.getMonth()));
+        return { start: this.getWeekStart(first), end: DateUtils.addDays(this.getWeekStart(last), 6) };
+    }
+
+    /**
+     * Get the Monday of a date's week
+     * @param {Date} date - Date
+     * @returns {Date} Monday
+     */
+    static getWeekStart(date) {
+        return DateUtils.addDays(date, -((date.getDay() + 6) % 7));
+    }
+
+    /**
+     * Group dated tasks by day, timed tasks first in time order and the rest in the given order
+     * @param {Array} tasks - Sorted tasks
+     * @returns {Map} Tasks keyed by YYYY-MM-DD
+     */
+    static groupByDate(tasks) {
+        const byDate = new Map();
+
+        tasks.filter(task => task.dueDate).forEach(task => {
+            if (!byDate.has(task.dueDate)) byDate.set(task.dueDate, []);
+            byDate.get(task.dueDate).push(task);
+        });
+
+        byDate.forEach(dayTasks => dayTasks.sort((a, b) => {
+            if (a.dueTime && b.dueTime) return a.dueTime.localeCompare(b.dueTime);
+            return (a.dueTime ? 0 : 1) - (b.dueTime ? 0 : 1);
+        }));
+
+        return byDate;
+    }
+
+    /**
+     * Move the anchor date by whole months or weeks
+     * @param {Date} anchor - Current anchor date
+     * @param {string} mode - 'month' or 'week'
+     * @param {number} steps - Months or weeks to move (may be negative)
+     * @returns {Date} New anchor date
+     */
+    static shift(anchor, mode, steps) {
+        if (mode === 'week') return DateUtils.addDays(anchor, steps * 7);
+
+        // Keep the day within the new month (e.g. Jan 31 -> Feb 28)
+        const first = new Date(anchor.getFullYear(), anchor.getMonth() + steps, 1);
+        const day = Math.min(anchor.getDate(), DateUtils.daysInMonth(first.getFullYear(), first.getMonth()));
+        return new Date(first.getFullYear(), first.getMonth(), day);
+    }
+
+    /**
+     * Move a task to another day, keeping its due time
+     * @param {Object} task - Task object
+     * @param {string} dateString - New due date (YYYY-MM-DD)
+     * @returns {Array} Error messages; empty when the task was moved
+     */
+    static reschedule(task, dateString) {
+        if (!DateUtils.parseLocalDate(dateString)) {
+            return ['Invalid date'];
+        }
+
+        task.dueDate = dateString;
+        task.urgency = TaskModel.calculateUrgency(task.dueDate, task.dueTime);
+        return [];
+    }
+
+    /**
+     * Describe the month or week shown
+     * @param {string} mode - 'month' or 'week'
+     * @param {Date} anchor - Any date in the month or week
+     * @returns {string} e.g. "October 2026" or "Oct 12 – 18, 2026"
+     */
+    static getTitle(mode, anchor) {
+        if (mode !== 'week') {
+            return anchor.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        }
+
+        const start = this.getWeekStart(anchor);
+        const end = DateUtils.addDays(start, 6);
+        const startText = start.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const endText = start.getMonth() === end.getMonth()
+            ? `${end.getDate()}, ${end.getFullYear()}`
+            : end.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        return `${startText} – ${endText}`;
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * Undo/redo history of task list changes
+ */
+export class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of undoable steps to keep
+     */
+    constructor(limit = 50) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a change
+     * @param {string} label - Description of the change (e.g. "Delete task")
+     * @param {Array} before - Task list before the change
+     * @param {Array} after - Task list after the change
+     * @param {Object} archive - { before, after } archived tasks, when the change also touched the archive (optional)
+     */
+    record(label, before, after, archive = null) {
+        this.undoStack.push({ label, before, after, archive });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * Step back one change
+     * @returns {Object|null} Entry that was undone, or null if there is nothing to undo
+     */
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Re-apply the last undone change
+     * @returns {Object|null} Entry that was redone, or null if there is nothing to redo
+     */
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    /**
+     * Whether there is a change to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Whether there is a change to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all recorded changes
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,117 @@
+/**
+ * Keyboard shortcuts and command palette matching
+ *
+ * The palette's commands are built by the app, since most of them call its
+ * handlers; this module only ranks them against what was typed.
+ */
+
+export const KEYBOARD_SHORTCUTS = [
+    {
+        group: 'Tasks',
+        shortcuts: [
+            { keys: ['j'], description: 'Next task' },
+            { keys: ['k'], description: 'Previous task' },
+            { keys: ['x'], description: 'Complete or reopen the focused task' },
+            { keys: ['e'], description: 'Edit the focused task' },
+            { keys: ['t'], description: 'Start or stop the timer on the focused task' },
+            { keys: ['#'], description: 'Delete the focused task' },
+            { keys: ['Alt', '↑/↓'], description: 'Move the focused task (manual order)' },
+            { keys: ['Alt', '←/→'], description: 'Move a board card or calendar task' }
+        ]
+    },
+    {
+        group: 'Go to',
+        shortcuts: [
+            { keys: ['n'], description: 'New task' },
+            { keys: ['/'], description: 'Search' },
+            { keys: ['Ctrl', 'K'], description: 'Command palette' },
+            { keys: ['?'], description: 'This list of shortcuts' }
+        ]
+    },
+    {
+        group: 'Editing',
+        shortcuts: [
+            { keys: ['Ctrl', 'Enter'], description: 'Add the task being typed' },
+            { keys: ['Ctrl', 'Z'], description: 'Undo' },
+            { keys: ['Ctrl', 'Shift', 'Z'], description: 'Redo' },
+            { keys: ['Ctrl', 'A'], description: 'Select all visible tasks' },
+            { keys: ['Esc'], description: 'Clear the selection or close a dialog' }
+        ]
+    }
+];
+
+// Most results the palette lists at once
+const MAX_RESULTS = 50;
+
+export class CommandModel {
+    /**
+     * Rank commands against a query, best first
+     * @param {Array} commands - Commands of { id, label, keywords, shortcut, run }
+     * @param {string} query - Text typed in the palette
+     * @returns {Array} Matching commands
+     */
+    static search(commands, query) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return commands.slice(0, MAX_RESULTS);
+
+        return commands
+            .map((command, index) => ({ command, index, score: this.score(command, words) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score || a.index - b.index)
+            .slice(0, MAX_RESULTS)
+            .map(result => result.command);
+    }
+
+    /**
+     * Score a command; every query word has to match its label or keywords
+     * @param {Object} command - Command with label and optional keywords
+     * @param {Array} words - Lowercase query words
+     * @returns {number} 0 when it doesn't match, higher for better matches
+     */
+    static score(command, words) {
+        const text = `${command.label} ${command.keywords || ''}`.toLowerCase();
+        let total = 0;
+
+        for (const word of words) {
+            const score = this.scoreWord(text, word);
+            if (score === 0) return 0;
+            total += score;
+        }
+        return total;
+    }
+
+    /**
+     * Score one query word: whole-word starts beat substrings, which beat scattered letters
+     * @param {string} text - Lowercase command text
+     * @param {string} word - Lowercase query word
+     * @returns {number} 0 when the letters don't all appear in order
+     */
+    static scoreWord(text, word) {
+        const position = text.indexOf(word);
+        if (position !== -1) {
+            const atWordStart = position === 0 || /[\s:#/(-]/.test(text[position - 1]);
+            return atWordStart ? 100 - Math.min(position, 50) : 50;
+        }
+
+        // Letters in order starting at a word, e.g. "srtdue" for "sort by due date";
+        // runs of adjacent letters score more
+        let best = 0;
+        for (let start = text.indexOf(word[0]); start !== -1; start = text.indexOf(word[0], start + 1)) {
+            if (start > 0 && !/[\s:#/(-]/.test(text[start - 1])) continue;
+
+            let score = 1;
+            let last = start;
+            for (const char of word.slice(1)) {
+                const found = text.indexOf(char, last + 1);
+                if (found === -1) {
+                    score = 0;
+                    break;
+                }
+                score += found === last + 1 ? 3 : 1;
+                last = found;
+            }
+            best = Math.max(best, score);
+        }
+        return best;
+    }
+}
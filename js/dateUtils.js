@@ -0,0 +1,97 @@
+/**
+ * Date helpers for working with date-only (YYYY-MM-DD) strings in local time
+ *
+ * Due dates and times are wall-clock values with no time zone: a task due at
+ * 09:00 is due at 09:00 wherever the browser is. Never parse them with
+ * new Date(string), which reads a bare date as UTC midnight.
+ */
+export class DateUtils {
+    /**
+     * Parse a YYYY-MM-DD string as a local date (midnight)
+     * @param {string} dateString - Date string
+     * @returns {Date|null} Local date or null if invalid (including days that don't exist, like 2026-02-30)
+     */
+    static parseLocalDate(dateString) {
+        if (!dateString || typeof dateString !== 'string') return null;
+
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString);
+        if (!match) return null;
+
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        // Date rolls impossible parts over (month 13 into next year) and maps years before 100 to 19xx
+        date.setFullYear(year);
+        const roundTrips = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        return roundTrips ? date : null;
+    }
+
+    /**
+     * Combine a YYYY-MM-DD date and an HH:MM time into a local date and time
+     * @param {string} dateString - Date string
+     * @param {string} timeString - Time string (optional, defaults to midnight)
+     * @returns {Date|null} Local date and time or null if the date is invalid
+     */
+    static parseLocalDateTime(dateString, timeString = '') {
+        const date = this.parseLocalDate(dateString);
+        if (!date) return null;
+
+        const match = /^(\d{1,2}):(\d{2})/.exec(timeString || '');
+        if (match) {
+            date.setHours(Number(match[1]), Number(match[2]));
+        }
+        return date;
+    }
+
+    /**
+     * Format a date as a local YYYY-MM-DD string
+     * @param {Date} date - Date to format
+     * @returns {string} Date string
+     */
+    static toDateString(date) {
+        const year = String(date.getFullYear()).padStart(4, '0');
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    /**
+     * Get today's date at local midnight
+     * @returns {Date} Today
+     */
+    static today() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+
+    /**
+     * Add a number of days to a date
+     * @param {Date} date - Start date
+     * @param {number} days - Days to add (may be negative)
+     * @returns {Date} New date
+     */
+    static addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    /**
+     * Count calendar days from one date to another (negative if the second is earlier)
+     * @param {Date} from - Start date
+     * @param {Date} to - End date
+     * @returns {number} Whole days, unaffected by daylight saving changes
+     */
+    static daysBetween(from, to) {
+        const start = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+        const end = new Date(to.getFullYear(), to.getMonth(), to.getDate());
+        return Math.round((end - start) / (1000 * 60 * 60 * 24));
+    }
+
+    /**
+     * Get the number of days in a month
+     * @param {number} year - Full year
+     * @param {number} month - Month index (0-11)
+     * @returns {number} Days in month
+     */
+    static daysInMonth(year, month) {
+        return new Date(year, month + 1, 0).getDate();
+    }
+}
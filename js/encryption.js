@@ -0,0 +1,205 @@
+/**
+ * Passphrase encryption for stored data
+ *
+ * A 256-bit AES-GCM key is derived from the passphrase with PBKDF2 and a random
+ * salt. The salt, iteration count and an encrypted check value live in a
+ * plain-text header, so unlocking can tell a wrong passphrase (the check value
+ * won't decrypt) from damaged data (the check value decrypts but a blob
+ * doesn't). The key is never stored; forgetting the passphrase loses the data.
+ */
+
+const HEADER_VERSION = 1;
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const CHECK_VALUE = 'simple-todo';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// Minutes without input before the app locks itself; 0 means never
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+/**
+ * Error raised when data can't be encrypted or decrypted
+ */
+export class EncryptionError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} reason - 'wrong-passphrase', 'corrupted' or 'unsupported'
+     * @param {Error} cause - Underlying error (optional)
+     */
+    constructor(message, reason, cause = null) {
+        super(message);
+        this.name = 'EncryptionError';
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+export class Encryption {
+    /**
+     * Whether the browser can encrypt (Web Crypto needs HTTPS or localhost)
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Check a new passphrase and its confirmation
+     * @param {string} passphrase - New passphrase
+     * @param {string} confirmation - The passphrase typed again
+     * @returns {Array} Error messages; empty when valid
+     */
+    static validatePassphrase(passphrase, confirmation) {
+        const errors = [];
+
+        if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            errors.push(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        if (passphrase !== confirmation) {
+            errors.push('Passphrases do not match');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Create a header and key for a new passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {number} autoLockMinutes - Idle minutes before locking
+     * @param {number} generation - Counts passphrase changes, so each key's data can be told apart
+     * @returns {Promise<Object>} { header, key }
+     */
+    static async create(passphrase, autoLockMinutes = DEFAULT_AUTO_LOCK_MINUTES, generation = 1) {
+        this.assertSupported();
+
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: this.toBase64(salt) };
+        const key = await this.deriveKey(passphrase, kdf);
+
+        return {
+            header: {
+                version: HEADER_VERSION,
+                cipher: 'AES-GCM',
+                kdf,
+                check: await this.encrypt(key, CHECK_VALUE),
+                autoLockMinutes,
+                generation
+            },
+            key
+        };
+    }
+
+    /**
+     * Derive the key for a header, checking the passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Object} header - Stored header
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     * @throws {EncryptionError} For a wrong passphrase or an unreadable header
+     */
+    static async unlock(passphrase, header) {
+        this.assertSupported();
+        if (!header || header.version !== HEADER_VERSION || !header.kdf || !header.check) {
+            throw new EncryptionError('The encryption settings are damaged or from a newer version of the app', 'corrupted');
+        }
+
+        const key = await this.deriveKey(passphrase, header.kdf);
+        let check;
+        try {
+            check = await this.decrypt(key, header.check);
+        } catch (error) {
+            throw new EncryptionError('Wrong passphrase', 'wrong-passphrase', error);
+        }
+        if (check !== CHECK_VALUE) {
+            throw new EncryptionError('Wrong passphrase', 'wrong-passphrase');
+        }
+
+        return key;
+    }
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Object} kdf - { hash, iterations, salt } with the salt in base64
+     * @returns {Promise<CryptoKey>} Non-extractable key
+     */
+    static async deriveKey(passphrase, kdf) {
+        try {
+            const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+            return await crypto.subtle.deriveKey(
+                { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: this.fromBase64(kdf.salt) },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            throw new EncryptionError('The encryption settings are damaged', 'corrupted', error);
+        }
+    }
+
+    /**
+     * Encrypt a JSON-serializable value
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {*} value - Value to encrypt
+     * @returns {Promise<Object>} Blob of { iv, data } in base64
+     */
+    static async encrypt(key, value) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+
+    /**
+     * Decrypt a blob made by encrypt
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {Object} blob - { iv, data } in base64
+     * @returns {Promise<*>} Decrypted value
+     * @throws {EncryptionError} If the blob is malformed or fails authentication
+     */
+    static async decrypt(key, blob) {
+        try {
+            const data = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.fromBase64(blob.iv) },
+                key,
+                this.fromBase64(blob.data)
+            );
+            return JSON.parse(new TextDecoder().decode(data));
+        } catch (error) {
+            throw new EncryptionError('Saved data is corrupted and could not be decrypted', 'corrupted', error);
+        }
+    }
+
+    /**
+     * Fail clearly when Web Crypto isn't available
+     * @throws {EncryptionError} If unsupported
+     */
+    static assertSupported() {
+        if (!this.isSupported()) {
+            throw new EncryptionError('Encryption needs a secure (HTTPS) page in a current browser', 'unsupported');
+        }
+    }
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64 text
+     */
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    /**
+     * Decode base64 into bytes
+     * @param {string} text - Base64 text
+     * @returns {Uint8Array} Bytes
+     */
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,18 @@
+/**
+ * Inline SVG icons
+ *
+ * Icons are symbols in a local sprite (icons/icons.svg) so they work offline
+ * and inherit the text colour. Add a <symbol> there for each new icon.
+ */
+const SPRITE_URL = 'icons/icons.svg';
+
+export class Icons {
+    /**
+     * Create the markup for an icon
+     * @param {string} name - Symbol id in the sprite
+     * @returns {string} HTML string
+     */
+    static html(name) {
+        return `<svg class="icon" aria-hidden="true"><use href="${SPRITE_URL}#${name}"></use></svg>`;
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * Task lists (projects)
+ *
+ * A list is { id, name, color, sort, tags }. Tasks added to a list get its
+ * default tags, and switching to a list applies its default sort.
+ */
+import { TaskModel, DEFAULT_LIST_ID } from './taskModel.js';
+
+export const ALL_LISTS_ID = 'all';
+
+export const LIST_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+export class ListModel {
+    /**
+     * Create the list that tasks belong to when no other list is chosen
+     * @returns {Object} Inbox list
+     */
+    static createDefaultList() {
+        return {
+            id: DEFAULT_LIST_ID,
+            name: 'Inbox',
+            color: LIST_COLORS[0],
+            sort: 'created',
+            tags: []
+        };
+    }
+
+    /**
+     * Create a new list
+     * @param {Object} data - { name, color, sort, tags }
+     * @param {Array} lists - Existing lists, used to pick an unused colour
+     * @returns {Object} List object
+     */
+    static createList(data, lists = []) {
+        return {
+            id: TaskModel.generateId(),
+            name: data.name.trim(),
+            color: data.color || this.getNextColor(lists),
+            sort: data.sort || 'created',
+            tags: TaskModel.parseTags(data.tags)
+        };
+    }
+
+    /**
+     * Pick the first colour no list uses yet
+     * @param {Array} lists - Existing lists
+     * @returns {string} Hex colour
+     */
+    static getNextColor(lists) {
+        const usedColors = lists.map(list => list.color);
+        return LIST_COLORS.find(color => !usedColors.includes(color)) || LIST_COLORS[0];
+    }
+
+    /**
+     * Make sure the stored lists are usable and the Inbox exists
+     * @param {Array} lists - Stored lists
+     * @returns {Array} Lists with the Inbox first
+     */
+    static normalizeLists(lists) {
+        const valid = (Array.isArray(lists) ? lists : []).filter(list => list && list.id && list.name);
+        const inbox = valid.find(list => list.id === DEFAULT_LIST_ID) || this.createDefaultList();
+
+        return [inbox, ...valid.filter(list => list.id !== DEFAULT_LIST_ID)].map(list => ({
+            ...list,
+            // Colours go into style attributes, so anything but #rrggbb from an old or synced copy is dropped
+            color: COLOR_PATTERN.test(list.color) ? list.color : LIST_COLORS[0],
+            sort: list.sort || 'created',
+            tags: Array.isArray(list.tags) ? list.tags : []
+        }));
+    }
+
+    /**
+     * Validate list settings
+     * @param {Object} data - { name, color, sort, tags }
+     * @param {Array} lists - Existing lists
+     * @param {string|null} listId - Id of the list being edited (null for a new list)
+     * @returns {Array} Array of error messages
+     */
+    static validateList(data, lists, listId = null) {
+        const errors = [];
+        const name = (data.name || '').trim();
+
+        if (!name) {
+            errors.push('List name is required');
+        } else if (name.length > 50) {
+            errors.push('List name must be less than 50 characters');
+        } else if (lists.some(list => list.id !== listId && list.name.toLowerCase() === name.toLowerCase())) {
+            errors.push('A list with that name already exists');
+        }
+
+        if (data.color && !COLOR_PATTERN.test(data.color)) {
+            errors.push('Invalid list colour');
+        }
+
+        if (TaskModel.parseTags(data.tags).length > 10) {
+            errors.push('Maximum 10 default tags allowed');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Find a list by id
+     * @param {Array} lists - Array of lists
+     * @param {string} listId - List id
+     * @returns {Object|null} List or null
+     */
+    static getList(lists, listId) {
+        return lists.find(list => list.id === listId) || null;
+    }
+
+    /**
+     * Keep only the tasks in a list
+     * @param {Array} tasks - Array of tasks
+     * @param {string} listId - List id, or ALL_LISTS_ID for every task
+     * @param {Array} lists - Known lists; tasks of a list that no longer exists count as Inbox tasks
+     * @returns {Array} Tasks in the list
+     */
+    static filterTasks(tasks, listId, lists = []) {
+        if (listId === ALL_LISTS_ID) return tasks;
+
+        const listIds = new Set(lists.map(list => list.id));
+        return tasks.filter(task => task.listId === listId ||
+            (listId === DEFAULT_LIST_ID && !listIds.has(task.listId)));
+    }
+}
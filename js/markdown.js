@@ -0,0 +1,198 @@
+/**
+ * Markdown rendering for task notes
+ *
+ * Supports paragraphs, headings, bulleted and numbered lists, fenced and
+ * inline code, bold, italic and links. Everything is escaped before any markup
+ * is added, so raw HTML in a note shows up as text, and only http(s) and
+ * mailto links are ever turned into anchors.
+ */
+
+// Bare URLs, stopping before trailing punctuation such as a closing bracket or full stop
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']*[^\s<>"'.,;:!?)\]]/gi;
+
+// Code spans, [text](url) links and bare URLs, in that order of precedence
+const INLINE_PATTERN = new RegExp(
+    '`([^`\\n]+)`|\\[([^\\]\\n]+)\\]\\(\\s*([^)\\s]+)\\s*\\)|(' + URL_PATTERN.source + ')',
+    'gi'
+);
+
+const LIST_ITEM_PATTERN = /^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+export class Markdown {
+    /**
+     * Render Markdown as safe HTML
+     * @param {string} source - Markdown text
+     * @returns {string} HTML string
+     */
+    static render(source) {
+        const lines = String(source || '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const closeParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.renderInline(line.trim())).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const closeList = () => {
+            if (list) {
+                const start = list.type === 'ol' && list.start !== 1 ? ` start="${list.start}"` : '';
+                const items = list.items.map(item => `<li>${item.map(line => this.renderInline(line)).join('<br>')}</li>`);
+                blocks.push(`<${list.type}${start}>${items.join('')}</${list.type}>`);
+                list = null;
+            }
+        };
+
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+
+            // Fenced code block; an unclosed fence runs to the end of the note
+            if (/^\s*```/.test(line)) {
+                closeParagraph();
+                closeList();
+                const code = [];
+                while (++index < lines.length && !/^\s*```/.test(lines[index])) {
+                    code.push(lines[index]);
+                }
+                blocks.push(`<pre><code>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            if (line.trim() === '') {
+                closeParagraph();
+                closeList();
+                continue;
+            }
+
+            // "# Heading" needs the space, so a line of #tags stays a paragraph
+            const heading = /^\s*(#{1,3})\s+(.+)$/.exec(line);
+            if (heading) {
+                closeParagraph();
+                closeList();
+                const level = heading[1].length + 3;
+                blocks.push(`<h${level}>${this.renderInline(heading[2].trim())}</h${level}>`);
+                continue;
+            }
+
+            const item = LIST_ITEM_PATTERN.exec(line);
+            if (item) {
+                closeParagraph();
+                const type = item[1] ? 'ul' : 'ol';
+                if (list && list.type !== type) closeList();
+                if (!list) list = { type, start: type === 'ol' ? Number(item[2]) : 1, items: [] };
+                list.items.push([item[3].trim()]);
+                continue;
+            }
+
+            // Indented lines continue the list item above them
+            if (list && /^\s/.test(line)) {
+                list.items[list.items.length - 1].push(line.trim());
+                continue;
+            }
+
+            closeList();
+            paragraph.push(line);
+        }
+
+        closeParagraph();
+        closeList();
+        return blocks.join('');
+    }
+
+    /**
+     * Render code spans, links and emphasis within a line
+     * @param {string} text - One line of Markdown
+     * @returns {string} HTML string
+     */
+    static renderInline(text) {
+        let html = '';
+        let last = 0;
+        let match;
+
+        INLINE_PATTERN.lastIndex = 0;
+        while ((match = INLINE_PATTERN.exec(text))) {
+            const [whole, code, label, target, bareUrl] = match;
+            html += this.renderEmphasis(text.slice(last, match.index));
+            last = match.index + whole.length;
+
+            if (code !== undefined) {
+                html += `<code>${this.escapeHtml(code)}</code>`;
+            } else if (label !== undefined) {
+                const url = this.getSafeUrl(target);
+                html += url ? this.createLinkHTML(url, this.renderEmphasis(label)) : this.escapeHtml(whole);
+            } else {
+                html += this.createLinkHTML(this.getSafeUrl(bareUrl), this.escapeHtml(bareUrl));
+            }
+        }
+
+        return html + this.renderEmphasis(text.slice(last));
+    }
+
+    /**
+     * Escape text and add bold and italic
+     * @param {string} text - Plain text with Markdown emphasis
+     * @returns {string} HTML string
+     */
+    static renderEmphasis(text) {
+        return this.escapeHtml(text)
+            .replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)(.+?)(?<=\S)\*/g, '<em>$1</em>')
+            // Underscores inside words (snake_case) are left alone
+            .replace(/(^|[^\w])_(?=\S)(.+?)(?<=\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    /**
+     * Escape a title and turn any URLs in it into links
+     * @param {string} text - Task title
+     * @param {Function} formatText - Escapes (and may highlight) the text around and inside links
+     * @returns {string} HTML string
+     */
+    static linkify(text, formatText = part => this.escapeHtml(part)) {
+        let html = '';
+        let last = 0;
+
+        for (const match of text.matchAll(URL_PATTERN)) {
+            html += formatText(text.slice(last, match.index));
+            html += this.createLinkHTML(this.getSafeUrl(match[0]), formatText(match[0]));
+            last = match.index + match[0].length;
+        }
+
+        return html + formatText(text.slice(last));
+    }
+
+    /**
+     * Check a link target, allowing only web and email links
+     * @param {string} url - Link target as written
+     * @returns {string|null} Absolute URL, or null if it isn't allowed
+     */
+    static getSafeUrl(url) {
+        const absolute = /^www\./i.test(url) ? `https://${url}` : url;
+        return /^(https?:\/\/|mailto:)[^\s]+$/i.test(absolute) ? absolute : null;
+    }
+
+    /**
+     * Create an anchor that opens outside the app
+     * @param {string} url - Safe absolute URL
+     * @param {string} html - Link content (already escaped)
+     * @returns {string} HTML string
+     */
+    static createLinkHTML(url, html) {
+        return `<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${html}</a>`;
+    }
+
+    /**
+     * Escape text for use in HTML content and attribute values
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
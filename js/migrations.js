@@ -0,0 +1,108 @@
+/**
+ * Schema migrations for stored tasks
+ *
+ * Each migration upgrades the task array from the previous version. To change
+ * the stored format, append a migration and bump SCHEMA_VERSION to match.
+ */
+import { TaskModel } from './taskModel.js';
+
+export const SCHEMA_VERSION = 11;
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'import tasks saved by the original single-page app',
+        migrate(tasks) {
+            let legacyTasks = [];
+            try {
+                legacyTasks = JSON.parse(localStorage.getItem('simple-tasks')) || [];
+            } catch (error) {
+                console.error('Error reading legacy tasks:', error);
+            }
+
+            const ids = new Set(tasks.map(task => task.id));
+            const imported = legacyTasks
+                .filter(task => task && task.id && !ids.has(task.id))
+                .map(task => ({
+                    ...task,
+                    urgency: TaskModel.calculateUrgency(task.dueDate)
+                }));
+
+            localStorage.removeItem('simple-tasks');
+            return [...tasks, ...imported];
+        }
+    },
+    {
+        version: 2,
+        description: 'add recurrence, due time, explicit priority, subtask and updated-at fields',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 3,
+        description: 'split the user-set priority (P1-P4) from the due-date urgency',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 4,
+        description: 'add a position for manual ordering, following the stored order',
+        migrate(tasks) {
+            return TaskModel.ensurePositions(tasks);
+        }
+    },
+    {
+        version: 5,
+        description: 'put existing tasks in the Inbox list',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 6,
+        description: 'add reminders and recalculate urgency with due times in local time',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 7,
+        description: 'record when tasks were completed, estimated from the last update for tasks already done',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask({
+                ...task,
+                completedAt: task.completed ? task.completedAt || task.updatedAt || task.createdAt : null
+            }));
+        }
+    },
+    {
+        version: 8,
+        description: 'add a workflow status (to do, in progress, done) for the board view',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 9,
+        description: 'add Markdown notes to tasks',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 10,
+        description: 'add dependencies on other tasks (blocked by)',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    },
+    {
+        version: 11,
+        description: 'add time entries, estimates and a running timer',
+        migrate(tasks) {
+            return tasks.map(task => TaskModel.normalizeTask(task));
+        }
+    }
+];
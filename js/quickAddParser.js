@@ -0,0 +1,321 @@
+/**
+ * Natural-language quick-add parser for the task input
+ */
+import { DateUtils } from './dateUtils.js';
+import { TaskModel } from './taskModel.js';
+
+const WEEKDAY = '(?:sun(?:day)?|mon(?:day)?|tue(?:s|sday)?|wed(?:nesday)?|thu(?:r|rs|rsday)?|fri(?:day)?|sat(?:urday)?)';
+const MONTH = '(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const ORDINAL = '(?:st|nd|rd|th)?';
+const DATE_PREFIX = '(?:(?:on|by|due)\\s+)?';
+
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_KEYS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export class QuickAddParser {
+    /**
+     * Parse quick-add text into task fields
+     * @param {string} input - Raw text typed into the task input
+     * @param {Date} today - Reference date (defaults to today)
+     * @returns {Object} Parsed fields: text, dueDate, dueTime, tags, priority, recurrence
+     */
+    static parse(input, today = DateUtils.today()) {
+        const result = {
+            text: '',
+            dueDate: '',
+            dueTime: '',
+            tags: [],
+            priority: null,
+            recurrence: null
+        };
+        if (!input || typeof input !== 'string') return result;
+
+        const state = { rest: ` ${input} ` };
+
+        result.recurrence = this.extractRecurrence(state);
+        const dueDate = this.extractDate(state, today);
+        result.dueTime = this.extractTime(state);
+        result.tags = this.extractTags(state);
+        result.priority = this.extractPriority(state);
+
+        if (dueDate) {
+            result.dueDate = DateUtils.toDateString(dueDate);
+        } else if (result.recurrence) {
+            result.dueDate = DateUtils.toDateString(this.getFirstOccurrence(result.recurrence, today));
+        } else if (result.dueTime) {
+            result.dueDate = DateUtils.toDateString(today);
+        }
+
+        result.text = state.rest.replace(/\s+/g, ' ').trim();
+        return result;
+    }
+
+    /**
+     * Remove the first match of a pattern from the remaining text
+     * @param {Object} state - Parser state holding the remaining text
+     * @param {RegExp} pattern - Pattern to match
+     * @param {Function} accept - Check a match has to pass to be removed (optional)
+     * @returns {Array|null} Match or null
+     */
+    static take(state, pattern, accept = () => true) {
+        const matches = state.rest.matchAll(new RegExp(pattern.source, `${pattern.flags}g`));
+        const match = Array.from(matches).find(accept);
+        if (!match) return null;
+
+        state.rest = state.rest.slice(0, match.index) + ' ' + state.rest.slice(match.index + match[0].length);
+        return match;
+    }
+
+    /**
+     * Extract a repeat rule such as "every friday" or "every 2 weeks"
+     * @param {Object} state - Parser state
+     * @returns {Object|null} Raw recurrence rule
+     */
+    static extractRecurrence(state) {
+        let match = this.take(state, /\b(?:every|each)\s+month\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\b/i);
+        if (match) {
+            return { frequency: 'monthly', interval: 1, dayOfMonth: Number(match[1]) };
+        }
+
+        match = this.take(state, /\b(?:every|each)\s+weekday\b/i);
+        if (match) {
+            return { frequency: 'weekly', interval: 1, weekdays: [1, 2, 3, 4, 5] };
+        }
+
+        const weekdayList = new RegExp(`\\b(?:every|each)\\s+(${WEEKDAY}(?:\\s*(?:,|and|&)\\s*${WEEKDAY})*)\\b`, 'i');
+        match = this.take(state, weekdayList);
+        if (match) {
+            const weekdays = match[1]
+                .split(/\s*(?:,|and|&)\s*/i)
+                .map(day => this.getWeekdayIndex(day));
+            return { frequency: 'weekly', interval: 1, weekdays };
+        }
+
+        match = this.take(state, /\b(?:every|each)\s+(\d+)\s+(day|week|month)s?\b/i);
+        if (match) {
+            return { frequency: this.getFrequency(match[2]), interval: Number(match[1]) };
+        }
+
+        match = this.take(state, /\b(?:(?:every|each)\s+(day|week|month)|(daily|weekly|monthly))\b/i);
+        if (match) {
+            return { frequency: this.getFrequency(match[1] || match[2]), interval: 1 };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract a due date such as "tomorrow", "next friday" or "oct 20"
+     * @param {Object} state - Parser state
+     * @param {Date} today - Reference date
+     * @returns {Date|null} Due date
+     */
+    static extractDate(state, today) {
+        // Dates that don't exist (like 2024-02-30) are left in the text
+        let match = this.take(state, new RegExp(`\\b${DATE_PREFIX}(\\d{4}-\\d{2}-\\d{2})\\b`, 'i'),
+            found => DateUtils.parseLocalDate(found[1]) !== null);
+        if (match) {
+            return DateUtils.parseLocalDate(match[1]);
+        }
+
+        match = this.take(state, new RegExp(`\\b${DATE_PREFIX}(today|tonight|tomorrow|tmrw|tmr)\\b`, 'i'));
+        if (match) {
+            return /^(today|tonight)$/i.test(match[1]) ? today : DateUtils.addDays(today, 1);
+        }
+
+        match = this.take(state, /\bin\s+(\d+)\s+(day|week|month)s?\b/i);
+        if (match) {
+            const amount = Number(match[1]);
+            switch (this.getFrequency(match[2])) {
+                case 'daily':
+                    return DateUtils.addDays(today, amount);
+                case 'weekly':
+                    return DateUtils.addDays(today, amount * 7);
+                default:
+                    return new Date(today.getFullYear(), today.getMonth() + amount, today.getDate());
+            }
+        }
+
+        match = this.take(state, new RegExp(`\\b${DATE_PREFIX}next\\s+week\\b`, 'i'));
+        if (match) {
+            // Monday of the following week
+            return DateUtils.addDays(today, 7 - ((today.getDay() + 6) % 7));
+        }
+
+        // Abbreviations are ordinary words too ("sun screen", "sat down"), so they need "on", "next" and so on
+        match = this.take(state, new RegExp(`\\b${DATE_PREFIX}(?:(next|this)\\s+)?(${WEEKDAY})\\b`, 'i'),
+            found => found[0] !== found[2] || /day$/i.test(found[2]));
+        if (match) {
+            return this.getNextWeekday(today, this.getWeekdayIndex(match[2]), /^next$/i.test(match[1] || ''));
+        }
+
+        match = this.take(state, new RegExp(`\\b${DATE_PREFIX}(${MONTH})\\.?\\s+(\\d{1,2})${ORDINAL}\\b`, 'i'),
+            found => this.getNextMonthDate(today, this.getMonthIndex(found[1]), Number(found[2])) !== null);
+        if (match) {
+            return this.getNextMonthDate(today, this.getMonthIndex(match[1]), Number(match[2]));
+        }
+
+        match = this.take(state, new RegExp(`\\b${DATE_PREFIX}(\\d{1,2})${ORDINAL}\\s+(${MONTH})\\b`, 'i'),
+            found => this.getNextMonthDate(today, this.getMonthIndex(found[2]), Number(found[1])) !== null);
+        if (match) {
+            return this.getNextMonthDate(today, this.getMonthIndex(match[2]), Number(match[1]));
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract a due time such as "3pm", "at 15:30" or "noon"
+     * @param {Object} state - Parser state
+     * @returns {string} Time as HH:MM or empty string
+     */
+    static extractTime(state) {
+        // Hours past 12 (like "13pm") are left in the text
+        let match = this.take(state, /(?:\bat\s+|@\s*)?\b(\d{1,2})(?::([0-5]\d))?\s*(am|pm)\b/i,
+            found => Number(found[1]) >= 1 && Number(found[1]) <= 12);
+        if (match) {
+            let hours = Number(match[1]);
+            if (match[3].toLowerCase() === 'pm' && hours !== 12) hours += 12;
+            if (match[3].toLowerCase() === 'am' && hours === 12) hours = 0;
+            return this.formatTime(hours, Number(match[2] || 0));
+        }
+
+        match = this.take(state, /(?:\bat\s+|@\s*)?\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+        if (match) {
+            return this.formatTime(Number(match[1]), Number(match[2]));
+        }
+
+        match = this.take(state, /\b(?:at\s+)?(noon|midnight)\b/i);
+        if (match) {
+            return match[1].toLowerCase() === 'noon' ? '12:00' : '00:00';
+        }
+
+        return '';
+    }
+
+    /**
+     * Extract all #tags
+     * @param {Object} state - Parser state
+     * @returns {Array} Array of unique lowercase tags
+     */
+    static extractTags(state) {
+        const tags = [];
+        let match;
+
+        while ((match = this.take(state, /(?:^|\s)(#[\w-]+)(?=\s|$)/))) {
+            const tag = match[1].toLowerCase();
+            if (!tags.includes(tag)) tags.push(tag);
+        }
+
+        return tags;
+    }
+
+    /**
+     * Extract an explicit priority such as "!p1" or "!high"
+     * @param {Object} state - Parser state
+     * @returns {number|null} Priority from 1 to 4
+     */
+    static extractPriority(state) {
+        const match = this.take(state, /(?:^|\s)!(urgent|high|medium|med|normal|low|p?[1-4])(?=\s|$)/i);
+        return match ? TaskModel.parsePriority(match[1]) : null;
+    }
+
+    /**
+     * Get the first due date of a repeat rule on or after a date
+     * @param {Object} rule - Raw recurrence rule
+     * @param {Date} today - Reference date
+     * @returns {Date} First occurrence
+     */
+    static getFirstOccurrence(rule, today) {
+        if (rule.frequency === 'weekly' && rule.weekdays) {
+            for (let offset = 0; offset < 7; offset++) {
+                const candidate = DateUtils.addDays(today, offset);
+                if (rule.weekdays.includes(candidate.getDay())) return candidate;
+            }
+        }
+
+        if (rule.frequency === 'monthly' && rule.dayOfMonth) {
+            const thisMonth = new Date(today.getFullYear(), today.getMonth(),
+                Math.min(rule.dayOfMonth, DateUtils.daysInMonth(today.getFullYear(), today.getMonth())));
+            if (thisMonth >= today) return thisMonth;
+
+            const year = today.getFullYear();
+            const month = today.getMonth() + 1;
+            return new Date(year, month, Math.min(rule.dayOfMonth, DateUtils.daysInMonth(year, month)));
+        }
+
+        return today;
+    }
+
+    /**
+     * Get the next date falling on a weekday
+     * @param {Date} today - Reference date
+     * @param {number} weekday - Weekday index (0 = Sunday)
+     * @param {boolean} skipToday - Whether today itself is excluded
+     * @returns {Date} Next matching date
+     */
+    static getNextWeekday(today, weekday, skipToday) {
+        let offset = (weekday - today.getDay() + 7) % 7;
+        if (offset === 0 && skipToday) offset = 7;
+        return DateUtils.addDays(today, offset);
+    }
+
+    /**
+     * Get the next date for a month/day pair, rolling into next year if it has passed
+     * @param {Date} today - Reference date
+     * @param {number} month - Month index (0-11)
+     * @param {number} day - Day of month
+     * @returns {Date|null} Date or null if the day does not exist
+     */
+    static getNextMonthDate(today, month, day) {
+        let year = today.getFullYear();
+        if (day < 1 || day > DateUtils.daysInMonth(year, month)) return null;
+
+        let date = new Date(year, month, day);
+        if (date < today) {
+            year += 1;
+            date = new Date(year, month, Math.min(day, DateUtils.daysInMonth(year, month)));
+        }
+        return date;
+    }
+
+    /**
+     * Map a weekday word to its index
+     * @param {string} word - Weekday name or abbreviation
+     * @returns {number} Weekday index (0 = Sunday)
+     */
+    static getWeekdayIndex(word) {
+        return WEEKDAY_KEYS.indexOf(word.trim().slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Map a month word to its index
+     * @param {string} word - Month name or abbreviation
+     * @returns {number} Month index (0-11)
+     */
+    static getMonthIndex(word) {
+        return MONTH_KEYS.indexOf(word.trim().slice(0, 3).toLowerCase());
+    }
+
+    /**
+     * Map a unit word to a recurrence frequency
+     * @param {string} unit - day, week, month, daily, weekly or monthly
+     * @returns {string} Frequency name
+     */
+    static getFrequency(unit) {
+        const key = unit.toLowerCase();
+        if (key.startsWith('day') || key === 'daily') return 'daily';
+        if (key.startsWith('week')) return 'weekly';
+        return 'monthly';
+    }
+
+    /**
+     * Format hours and minutes as HH:MM
+     * @param {number} hours - Hours (0-23)
+     * @param {number} minutes - Minutes (0-59)
+     * @returns {string} Time string
+     */
+    static formatTime(hours, minutes) {
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+}
@@ -0,0 +1,204 @@
+/**
+ * Recurrence rules for repeating tasks
+ */
+import { DateUtils } from './dateUtils.js';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export class Recurrence {
+    /**
+     * Supported repeat frequencies
+     * @returns {Array} Frequency names
+     */
+    static get FREQUENCIES() {
+        return ['daily', 'weekly', 'monthly'];
+    }
+
+    /**
+     * Normalize a recurrence rule, filling in defaults
+     * @param {Object|null} rule - Raw rule (e.g. from a form or storage)
+     * @param {string} dueDate - Due date the rule is anchored to (optional)
+     * @returns {Object|null} Normalized rule or null for one-off tasks
+     */
+    static normalize(rule, dueDate = '') {
+        if (!rule || !this.FREQUENCIES.includes(rule.frequency)) return null;
+
+        const anchor = DateUtils.parseLocalDate(dueDate) || DateUtils.today();
+        const interval = Math.max(1, parseInt(rule.interval, 10) || 1);
+        const normalized = {
+            frequency: rule.frequency,
+            interval: interval,
+            weekdays: [],
+            dayOfMonth: null,
+            endDate: rule.endDate || '',
+            count: rule.count ? Math.max(1, parseInt(rule.count, 10) || 1) : null,
+            occurrence: Math.max(1, parseInt(rule.occurrence, 10) || 1)
+        };
+
+        if (rule.frequency === 'weekly') {
+            const weekdays = (Array.isArray(rule.weekdays) ? rule.weekdays : [])
+                .map(day => parseInt(day, 10))
+                .filter(day => day >= 0 && day <= 6);
+            normalized.weekdays = weekdays.length > 0
+                ? [...new Set(weekdays)].sort()
+                : [anchor.getDay()];
+        }
+
+        if (rule.frequency === 'monthly') {
+            const day = parseInt(rule.dayOfMonth, 10);
+            normalized.dayOfMonth = day >= 1 && day <= 31 ? day : anchor.getDate();
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Validate a recurrence rule
+     * @param {Object|null} rule - Rule to validate
+     * @returns {Array} Array of error messages
+     */
+    static validate(rule) {
+        const errors = [];
+        if (!rule) return errors;
+        if (typeof rule !== 'object') return ['Invalid repeat rule'];
+
+        if (!this.FREQUENCIES.includes(rule.frequency)) {
+            errors.push('Invalid repeat frequency');
+        }
+
+        if (rule.weekdays !== undefined && rule.weekdays !== null && !Array.isArray(rule.weekdays)) {
+            errors.push('Repeat weekdays must be a list');
+        }
+
+        if (rule.interval !== undefined && rule.interval !== '' &&
+            !(parseInt(rule.interval, 10) >= 1)) {
+            errors.push('Repeat interval must be at least 1');
+        }
+
+        if (rule.endDate && !DateUtils.parseLocalDate(rule.endDate)) {
+            errors.push('Invalid repeat end date');
+        }
+
+        if (rule.count !== undefined && rule.count !== null && rule.count !== '' &&
+            !(parseInt(rule.count, 10) >= 1)) {
+            errors.push('Repeat count must be at least 1');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Calculate the next due date for a recurring task
+     * @param {Object} rule - Normalized recurrence rule
+     * @param {string} fromDate - Current due date (defaults to today)
+     * @returns {string|null} Next due date or null if the series has ended
+     */
+    static getNextDueDate(rule, fromDate = '') {
+        if (!rule) return null;
+        if (rule.count && rule.occurrence >= rule.count) return null;
+
+        const base = DateUtils.parseLocalDate(fromDate) || DateUtils.today();
+        let next;
+
+        switch (rule.frequency) {
+            case 'daily':
+                next = DateUtils.addDays(base, rule.interval);
+                break;
+            case 'weekly':
+                next = this.getNextWeekday(base, rule.weekdays, rule.interval);
+                break;
+            case 'monthly':
+                next = this.getNextMonthDay(base, rule.dayOfMonth, rule.interval);
+                break;
+            default:
+                return null;
+        }
+
+        const endDate = DateUtils.parseLocalDate(rule.endDate);
+        if (endDate && next > endDate) return null;
+
+        return DateUtils.toDateString(next);
+    }
+
+    /**
+     * Find the next matching weekday after a date
+     * @param {Date} base - Start date (exclusive)
+     * @param {Array} weekdays - Allowed weekdays (0 = Sunday)
+     * @param {number} interval - Repeat every N weeks
+     * @returns {Date} Next date
+     */
+    static getNextWeekday(base, weekdays, interval) {
+        const weekStart = DateUtils.addDays(base, -base.getDay());
+
+        for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+            const candidate = DateUtils.addDays(base, offset);
+            const daysApart = Math.round((candidate - weekStart) / (1000 * 60 * 60 * 24));
+            const weeksApart = Math.floor(daysApart / 7);
+            if (weekdays.includes(candidate.getDay()) && weeksApart % interval === 0) {
+                return candidate;
+            }
+        }
+
+        return DateUtils.addDays(base, 7 * interval);
+    }
+
+    /**
+     * Find the next occurrence of a day-of-month after a date
+     * @param {Date} base - Start date (exclusive)
+     * @param {number} dayOfMonth - Day of month (clamped to month length)
+     * @param {number} interval - Repeat every N months
+     * @returns {Date} Next date
+     */
+    static getNextMonthDay(base, dayOfMonth, interval) {
+        for (let months = 0; ; months += interval) {
+            const year = base.getFullYear();
+            const month = base.getMonth() + months;
+            const day = Math.min(dayOfMonth, DateUtils.daysInMonth(year, month));
+            const candidate = new Date(year, month, day);
+            if (candidate > base) return candidate;
+        }
+    }
+
+    /**
+     * Create the rule for the occurrence following this one
+     * @param {Object} rule - Normalized recurrence rule
+     * @returns {Object} Rule with the occurrence counter advanced
+     */
+    static advance(rule) {
+        return { ...rule, occurrence: rule.occurrence + 1 };
+    }
+
+    /**
+     * Describe a rule for display
+     * @param {Object|null} rule - Normalized recurrence rule
+     * @returns {string} Human readable description
+     */
+    static describe(rule) {
+        if (!rule) return '';
+
+        const every = (unit) => rule.interval === 1 ? `Every ${unit}` : `Every ${rule.interval} ${unit}s`;
+        let text;
+
+        switch (rule.frequency) {
+            case 'daily':
+                text = every('day');
+                break;
+            case 'weekly':
+                text = `${every('week')} on ${rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ')}`;
+                break;
+            case 'monthly':
+                text = `${every('month')} on day ${rule.dayOfMonth}`;
+                break;
+            default:
+                return '';
+        }
+
+        if (rule.count) {
+            text += ` (${rule.occurrence} of ${rule.count})`;
+        } else if (rule.endDate) {
+            text += ` until ${rule.endDate}`;
+        }
+
+        return text;
+    }
+}
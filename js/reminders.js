@@ -0,0 +1,212 @@
+/**
+ * Due-date reminders
+ *
+ * Each task stores its reminders as minutes before the due time. The service
+ * re-arms whenever the task list changes (including on load) and checks at
+ * least once a minute, so reminders held up by a sleeping tab or computer are
+ * still delivered when it wakes rather than relying on one long timer.
+ */
+import { DateUtils } from './dateUtils.js';
+import { TaskModel } from './taskModel.js';
+
+export const REMINDER_OPTIONS = [
+    { minutes: 0, label: 'At due time' },
+    { minutes: 10, label: '10 minutes before' },
+    { minutes: 60, label: '1 hour before' },
+    { minutes: 1440, label: '1 day before' }
+];
+
+// Tasks without a due time are reminded relative to this time on their due date
+export const DEFAULT_REMINDER_TIME = '09:00';
+
+const CHECK_INTERVAL = 60 * 1000;
+// Reminders missed by longer than this (e.g. the app was closed) are dropped quietly
+const MISSED_GRACE = 12 * 60 * 60 * 1000;
+const FIRED_KEY = 'todo-reminders-fired';
+const FIRED_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+export class ReminderService {
+    /**
+     * @param {Function} onFallback - Called with (reminder, message) when a system notification can't be shown
+     */
+    constructor(onFallback) {
+        this.onFallback = onFallback;
+        this.tasks = [];
+        this.timer = null;
+
+        // Timers are throttled in hidden tabs, so check again as soon as we're back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.check();
+        });
+        window.addEventListener('focus', () => this.check());
+    }
+
+    /**
+     * Re-arm reminders for the current tasks
+     * @param {Array} tasks - Array of tasks
+     */
+    schedule(tasks) {
+        this.tasks = tasks;
+        // Check after the current update finishes so its own messages don't hide a reminder
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.check(), 0);
+    }
+
+    /**
+     * Deliver any reminders that are due and set a timer for the next one
+     */
+    check() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        const now = Date.now();
+        const fired = this.loadFired();
+        let next = Infinity;
+
+        ReminderService.getReminders(this.tasks).forEach(reminder => {
+            if (fired[reminder.key]) return;
+
+            if (reminder.at <= now) {
+                fired[reminder.key] = now;
+                if (now - reminder.at <= MISSED_GRACE) {
+                    this.deliver(reminder);
+                }
+            } else {
+                next = Math.min(next, reminder.at);
+            }
+        });
+
+        this.saveFired(fired, now);
+
+        if (next !== Infinity) {
+            this.timer = setTimeout(() => this.check(), Math.min(next - now, CHECK_INTERVAL));
+        }
+    }
+
+    /**
+     * Show a reminder as a system notification, or in the app if that isn't possible
+     * @param {Object} reminder - Reminder from getReminders
+     */
+    deliver(reminder) {
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            try {
+                const notification = new Notification(reminder.task.text, {
+                    body: ReminderService.formatWhen(reminder),
+                    tag: reminder.key
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    notification.close();
+                };
+                return;
+            } catch (error) {
+                // Some mobile browsers only allow notifications from a service worker
+                console.error('Error showing notification:', error);
+            }
+        }
+
+        this.onFallback(reminder, ReminderService.formatMessage(reminder));
+    }
+
+    /**
+     * List every reminder of the open tasks
+     * @param {Array} tasks - Array of tasks
+     * @returns {Array} Reminders of { key, at, minutes, task }
+     */
+    static getReminders(tasks) {
+        return tasks
+            .filter(task => !task.completed && task.dueDate && task.reminders && task.reminders.length > 0)
+            .flatMap(task => {
+                const due = DateUtils.parseLocalDateTime(task.dueDate, task.dueTime || DEFAULT_REMINDER_TIME);
+                if (!due) return [];
+
+                return task.reminders.map(minutes => ({
+                    // Changing the due date or time gives a new key, so the reminder fires again
+                    key: `${task.id}@${task.dueDate}T${task.dueTime}-${minutes}`,
+                    at: due.getTime() - minutes * 60 * 1000,
+                    minutes,
+                    task
+                }));
+            });
+    }
+
+    /**
+     * Describe a reminder offset
+     * @param {number} minutes - Minutes before the due time
+     * @returns {string} Label
+     */
+    static describe(minutes) {
+        const option = REMINDER_OPTIONS.find(o => o.minutes === minutes);
+        if (option) return option.label;
+        if (minutes % 1440 === 0) return `${minutes / 1440} days before`;
+        if (minutes % 60 === 0) return `${minutes / 60} hours before`;
+        return `${minutes} minutes before`;
+    }
+
+    /**
+     * Describe when the task of a reminder is due
+     * @param {Object} reminder - Reminder from getReminders
+     * @returns {string} e.g. "Due tomorrow at 3:00 PM"
+     */
+    static formatWhen(reminder) {
+        const { task } = reminder;
+        if (reminder.minutes === 0) return 'Due now';
+
+        const time = task.dueTime ? ` at ${TaskModel.formatTime(task.dueTime)}` : '';
+        return `${TaskModel.getDueDateStatus(task.dueDate, task.dueTime).text}${time}`;
+    }
+
+    /**
+     * Build the in-app reminder text
+     * @param {Object} reminder - Reminder from getReminders
+     * @returns {string} Message
+     */
+    static formatMessage(reminder) {
+        return `Reminder: "${reminder.task.text}" — ${this.formatWhen(reminder)}`;
+    }
+
+    /**
+     * Ask for permission to show system notifications (call from a user action)
+     * @returns {Promise<string>} Permission state
+     */
+    static async requestPermission() {
+        if (typeof Notification === 'undefined') return 'unsupported';
+        if (Notification.permission !== 'default') return Notification.permission;
+
+        try {
+            return await Notification.requestPermission();
+        } catch (error) {
+            console.error('Error requesting notification permission:', error);
+            return 'default';
+        }
+    }
+
+    /**
+     * Read which reminders were already delivered (shared by all open tabs)
+     * @returns {Object} Delivery times keyed by reminder key
+     */
+    loadFired() {
+        try {
+            return JSON.parse(localStorage.getItem(FIRED_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Record delivered reminders, forgetting old ones
+     * @param {Object} fired - Delivery times keyed by reminder key
+     * @param {number} now - Current time
+     */
+    saveFired(fired, now) {
+        Object.keys(fired).forEach(key => {
+            if (now - fired[key] > FIRED_RETENTION) delete fired[key];
+        });
+
+        try {
+            localStorage.setItem(FIRED_KEY, JSON.stringify(fired));
+        } catch (error) {
+            console.error('Error saving reminder state:', error);
+        }
+    }
+}
@@ -0,0 +1,481 @@
+/**
+ * Sync with a self-hosted server
+ *
+ * Tasks, active and archived, are pushed to and pulled from an HTTP endpoint
+ * speaking the JSON API described in the README (server/sync-server.mjs is a
+ * reference implementation). Rather than logging each change, the client keeps
+ * the version of every task the server has: anything that differs locally is
+ * pushed on the next sync, so changes made offline or during a failed request
+ * are replayed once the server can be reached. Pulls ask only for what changed
+ * since the last cursor and send the last ETag, so an idle server answers 304.
+ *
+ * A task's version is its updatedAt, or its archivedAt once archived. Both
+ * sides keep the newest version; a deletion beats any older version.
+ *
+ * Only one tab talks to the server at a time; it holds a Web Lock while open,
+ * and the others send their changes to it through TabSync as usual.
+ */
+import { TaskModel } from './taskModel.js';
+import { ArchiveModel } from './archive.js';
+
+// Wait this long after a change before pushing, so a burst of edits goes in one request
+const PUSH_DELAY_MS = 2 * 1000;
+const PULL_INTERVAL_MS = 60 * 1000;
+// Retry delays after a failed sync, the last one repeating
+const RETRY_DELAYS_MS = [5, 30, 60, 300].map(seconds => seconds * 1000);
+const LEADER_LOCK = 'todo-server-sync';
+
+/**
+ * Error raised when the sync server can't be used
+ */
+export class SyncError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {string} reason - 'invalid-url', 'offline', 'unauthorized', 'server' or 'invalid-response'
+     * @param {Error} cause - Underlying error (optional)
+     */
+    constructor(message, reason, cause = null) {
+        super(message);
+        this.name = 'SyncError';
+        this.reason = reason;
+        this.cause = cause;
+    }
+}
+
+export class ServerSync {
+    /**
+     * @param {TaskStorage} storage - Storage for the sync settings and state
+     * @param {Object} callbacks - App hooks
+     * @param {Function} callbacks.getData - Returns { tasks, archive } as the app has them now
+     * @param {Function} callbacks.onChanges - Called with { tasks, archive } when a pull changed them
+     * @param {Function} callbacks.onStatus - Called with getStatus() whenever it changes
+     */
+    constructor(storage, { getData, onChanges, onStatus }) {
+        this.storage = storage;
+        this.getData = getData;
+        this.onChanges = onChanges;
+        this.onStatus = onStatus;
+        this.state = ServerSync.normalizeState(null);
+        // Whether this tab is the one talking to the server
+        this.leader = false;
+        this.running = false;
+        this.rerun = false;
+        this.timer = null;
+        this.failures = 0;
+        this.error = null;
+    }
+
+    /**
+     * Load the settings and start syncing once this tab is the one to do it
+     */
+    async start() {
+        this.state = ServerSync.normalizeState(await this.storage.loadSyncState());
+        this.report();
+
+        window.addEventListener('online', () => this.sync());
+        // Timers are throttled in hidden tabs, so pull again as soon as we're back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.sync();
+        });
+
+        if (typeof navigator === 'undefined' || !navigator.locks) {
+            // No Web Locks: every tab syncs, which is safe but does some work twice
+            this.becomeLeader();
+            return;
+        }
+        // The lock is held until the tab closes, then the next waiting tab takes over
+        navigator.locks.request(LEADER_LOCK, () => {
+            this.becomeLeader();
+            return new Promise(() => {});
+        }).catch(error => console.error('Error waiting to sync:', error));
+    }
+
+    /**
+     * Start syncing from this tab
+     */
+    becomeLeader() {
+        this.leader = true;
+        this.sync();
+    }
+
+    /**
+     * Check the settings typed into the sync form
+     * @param {string} url - Server address
+     * @returns {Array} Error messages; empty when valid
+     */
+    static validateUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return ['Enter the full server address, e.g. https://tasks.example.com/api'];
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            return ['The server address must start with http:// or https://'];
+        }
+        return [];
+    }
+
+    /**
+     * Fill in missing or invalid sync state
+     * @param {Object|null} state - Stored state
+     * @returns {Object} { url, token, cursor, etag, synced, lastSyncedAt } where synced maps task ids to the version the server has
+     */
+    static normalizeState(state) {
+        const saved = state || {};
+        return {
+            url: typeof saved.url === 'string' ? saved.url : '',
+            token: typeof saved.token === 'string' ? saved.token : '',
+            cursor: typeof saved.cursor === 'string' ? saved.cursor : null,
+            etag: typeof saved.etag === 'string' ? saved.etag : null,
+            synced: saved.synced && typeof saved.synced === 'object' ? saved.synced : {},
+            lastSyncedAt: saved.lastSyncedAt || null
+        };
+    }
+
+    /**
+     * Get the version of a task the server compares
+     * @param {Object} task - Task or archived task
+     * @returns {string} ISO timestamp
+     */
+    static getVersion(task) {
+        const updatedAt = task.updatedAt || task.createdAt || '';
+        return task.archivedAt && task.archivedAt > updatedAt ? task.archivedAt : updatedAt;
+    }
+
+    /**
+     * Work out what the server hasn't been sent yet
+     * @param {Object} data - { tasks, archive }
+     * @param {Object} synced - Task ids mapped to the version the server has
+     * @returns {Object} { tasks, deleted } where deleted lists the ids of tasks gone from here
+     */
+    static getPending({ tasks, archive }, synced) {
+        const all = [...tasks, ...archive];
+        const ids = new Set(all.map(task => task.id));
+
+        return {
+            tasks: all.filter(task => synced[task.id] !== this.getVersion(task)),
+            deleted: Object.keys(synced).filter(id => !ids.has(id))
+        };
+    }
+
+    /**
+     * Merge a delta pulled from the server into the local tasks
+     * Remote versions replace older local ones; newer local versions stay and
+     * are pushed next time. Tasks deleted here but not yet pushed stay deleted.
+     * @param {Object} data - { tasks, archive }
+     * @param {Object} delta - { tasks, deleted } from the server
+     * @param {Object} synced - Task ids mapped to the version the server had
+     * @returns {Object} { tasks, archive, synced, changed }
+     */
+    static applyRemote({ tasks, archive }, delta, synced) {
+        const local = new Map([...tasks, ...archive].map(task => [task.id, task]));
+        const nextSynced = { ...synced };
+        // Task ids mapped to their remote version, or null when deleted there
+        const updates = new Map();
+
+        delta.tasks.forEach(remote => {
+            const mine = local.get(remote.id);
+            if (!mine && synced[remote.id]) return;
+
+            nextSynced[remote.id] = this.getVersion(remote);
+            if (!mine || this.getVersion(remote) > this.getVersion(mine)) {
+                updates.set(remote.id, remote);
+            }
+        });
+        delta.deleted.forEach(id => {
+            delete nextSynced[id];
+            if (local.has(id)) updates.set(id, null);
+        });
+
+        if (updates.size === 0) {
+            return { tasks, archive, synced: nextSynced, changed: false };
+        }
+
+        const unchanged = list => list.filter(task => !updates.has(task.id));
+        const incoming = [...updates.values()].filter(Boolean);
+        // Leave the archive as it was when nothing in it changed, so it isn't saved again
+        const archiveChanged = incoming.some(task => task.archivedAt) || archive.some(task => updates.has(task.id));
+        return {
+            tasks: [...unchanged(tasks), ...incoming.filter(task => !task.archivedAt)],
+            archive: archiveChanged ? [...incoming.filter(task => task.archivedAt), ...unchanged(archive)] : archive,
+            synced: nextSynced,
+            changed: true
+        };
+    }
+
+    /**
+     * Check and complete tasks pulled from the server
+     * They go into the page like local tasks, so ones the app wouldn't accept are left out.
+     * @param {Array} tasks - Tasks from a delta
+     * @returns {Array} Normalized tasks
+     */
+    static normalizeRemote(tasks) {
+        return tasks
+            .filter(task => typeof task.text === 'string' && TaskModel.validateTask(task).isValid)
+            .map(task => task.archivedAt ? ArchiveModel.normalizeEntry(task) : TaskModel.normalizeTask(task));
+    }
+
+    /**
+     * Describe the sync state for the UI
+     * @returns {Object} { enabled, url, state, pending, lastSyncedAt, error } where state is
+     *     'off', 'standby' (another tab syncs), 'syncing', 'synced', 'offline' or 'error'
+     */
+    getStatus() {
+        const enabled = !!this.state.url;
+        const pending = ServerSync.getPending(this.getData(), this.state.synced);
+        let state = 'synced';
+
+        if (!enabled) {
+            state = 'off';
+        } else if (!this.leader) {
+            state = 'standby';
+        } else if (this.running) {
+            state = 'syncing';
+        } else if (this.error) {
+            state = this.error.reason === 'offline' ? 'offline' : 'error';
+        }
+
+        return {
+            enabled,
+            url: this.state.url,
+            state,
+            pending: pending.tasks.length + pending.deleted.length,
+            lastSyncedAt: this.state.lastSyncedAt,
+            error: this.error ? this.error.message : ''
+        };
+    }
+
+    /**
+     * Connect to a server, starting afresh if it's a different one
+     * @param {string} url - Server address
+     * @param {string} token - Access token (optional; left blank, the saved one is kept for the same server)
+     * @returns {Promise} Resolves when saved; rejects with a SyncError or StorageError
+     */
+    async connect(url, token) {
+        const errors = ServerSync.validateUrl(url);
+        if (errors.length > 0) throw new SyncError(errors[0], 'invalid-url');
+
+        const address = url.trim().replace(/\/+$/, '');
+        this.state = address === this.state.url
+            ? { ...this.state, token: token || this.state.token }
+            : { ...ServerSync.normalizeState(null), url: address, token };
+        this.error = null;
+        this.failures = 0;
+        await this.storage.saveSyncState(this.state);
+        this.sync();
+    }
+
+    /**
+     * Stop syncing and forget the server
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    async disconnect() {
+        clearTimeout(this.timer);
+        this.state = ServerSync.normalizeState(null);
+        this.error = null;
+        await this.storage.saveSyncState(this.state);
+        this.report();
+    }
+
+    /**
+     * Pick up settings another tab saved
+     */
+    async reload() {
+        this.state = ServerSync.normalizeState(await this.storage.loadSyncState());
+        this.error = null;
+        this.failures = 0;
+        this.sync();
+    }
+
+    /**
+     * Push local changes shortly, after any others made in the meantime
+     */
+    schedule() {
+        if (!this.leader || !this.state.url || this.error) {
+            this.report();
+            return;
+        }
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.sync(), PUSH_DELAY_MS);
+        this.report();
+    }
+
+    /**
+     * Push pending changes, pull the server's, and schedule the next sync
+     */
+    async sync() {
+        if (!this.leader || !this.state.url) {
+            this.report();
+            return;
+        }
+        if (this.running) {
+            this.rerun = true;
+            return;
+        }
+
+        clearTimeout(this.timer);
+        this.running = true;
+        this.report();
+
+        try {
+            await this.runCycle();
+            this.error = null;
+            this.failures = 0;
+        } catch (error) {
+            console.error('Error syncing with the server:', error);
+            this.error = error instanceof SyncError ? error : new SyncError(`Sync failed: ${error.message}`, 'server', error);
+            this.failures++;
+        }
+
+        this.running = false;
+        if (this.rerun) {
+            this.rerun = false;
+            this.sync();
+            return;
+        }
+
+        if (this.state.url) {
+            const delay = this.error
+                ? RETRY_DELAYS_MS[Math.min(this.failures, RETRY_DELAYS_MS.length) - 1]
+                : PULL_INTERVAL_MS;
+            this.timer = setTimeout(() => this.sync(), delay);
+        }
+        this.report();
+    }
+
+    /**
+     * Run one push and pull
+     */
+    async runCycle() {
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            throw new SyncError('You are offline; changes will be sent when you reconnect', 'offline');
+        }
+
+        const pending = ServerSync.getPending(this.getData(), this.state.synced);
+        let stale = [];
+        if (pending.tasks.length > 0 || pending.deleted.length > 0) {
+            // Tasks can be edited while the request is out, so note the versions being sent now
+            const synced = { ...this.state.synced };
+            pending.tasks.forEach(task => {
+                synced[task.id] = ServerSync.getVersion(task);
+            });
+            pending.deleted.forEach(id => delete synced[id]);
+
+            stale = await this.readStale(await this.request('POST', { tasks: pending.tasks, deleted: pending.deleted }));
+            // The server kept a newer version of these, or deleted them: fetch everything to get its copy
+            stale.forEach(id => delete synced[id]);
+            this.state = stale.length > 0
+                ? { ...this.state, synced, cursor: null, etag: null }
+                : { ...this.state, synced };
+            await this.storage.saveSyncState(this.state);
+        }
+
+        let response = await this.request('GET');
+        if (response.status === 410) {
+            // The server no longer has the history behind our cursor: fetch everything
+            this.state = { ...this.state, cursor: null, etag: null };
+            response = await this.request('GET');
+        }
+
+        if (response.status !== 304) {
+            const delta = await this.readDelta(response);
+            const listed = new Set(delta.tasks.map(task => task.id));
+            const result = ServerSync.applyRemote(this.getData(), {
+                tasks: ServerSync.normalizeRemote(delta.tasks),
+                // A rejected task the full download doesn't have was deleted on the server
+                deleted: [...delta.deleted, ...stale.filter(id => !listed.has(id))]
+            }, this.state.synced);
+            this.state = { ...this.state, synced: result.synced, cursor: delta.cursor, etag: response.headers.get('ETag') };
+            if (result.changed) {
+                this.onChanges({ tasks: result.tasks, archive: result.archive });
+            }
+        }
+
+        this.state = { ...this.state, lastSyncedAt: new Date().toISOString() };
+        await this.storage.saveSyncState(this.state);
+    }
+
+    /**
+     * Send a request to the tasks endpoint
+     * @param {string} method - 'GET' to pull (since the saved cursor) or 'POST' to push
+     * @param {Object} body - Changes to push (POST only)
+     * @returns {Promise<Response>} Response (2xx, 304 or 410)
+     * @throws {SyncError} If the server can't be reached or refuses the request
+     */
+    async request(method, body = null) {
+        const headers = { Accept: 'application/json' };
+        let url = `${this.state.url}/tasks`;
+
+        if (this.state.token) headers.Authorization = `Bearer ${this.state.token}`;
+        if (body) headers['Content-Type'] = 'application/json';
+        if (method === 'GET' && this.state.cursor) {
+            url += `?since=${encodeURIComponent(this.state.cursor)}`;
+            if (this.state.etag) headers['If-None-Match'] = this.state.etag;
+        }
+
+        let response;
+        try {
+            response = await fetch(url, { method, headers, body: body ? JSON.stringify(body) : undefined, cache: 'no-store' });
+        } catch (error) {
+            throw new SyncError('Could not reach the sync server; changes will be sent when it is back', 'offline', error);
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            throw new SyncError('The sync server did not accept the access token', 'unauthorized');
+        }
+        if (!response.ok && response.status !== 304 && response.status !== 410) {
+            throw new SyncError(`The sync server answered with an error (HTTP ${response.status})`, 'server');
+        }
+        return response;
+    }
+
+    /**
+     * Read and check a pulled delta
+     * Tasks and deleted ids without a usable id are left out so the rest still applies.
+     * @param {Response} response - Response to a GET
+     * @returns {Promise<Object>} { cursor, tasks, deleted }
+     * @throws {SyncError} If it isn't a delta
+     */
+    async readDelta(response) {
+        let delta;
+        try {
+            delta = await response.json();
+        } catch (error) {
+            throw new SyncError('The sync server sent something that is not JSON', 'invalid-response', error);
+        }
+
+        const valid = delta && typeof delta.cursor === 'string' && Array.isArray(delta.tasks) && Array.isArray(delta.deleted);
+        if (!valid) {
+            throw new SyncError('The sync server sent changes in an unexpected format', 'invalid-response');
+        }
+
+        const tasks = delta.tasks.filter(task => task && typeof task === 'object' && TaskModel.isValidId(task.id));
+        const deleted = delta.deleted.filter(id => TaskModel.isValidId(id));
+        return { cursor: delta.cursor, tasks, deleted };
+    }
+
+    /**
+     * Read the ids the server turned down from the answer to a push
+     * @param {Response} response - Response to a POST
+     * @returns {Promise<Array>} Ids of tasks the server has a newer version of
+     * @throws {SyncError} If the answer isn't JSON
+     */
+    async readStale(response) {
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            throw new SyncError('The sync server sent something that is not JSON', 'invalid-response', error);
+        }
+
+        return result && Array.isArray(result.stale) ? result.stale.filter(id => TaskModel.isValidId(id)) : [];
+    }
+
+    /**
+     * Tell the app the status may have changed
+     */
+    report() {
+        this.onStatus(this.getStatus());
+    }
+}
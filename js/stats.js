@@ -0,0 +1,227 @@
+/**
+ * Productivity statistics
+ *
+ * Completion history comes from each task's completedAt timestamp. Day and
+ * week buckets use the browser's local calendar, with weeks starting on Monday
+ * as in the due:this-week search.
+ */
+import { TaskModel } from './taskModel.js';
+import { DateUtils } from './dateUtils.js';
+import { TimeTracking } from './timeTracking.js';
+
+const DAY_COUNT = 14;
+const WEEK_COUNT = 8;
+
+export class StatsModel {
+    /**
+     * Compute everything the statistics panel shows
+     * @param {Array} tasks - Array of tasks
+     * @param {Date} today - Reference date (defaults to today)
+     * @returns {Object} Totals from TaskModel.getTaskStats plus perDay, perWeek, streaks,
+     *     averageTimeToComplete, overdueTrend, tags, timeTracked and timeByTag
+     */
+    static getStats(tasks, today = DateUtils.today()) {
+        const completions = this.getCompletionsByDay(tasks);
+
+        return {
+            ...TaskModel.getTaskStats(tasks),
+            perDay: this.getCompletedPerDay(completions, today),
+            perWeek: this.getCompletedPerWeek(completions, today),
+            streaks: this.getStreaks(completions, today),
+            averageTimeToComplete: this.getAverageTimeToComplete(tasks),
+            overdueTrend: this.getOverdueTrend(tasks, today),
+            tags: this.getTagBreakdown(tasks),
+            timeTracked: TimeTracking.getTotal(tasks),
+            timeByTag: TimeTracking.getTotalsByTag(tasks)
+        };
+    }
+
+    /**
+     * Count completed tasks per local day
+     * @param {Array} tasks - Array of tasks
+     * @returns {Map} Counts keyed by YYYY-MM-DD
+     */
+    static getCompletionsByDay(tasks) {
+        const completions = new Map();
+
+        tasks.forEach(task => {
+            const completedAt = task.completed && task.completedAt ? new Date(task.completedAt) : null;
+            if (!completedAt || isNaN(completedAt)) return;
+
+            const day = DateUtils.toDateString(completedAt);
+            completions.set(day, (completions.get(day) || 0) + 1);
+        });
+
+        return completions;
+    }
+
+    /**
+     * Tasks completed on each of the last days, oldest first
+     * @param {Map} completions - Counts from getCompletionsByDay
+     * @param {Date} today - Reference date
+     * @param {number} days - Number of days to include
+     * @returns {Array} Points of { label, title, count }
+     */
+    static getCompletedPerDay(completions, today, days = DAY_COUNT) {
+        return Array.from({ length: days }, (_, index) => {
+            const date = DateUtils.addDays(today, index - days + 1);
+            const count = completions.get(DateUtils.toDateString(date)) || 0;
+
+            return {
+                label: String(date.getDate()),
+                title: `${this.formatDay(date, { weekday: 'short' })}: ${count} completed`,
+                count
+            };
+        });
+    }
+
+    /**
+     * Tasks completed in each of the last weeks, oldest first
+     * @param {Map} completions - Counts from getCompletionsByDay
+     * @param {Date} today - Reference date
+     * @param {number} weeks - Number of weeks to include (the current week is the last)
+     * @returns {Array} Points of { label, title, count }
+     */
+    static getCompletedPerWeek(completions, today, weeks = WEEK_COUNT) {
+        const weekStart = DateUtils.addDays(today, -((today.getDay() + 6) % 7));
+
+        return Array.from({ length: weeks }, (_, index) => {
+            const start = DateUtils.addDays(weekStart, (index - weeks + 1) * 7);
+            let count = 0;
+            for (let day = 0; day < 7; day++) {
+                count += completions.get(DateUtils.toDateString(DateUtils.addDays(start, day))) || 0;
+            }
+
+            return {
+                label: this.formatDay(start),
+                title: `Week of ${this.formatDay(start)}: ${count} completed`,
+                count
+            };
+        });
+    }
+
+    /**
+     * Runs of consecutive days with at least one completed task
+     * @param {Map} completions - Counts from getCompletionsByDay
+     * @param {Date} today - Reference date
+     * @returns {Object} { current, longest } in days; the current streak survives until today ends
+     */
+    static getStreaks(completions, today) {
+        let current = 0;
+        let day = completions.has(DateUtils.toDateString(today)) ? today : DateUtils.addDays(today, -1);
+        while (completions.has(DateUtils.toDateString(day))) {
+            current++;
+            day = DateUtils.addDays(day, -1);
+        }
+
+        let longest = 0;
+        let run = 0;
+        let previous = null;
+        [...completions.keys()].sort().forEach(key => {
+            const date = DateUtils.parseLocalDate(key);
+            run = previous && DateUtils.daysBetween(previous, date) === 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            previous = date;
+        });
+
+        return { current, longest };
+    }
+
+    /**
+     * Average time from adding a task to completing it
+     * @param {Array} tasks - Array of tasks
+     * @returns {number|null} Milliseconds, or null when no completed task has both timestamps
+     */
+    static getAverageTimeToComplete(tasks) {
+        const durations = tasks
+            .filter(task => task.completed && task.completedAt && task.createdAt)
+            .map(task => new Date(task.completedAt) - new Date(task.createdAt))
+            .filter(duration => duration >= 0);
+
+        if (durations.length === 0) return null;
+        return durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+    }
+
+    /**
+     * How many tasks were overdue on each of the last days, oldest first
+     *
+     * A task counts on a day if it existed by the end of that day, was due
+     * before it, and had not been completed before it started. Due dates are
+     * taken as they are now, so rescheduled tasks count against their new date.
+     * @param {Array} tasks - Array of tasks
+     * @param {Date} today - Reference date
+     * @param {number} days - Number of days to include
+     * @returns {Array} Points of { label, title, count }
+     */
+    static getOverdueTrend(tasks, today, days = DAY_COUNT) {
+        return Array.from({ length: days }, (_, index) => {
+            const date = DateUtils.addDays(today, index - days + 1);
+            const dateString = DateUtils.toDateString(date);
+            const start = date.getTime();
+            const end = DateUtils.addDays(date, 1).getTime();
+
+            const count = tasks.filter(task => {
+                if (!task.dueDate || task.dueDate >= dateString) return false;
+                if (task.createdAt && new Date(task.createdAt).getTime() >= end) return false;
+                if (!task.completed) return true;
+                return !!task.completedAt && new Date(task.completedAt).getTime() >= start;
+            }).length;
+
+            return {
+                label: String(date.getDate()),
+                title: `${this.formatDay(date, { weekday: 'short' })}: ${count} overdue`,
+                count
+            };
+        });
+    }
+
+    /**
+     * Completion counts for each tag, most used first
+     * @param {Array} tasks - Array of tasks
+     * @returns {Array} Rows of { tag, total, completed, rate }
+     */
+    static getTagBreakdown(tasks) {
+        const tags = new Map();
+
+        tasks.forEach(task => {
+            task.tags.forEach(tag => {
+                const row = tags.get(tag) || { tag, total: 0, completed: 0 };
+                row.total++;
+                if (task.completed) row.completed++;
+                tags.set(tag, row);
+            });
+        });
+
+        return [...tags.values()]
+            .map(row => ({ ...row, rate: Math.round((row.completed / row.total) * 100) }))
+            .sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number|null} milliseconds - Duration
+     * @returns {string} e.g. "45 min", "5 h" or "3.5 days"; an em dash when unknown
+     */
+    static formatDuration(milliseconds) {
+        if (milliseconds === null || milliseconds === undefined) return '—';
+
+        const minutes = Math.round(milliseconds / (60 * 1000));
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = minutes / 60;
+        if (hours < 48) return `${Math.round(hours)} h`;
+
+        const days = hours / 24;
+        return `${days < 10 ? days.toFixed(1) : Math.round(days)} days`;
+    }
+
+    /**
+     * Format a date as a short month and day
+     * @param {Date} date - Date to format
+     * @param {Object} options - Extra toLocaleDateString options (optional)
+     * @returns {string} e.g. "Oct 12"
+     */
+    static formatDay(date, options = {}) {
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', ...options });
+    }
+}
@@ -1,64 +1,1001 @@
 /**
- * Storage module for handling localStorage operations
+ * Storage module for persisting tasks
+ *
+ * TaskStorage wraps a backend (IndexedDB where available, localStorage
+ * otherwise). Every backend implements the same async interface:
+ * loadTasks(), saveTasks(tasks), clearTasks(), loadArchive(),
+ * saveArchive(tasks), getSchemaVersion(), setSchemaVersion(version),
+ * loadMeta(key) and saveMeta(key, value).
+ *
+ * Archived tasks are kept apart from the active ones, so saving the task list
+ * never has to write the whole history of done work.
+ *
+ * With encryption turned on, the backend is wrapped in an EncryptedBackend
+ * once the passphrase is entered; until then the storage is locked and
+ * neither loads nor saves.
  */
-export class TaskStorage {
+import { MIGRATIONS, SCHEMA_VERSION } from './migrations.js';
+import { Encryption, EncryptionError } from './encryption.js';
+
+const LEGACY_STORAGE_KEY = 'todo-tasks';
+
+// Meta value holding the encryption header; it is the one thing never encrypted
+const ENCRYPTION_META_KEY = 'encryption';
+
+// Values saved with saveMeta that are converted when encryption is turned on or off
+const ENCRYPTED_META_KEYS = ['lists', 'views', 'view-state', 'archive-settings', 'sync'];
+
+/**
+ * Error raised when tasks cannot be read or written
+ */
+export class StorageError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Error} cause - Underlying error (optional)
+     */
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+        this.quotaExceeded = StorageError.isQuotaError(cause);
+    }
+
+    /**
+     * Check whether an error means the browser storage quota is full
+     * @param {Error} error - Error to check
+     * @returns {boolean} True for quota errors
+     */
+    static isQuotaError(error) {
+        if (!error) return false;
+        return error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014;
+    }
+}
+
+/**
+ * Backend storing all tasks as one JSON blob in localStorage
+ */
+export class LocalStorageBackend {
     constructor() {
-        this.storageKey = 'todo-tasks';
+        this.name = 'localStorage';
+        this.storageKey = LEGACY_STORAGE_KEY;
+        this.archiveKey = 'todo-archive';
+        this.versionKey = 'todo-schema-version';
+    }
+
+    /**
+     * Load tasks from localStorage
+     * @returns {Promise<Array>} Array of task objects
+     */
+    async loadTasks() {
+        return LocalStorageBackend.readJSON(this.storageKey) || [];
     }
 
     /**
      * Save tasks to localStorage
      * @param {Array} tasks - Array of task objects
      */
-    saveTasks(tasks) {
+    async saveTasks(tasks) {
         try {
             localStorage.setItem(this.storageKey, JSON.stringify(tasks));
         } catch (error) {
-            console.error('Error saving tasks to localStorage:', error);
+            throw new StorageError('Could not save tasks to localStorage', error);
         }
     }
 
     /**
-     * Load tasks from localStorage
-     * @returns {Array} Array of task objects
+     * Clear all tasks from localStorage
+     */
+    async clearTasks() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Load archived tasks from localStorage
+     * @returns {Promise<Array>} Array of archived task objects
+     */
+    async loadArchive() {
+        return LocalStorageBackend.readJSON(this.archiveKey) || [];
+    }
+
+    /**
+     * Save archived tasks to localStorage
+     * @param {Array} tasks - Array of archived task objects
+     */
+    async saveArchive(tasks) {
+        try {
+            localStorage.setItem(this.archiveKey, JSON.stringify(tasks));
+        } catch (error) {
+            throw new StorageError('Could not save the archive to localStorage', error);
+        }
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {Promise<number>} Version (0 if never stamped)
+     */
+    async getSchemaVersion() {
+        return Number(localStorage.getItem(this.versionKey)) || 0;
+    }
+
+    /**
+     * Stamp the stored data with a schema version
+     * @param {number} version - Schema version
+     */
+    async setSchemaVersion(version) {
+        localStorage.setItem(this.versionKey, String(version));
+    }
+
+    /**
+     * Load a value stored alongside the tasks (e.g. saved views)
+     * @param {string} key - Value name
+     * @returns {Promise<*>} Stored value or null
+     */
+    async loadMeta(key) {
+        return LocalStorageBackend.readJSON(`todo-${key}`);
+    }
+
+    /**
+     * Store a value alongside the tasks
+     * @param {string} key - Value name
+     * @param {*} value - JSON-serializable value (null removes it)
+     */
+    async saveMeta(key, value) {
+        if (value === null) {
+            localStorage.removeItem(`todo-${key}`);
+            return;
+        }
+
+        try {
+            localStorage.setItem(`todo-${key}`, JSON.stringify(value));
+        } catch (error) {
+            throw new StorageError(`Could not save ${key} to localStorage`, error);
+        }
+    }
+
+    /**
+     * Read and parse a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @returns {*} Parsed value or null if missing or unreadable
+     */
+    static readJSON(key) {
+        try {
+            const value = localStorage.getItem(key);
+            return value ? JSON.parse(value) : null;
+        } catch (error) {
+            console.error(`Error reading ${key} from localStorage:`, error);
+            return null;
+        }
+    }
+}
+
+/**
+ * Backend storing one IndexedDB record per task
+ */
+export class IndexedDBBackend {
+    /**
+     * @param {string} dbName - Database name
+     */
+    constructor(dbName = 'todo-app') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.dbVersion = 2;
+        this.dbPromise = null;
+        // JSON of each task as last written, so unchanged records are skipped
+        this.savedRecords = new Map();
+        this.savedArchiveRecords = new Map();
+    }
+
+    /**
+     * Whether IndexedDB is available in this browser
+     * @returns {boolean} True if supported
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and if needed create) the database
+     * @returns {Promise<IDBDatabase>} Database connection
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('tasks')) {
+                        const store = db.createObjectStore('tasks', { keyPath: 'id' });
+                        store.createIndex('dueDate', 'dueDate');
+                        store.createIndex('tags', 'tags', { multiEntry: true });
+                        // Booleans are not valid keys, so index a 0/1 copy of completed
+                        store.createIndex('completed', 'completedKey');
+                    }
+                    if (!db.objectStoreNames.contains('meta')) {
+                        db.createObjectStore('meta');
+                    }
+                    // Added in version 2
+                    if (!db.objectStoreNames.contains('archive')) {
+                        const archive = db.createObjectStore('archive', { keyPath: 'id' });
+                        archive.createIndex('archivedAt', 'archivedAt');
+                    }
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version of the app in another tab upgrade the database
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                request.onerror = () => reject(new StorageError('Could not open the task database', request.error));
+                request.onblocked = () => reject(new StorageError('The task database is blocked by another tab'));
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a transaction and wait for it to complete
+     * @param {Array} storeNames - Object stores to use
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} work - Called with the transaction; its return value is resolved
+     * @returns {Promise<*>} Result of work
+     */
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onabort = () => reject(new StorageError('Task database transaction failed', tx.error));
+            tx.onerror = () => reject(new StorageError('Task database transaction failed', tx.error));
+            result = work(tx);
+        });
+    }
+
+    /**
+     * Load all tasks in their saved order
+     * @returns {Promise<Array>} Array of task objects
+     */
+    async loadTasks() {
+        let recordsRequest;
+        let orderRequest;
+
+        await this.transaction(['tasks', 'meta'], 'readonly', (tx) => {
+            recordsRequest = tx.objectStore('tasks').getAll();
+            orderRequest = tx.objectStore('meta').get('taskOrder');
+        });
+
+        const order = orderRequest.result || [];
+        const position = new Map(order.map((id, index) => [id, index]));
+        const tasks = recordsRequest.result
+            .map(({ completedKey, ...task }) => task)
+            .sort((a, b) => (position.has(a.id) ? position.get(a.id) : order.length) -
+                (position.has(b.id) ? position.get(b.id) : order.length));
+
+        this.savedRecords = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+        return tasks;
+    }
+
+    /**
+     * Save tasks, writing only records that changed and deleting removed ones
+     * @param {Array} tasks - Array of task objects
+     */
+    async saveTasks(tasks) {
+        const records = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+
+        await this.transaction(['tasks', 'meta'], 'readwrite', (tx) => {
+            const store = tx.objectStore('tasks');
+
+            this.savedRecords.forEach((json, id) => {
+                if (!records.has(id)) store.delete(id);
+            });
+            tasks.forEach(task => {
+                if (this.savedRecords.get(task.id) !== records.get(task.id)) {
+                    store.put({ ...task, completedKey: task.completed ? 1 : 0 });
+                }
+            });
+            tx.objectStore('meta').put(tasks.map(task => task.id), 'taskOrder');
+        });
+
+        this.savedRecords = records;
+    }
+
+    /**
+     * Delete all task records
+     */
+    async clearTasks() {
+        await this.transaction(['tasks', 'meta'], 'readwrite', (tx) => {
+            tx.objectStore('tasks').clear();
+            tx.objectStore('meta').delete('taskOrder');
+        });
+        this.savedRecords = new Map();
+    }
+
+    /**
+     * Load all archived tasks, most recently archived first
+     * @returns {Promise<Array>} Array of archived task objects
+     */
+    async loadArchive() {
+        let request;
+        await this.transaction(['archive'], 'readonly', (tx) => {
+            request = tx.objectStore('archive').index('archivedAt').getAll();
+        });
+
+        const tasks = request.result.reverse();
+        this.savedArchiveRecords = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+        return tasks;
+    }
+
+    /**
+     * Save archived tasks, writing only records that changed and deleting removed ones
+     * @param {Array} tasks - Array of archived task objects
+     */
+    async saveArchive(tasks) {
+        const records = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+
+        await this.transaction(['archive'], 'readwrite', (tx) => {
+            const store = tx.objectStore('archive');
+
+            // Another tab may have archived tasks since we loaded, so look up what is stored
+            const keysRequest = store.getAllKeys();
+            keysRequest.onsuccess = () => {
+                keysRequest.result.forEach(id => {
+                    if (!records.has(id)) store.delete(id);
+                });
+            };
+            tasks.forEach(task => {
+                if (this.savedArchiveRecords.get(task.id) !== records.get(task.id)) {
+                    store.put(task);
+                }
+            });
+        });
+
+        this.savedArchiveRecords = records;
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {Promise<number>} Version (0 if never stamped)
+     */
+    async getSchemaVersion() {
+        let request;
+        await this.transaction(['meta'], 'readonly', (tx) => {
+            request = tx.objectStore('meta').get('schemaVersion');
+        });
+        return request.result || 0;
+    }
+
+    /**
+     * Stamp the stored data with a schema version
+     * @param {number} version - Schema version
+     */
+    async setSchemaVersion(version) {
+        await this.transaction(['meta'], 'readwrite', (tx) => {
+            tx.objectStore('meta').put(version, 'schemaVersion');
+        });
+    }
+
+    /**
+     * Load a value stored alongside the tasks (e.g. saved views)
+     * @param {string} key - Value name
+     * @returns {Promise<*>} Stored value or null
+     */
+    async loadMeta(key) {
+        let request;
+        await this.transaction(['meta'], 'readonly', (tx) => {
+            request = tx.objectStore('meta').get(key);
+        });
+        return request.result === undefined ? null : request.result;
+    }
+
+    /**
+     * Store a value alongside the tasks
+     * @param {string} key - Value name
+     * @param {*} value - Structured-cloneable value (null removes it)
+     */
+    async saveMeta(key, value) {
+        await this.transaction(['meta'], 'readwrite', (tx) => {
+            if (value === null) {
+                tx.objectStore('meta').delete(key);
+            } else {
+                tx.objectStore('meta').put(value, key);
+            }
+        });
+    }
+}
+
+/**
+ * Backend encrypting everything before handing it to another backend
+ * Tasks, the archive and each meta value are kept as one encrypted blob apiece
+ * in the wrapped backend's meta store; only the schema version stays readable.
+ * Blob names carry the header's generation, so re-encrypting writes a new set
+ * alongside the old one instead of overwriting it.
+ */
+export class EncryptedBackend {
+    /**
+     * @param {Object} backend - Backend the blobs are stored in
+     * @param {CryptoKey} key - AES-GCM key
+     * @param {number} generation - Header generation the blobs belong to
+     */
+    constructor(backend, key, generation) {
+        this.name = `${backend.name} (encrypted)`;
+        this.backend = backend;
+        this.key = key;
+        this.generation = generation;
+    }
+
+    /**
+     * Load and decrypt tasks
+     * @returns {Promise<Array>} Array of task objects
+     */
+    async loadTasks() {
+        return (await this.loadBlob('tasks')) || [];
+    }
+
+    /**
+     * Encrypt and save tasks
+     * @param {Array} tasks - Array of task objects
+     */
+    async saveTasks(tasks) {
+        await this.saveBlob('tasks', tasks);
+    }
+
+    /**
+     * Clear all tasks
+     */
+    async clearTasks() {
+        await this.saveBlob('tasks', []);
+    }
+
+    /**
+     * Load and decrypt archived tasks
+     * @returns {Promise<Array>} Array of archived task objects
+     */
+    async loadArchive() {
+        return (await this.loadBlob('archive')) || [];
+    }
+
+    /**
+     * Encrypt and save archived tasks
+     * @param {Array} tasks - Array of archived task objects
+     */
+    async saveArchive(tasks) {
+        await this.saveBlob('archive', tasks);
+    }
+
+    /**
+     * Get the schema version of the stored data
+     * @returns {Promise<number>} Version (0 if never stamped)
+     */
+    getSchemaVersion() {
+        return this.backend.getSchemaVersion();
+    }
+
+    /**
+     * Stamp the stored data with a schema version
+     * @param {number} version - Schema version
+     */
+    setSchemaVersion(version) {
+        return this.backend.setSchemaVersion(version);
+    }
+
+    /**
+     * Load and decrypt a value stored alongside the tasks
+     * @param {string} key - Value name
+     * @returns {Promise<*>} Stored value or null
+     */
+    loadMeta(key) {
+        return this.loadBlob(`meta-${key}`);
+    }
+
+    /**
+     * Encrypt and store a value alongside the tasks
+     * @param {string} key - Value name
+     * @param {*} value - JSON-serializable value
+     */
+    async saveMeta(key, value) {
+        await this.saveBlob(`meta-${key}`, value);
+    }
+
+    /**
+     * Delete every blob of this generation
+     */
+    async clear() {
+        const names = ['tasks', 'archive', ...ENCRYPTED_META_KEYS.map(key => `meta-${key}`)];
+        for (const name of names) {
+            await this.backend.saveMeta(this.getBlobKey(name), null);
+        }
+    }
+
+    /**
+     * Read and decrypt a blob
+     * @param {string} name - Blob name
+     * @returns {Promise<*>} Decrypted value, or null if there is none
+     * @throws {EncryptionError} If the blob is corrupted
+     */
+    async loadBlob(name) {
+        const blob = await this.backend.loadMeta(this.getBlobKey(name));
+        return blob ? Encryption.decrypt(this.key, blob) : null;
+    }
+
+    /**
+     * Encrypt and write a blob
+     * @param {string} name - Blob name
+     * @param {*} value - JSON-serializable value
+     */
+    async saveBlob(name, value) {
+        await this.backend.saveMeta(this.getBlobKey(name), await Encryption.encrypt(this.key, value));
+    }
+
+    /**
+     * Get the meta key a blob is stored under
+     * @param {string} name - Blob name
+     * @returns {string} Meta key
+     */
+    getBlobKey(name) {
+        return `encrypted-${this.generation}-${name}`;
+    }
+}
+
+/**
+ * Task storage facade used by the app
+ */
+export class TaskStorage {
+    /**
+     * @param {Object} backend - Storage backend (defaults to IndexedDB when supported)
+     */
+    constructor(backend = null) {
+        this.backend = backend || (IndexedDBBackend.isSupported() ? new IndexedDBBackend() : new LocalStorageBackend());
+        this.pendingSave = Promise.resolve();
+        // Encryption header, or null when the data is stored in plain text
+        this.encryption = null;
+        this.locked = false;
+    }
+
+    /**
+     * Open the backend and run any pending migrations
+     * Encrypted data is left locked, and migrated once unlocked.
+     * A database that fails to open is reported rather than swapped for an empty localStorage store,
+     * which would hide the existing tasks and let the next save diverge from them.
+     */
+    async init() {
+        await this.open();
+    }
+
+    /**
+     * Read the encryption header and migrate plain-text data
+     */
+    async open() {
+        this.encryption = await this.backend.loadMeta(ENCRYPTION_META_KEY);
+        this.locked = !!this.encryption;
+        if (!this.locked) {
+            await this.migrate();
+        }
+    }
+
+    /**
+     * Whether the data is encrypted with a passphrase
+     * @returns {boolean} True if encrypted
+     */
+    isEncrypted() {
+        return !!this.encryption;
+    }
+
+    /**
+     * Whether the passphrase is needed before anything can be loaded or saved
+     * @returns {boolean} True if locked
+     */
+    isLocked() {
+        return this.locked;
+    }
+
+    /**
+     * Get how long the app may sit idle before locking
+     * @returns {number} Minutes (0 when it never locks or isn't encrypted)
+     */
+    getAutoLockMinutes() {
+        return this.encryption ? this.encryption.autoLockMinutes : 0;
+    }
+
+    /**
+     * Unlock encrypted data and run any pending migrations
+     * @param {string} passphrase - Passphrase
+     * @throws {EncryptionError} For a wrong passphrase or corrupted data
+     */
+    async unlock(passphrase) {
+        const key = await Encryption.unlock(passphrase, this.encryption);
+        this.backend = new EncryptedBackend(this.backend, key, this.encryption.generation);
+        this.locked = false;
+        await this.migrate();
+    }
+
+    /**
+     * Forget the key once pending saves are written
+     * Loads and saves fail until the storage is unlocked again.
+     * @returns {Promise} Resolves when locked
+     */
+    async lock() {
+        if (!this.encryption) return;
+
+        await this.pendingSave;
+        this.locked = true;
+        if (this.backend instanceof EncryptedBackend) {
+            this.backend = this.backend.backend;
+        }
+    }
+
+    /**
+     * Encrypt all stored data with a new passphrase
+     * The encrypted copy is written before the header that makes it the one
+     * loaded, and the plain-text copy is only wiped after that.
+     * @param {string} passphrase - New passphrase
+     * @returns {Promise} Resolves when encrypted; rejects with a StorageError or EncryptionError
+     */
+    enableEncryption(passphrase) {
+        return this.queueSave('encrypted data', async () => {
+            if (this.encryption) throw new StorageError('Tasks are already encrypted');
+
+            const plain = this.backend;
+            const { header, key } = await Encryption.create(passphrase);
+            const encrypted = new EncryptedBackend(plain, key, header.generation);
+
+            await TaskStorage.copyData(plain, encrypted);
+            await plain.saveMeta(ENCRYPTION_META_KEY, header);
+            this.backend = encrypted;
+            this.encryption = header;
+
+            await plain.clearTasks();
+            await plain.saveArchive([]);
+            for (const name of ENCRYPTED_META_KEYS) {
+                await plain.saveMeta(name, null);
+            }
+        });
+    }
+
+    /**
+     * Re-encrypt all stored data with a new passphrase
+     * @param {string} currentPassphrase - Passphrase in use, to confirm the change
+     * @param {string} newPassphrase - New passphrase
+     * @returns {Promise} Resolves when re-encrypted; rejects with a StorageError or EncryptionError
+     */
+    changePassphrase(currentPassphrase, newPassphrase) {
+        return this.queueSave('encrypted data', async () => {
+            const current = this.getUnlockedBackend();
+            await Encryption.unlock(currentPassphrase, this.encryption);
+
+            const { header, key } = await Encryption.create(newPassphrase, this.encryption.autoLockMinutes, this.encryption.generation + 1);
+            const reencrypted = new EncryptedBackend(current.backend, key, header.generation);
+
+            await TaskStorage.copyData(current, reencrypted);
+            await current.backend.saveMeta(ENCRYPTION_META_KEY, header);
+            this.backend = reencrypted;
+            this.encryption = header;
+            await current.clear();
+        });
+    }
+
+    /**
+     * Decrypt all stored data and go back to plain text
+     * @param {string} passphrase - Passphrase in use, to confirm the change
+     * @returns {Promise} Resolves when decrypted; rejects with a StorageError or EncryptionError
+     */
+    disableEncryption(passphrase) {
+        return this.queueSave('decrypted data', async () => {
+            const current = this.getUnlockedBackend();
+            await Encryption.unlock(passphrase, this.encryption);
+
+            await TaskStorage.copyData(current, current.backend);
+            await current.backend.saveMeta(ENCRYPTION_META_KEY, null);
+            this.backend = current.backend;
+            this.encryption = null;
+            await current.clear();
+        });
+    }
+
+    /**
+     * Save how long the app may sit idle before locking
+     * @param {number} minutes - Idle minutes (0 never locks)
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveAutoLockMinutes(minutes) {
+        return this.queueSave('the auto-lock setting', async () => {
+            const current = this.getUnlockedBackend();
+            const header = { ...this.encryption, autoLockMinutes: minutes };
+            await current.backend.saveMeta(ENCRYPTION_META_KEY, header);
+            this.encryption = header;
+        });
+    }
+
+    /**
+     * Adopt an auto-lock setting saved by another tab
+     * @param {number} minutes - Idle minutes (0 never locks)
+     */
+    useAutoLockMinutes(minutes) {
+        if (this.encryption) {
+            this.encryption = { ...this.encryption, autoLockMinutes: minutes };
+        }
+    }
+
+    /**
+     * Get the encrypted backend, which only exists while unlocked
+     * @returns {EncryptedBackend} Backend
+     * @throws {StorageError} If the data isn't encrypted or is locked
+     */
+    getUnlockedBackend() {
+        if (!(this.backend instanceof EncryptedBackend)) {
+            throw new StorageError(this.encryption ? 'Tasks are locked' : 'Tasks are not encrypted');
+        }
+        return this.backend;
+    }
+
+    /**
+     * Copy tasks, the archive and meta values from one backend to another
+     * @param {Object} from - Backend to read
+     * @param {Object} to - Backend to write
+     */
+    static async copyData(from, to) {
+        await to.saveTasks(await from.loadTasks());
+        await to.saveArchive(await from.loadArchive());
+        for (const key of ENCRYPTED_META_KEYS) {
+            const value = await from.loadMeta(key);
+            if (value !== null) await to.saveMeta(key, value);
+        }
+    }
+
+    /**
+     * Upgrade stored data to the current schema version
+     * Data that has never been stamped is read from the localStorage blob, which
+     * is how every version before IndexedDB support stored tasks. Archived tasks
+     * go through the same migrations, so restoring one gives a current task.
+     */
+    async migrate() {
+        const version = await this.backend.getSchemaVersion();
+        if (version >= SCHEMA_VERSION) return;
+
+        let tasks = version === 0
+            ? LocalStorageBackend.readJSON(LEGACY_STORAGE_KEY) || []
+            : await this.backend.loadTasks();
+        // Unstamped data predates the archive
+        let archive = version === 0 ? [] : await this.backend.loadArchive();
+
+        MIGRATIONS
+            .filter(migration => migration.version > version)
+            .forEach(migration => {
+                console.log(`Migrating tasks to schema v${migration.version}: ${migration.description}`);
+                tasks = migration.migrate(tasks);
+                if (archive.length > 0) archive = migration.migrate(archive);
+            });
+
+        await this.backend.saveTasks(tasks);
+        await this.backend.saveArchive(archive);
+        await this.backend.setSchemaVersion(SCHEMA_VERSION);
+
+        if (version === 0 && !(this.backend instanceof LocalStorageBackend)) {
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Save tasks
+     * Saves are queued so they reach the backend in the order they were made.
+     * @param {Array} tasks - Array of task objects
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveTasks(tasks) {
+        const snapshot = JSON.parse(JSON.stringify(tasks));
+        return this.queueSave('tasks', () => this.backend.saveTasks(snapshot));
+    }
+
+    /**
+     * Load tasks
+     * @returns {Promise<Array>} Array of task objects
      */
     loadTasks() {
+        return this.load('tasks', () => this.backend.loadTasks(), []);
+    }
+
+    /**
+     * Clear all tasks
+     */
+    async clearTasks() {
         try {
-            const tasks = localStorage.getItem(this.storageKey);
-            return tasks ? JSON.parse(tasks) : [];
+            await this.backend.clearTasks();
         } catch (error) {
-            console.error('Error loading tasks from localStorage:', error);
-            return [];
+            console.error('Error clearing tasks:', error);
         }
     }
 
     /**
-     * Clear all tasks from localStorage
+     * Load archived tasks
+     * @returns {Promise<Array>} Array of archived task objects
+     */
+    loadArchive() {
+        return this.load('the archive', () => this.backend.loadArchive(), []);
+    }
+
+    /**
+     * Save archived tasks, queued like task saves
+     * @param {Array} tasks - Array of archived task objects
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveArchive(tasks) {
+        const snapshot = JSON.parse(JSON.stringify(tasks));
+        return this.queueSave('the archive', () => this.backend.saveArchive(snapshot));
+    }
+
+    /**
+     * Load when completed tasks are archived and archived ones purged
+     * @returns {Promise<Object|null>} Archive settings
+     */
+    loadArchiveSettings() {
+        return this.load('archive settings', () => this.backend.loadMeta('archive-settings'), null);
+    }
+
+    /**
+     * Save the archive settings
+     * @param {Object} settings - { autoArchiveDays, purgeDays }
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveArchiveSettings(settings) {
+        return this.saveMeta('archive-settings', settings);
+    }
+
+    /**
+     * Load saved views
+     * @returns {Promise<Array>} Array of view objects
+     */
+    async loadViews() {
+        return (await this.load('views', () => this.backend.loadMeta('views'), null)) || [];
+    }
+
+    /**
+     * Save views
+     * @param {Array} views - Array of view objects
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveViews(views) {
+        return this.saveMeta('views', views);
+    }
+
+    /**
+     * Load task lists
+     * @returns {Promise<Array>} Array of list objects
+     */
+    async loadLists() {
+        return (await this.load('lists', () => this.backend.loadMeta('lists'), null)) || [];
+    }
+
+    /**
+     * Save task lists
+     * @param {Array} lists - Array of list objects
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveLists(lists) {
+        return this.saveMeta('lists', lists);
+    }
+
+    /**
+     * Load the last used view, search, filter, sort and grouping
+     * @returns {Promise<Object|null>} View state
+     */
+    loadViewState() {
+        return this.load('view state', () => this.backend.loadMeta('view-state'), null);
+    }
+
+    /**
+     * Save the current view, search, filter, sort and grouping
+     * @param {Object} state - View state
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveViewState(state) {
+        return this.saveMeta('view-state', state);
+    }
+
+    /**
+     * Load the sync server settings and what it was last sent
+     * @returns {Promise<Object|null>} Sync state
+     */
+    loadSyncState() {
+        return this.load('sync settings', () => this.backend.loadMeta('sync'), null);
+    }
+
+    /**
+     * Save the sync server settings and what it was last sent
+     * @param {Object} state - Sync state
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
+     */
+    saveSyncState(state) {
+        return this.saveMeta('sync', state);
+    }
+
+    /**
+     * Save a value alongside the tasks, queued behind pending saves
+     * @param {string} key - Value name
+     * @param {*} value - Value to save
+     * @returns {Promise} Resolves when saved; rejects with a StorageError
      */
-    clearTasks() {
+    saveMeta(key, value) {
+        const snapshot = JSON.parse(JSON.stringify(value));
+        return this.queueSave(key, () => this.backend.saveMeta(key, snapshot));
+    }
+
+    /**
+     * Read a value, falling back to a default if the backend fails
+     * Locked or undecryptable data throws instead: an empty list in its place
+     * would be saved over the real one.
+     * @param {string} name - What is being loaded, for error messages
+     * @param {Function} read - Performs the read and returns a promise
+     * @param {*} fallback - Value to use if the read fails
+     * @returns {Promise<*>} Loaded value
+     * @throws {StorageError|EncryptionError} If the data is locked or can't be decrypted
+     */
+    async load(name, read, fallback) {
+        if (this.locked) throw new StorageError(`Could not load ${name}: tasks are locked`);
+
         try {
-            localStorage.removeItem(this.storageKey);
+            return await read();
         } catch (error) {
-            console.error('Error clearing tasks from localStorage:', error);
+            if (error instanceof EncryptionError) throw error;
+            console.error(`Error loading ${name}:`, error);
+            return fallback;
         }
     }
 
+    /**
+     * Run a write after all pending ones, so saves reach the backend in order
+     * Writes made while locked are refused rather than stored unencrypted.
+     * @param {string} name - What is being saved, for error messages
+     * @param {Function} write - Performs the write and returns a promise
+     * @returns {Promise} Resolves when written; rejects with a StorageError or EncryptionError
+     */
+    queueSave(name, write) {
+        const save = this.pendingSave.then(() => {
+            if (this.locked) throw new StorageError(`Could not save ${name}: tasks are locked`);
+            return write();
+        });
+        // Keep the queue going even if this save fails
+        this.pendingSave = save.catch(() => {});
+        return save.catch((error) => {
+            console.error(`Error saving ${name}:`, error);
+            if (error instanceof StorageError || error instanceof EncryptionError) throw error;
+            throw new StorageError(`Could not save ${name}`, error);
+        });
+    }
+
     /**
      * Get storage usage information
-     * @returns {Object} Storage usage info
+     * @returns {Promise<Object>} Storage usage info
      */
-    getStorageInfo() {
+    async getStorageInfo() {
         try {
-            const tasks = this.loadTasks();
-            const dataSize = JSON.stringify(tasks).length;
-            return {
+            const tasks = await this.loadTasks();
+            const archive = await this.loadArchive();
+            const dataSize = JSON.stringify(tasks).length + JSON.stringify(archive).length;
+            const info = {
+                backend: this.backend.name,
+                encrypted: this.isEncrypted(),
+                schemaVersion: await this.backend.getSchemaVersion(),
                 taskCount: tasks.length,
+                archivedCount: archive.length,
                 dataSize: dataSize,
                 dataSizeKB: (dataSize / 1024).toFixed(2)
             };
+
+            if (navigator.storage && navigator.storage.estimate) {
+                const { usage, quota } = await navigator.storage.estimate();
+                info.usage = usage;
+                info.quota = quota;
+            }
+
+            return info;
         } catch (error) {
             console.error('Error getting storage info:', error);
             return { taskCount: 0, dataSize: 0, dataSizeKB: '0.00' };
         }
     }
-} 
\ No newline at end of file
+}
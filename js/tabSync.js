@@ -0,0 +1,173 @@
+/**
+ * Keeps several open tabs of the app in step
+ *
+ * After every save a tab broadcasts its task list together with the ids it
+ * changed or deleted and the updatedAt of the version each change was based
+ * on. Receiving tabs merge per task, so edits to different tasks never clobber
+ * each other; concurrent edits to the same task keep the most recent one.
+ */
+const CHANNEL_NAME = 'todo-sync';
+
+export class TabSync {
+    /**
+     * @param {Function} onMessage - Called with each message from another tab
+     */
+    constructor(onMessage) {
+        this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+        this.onMessage = onMessage;
+        this.channel = null;
+
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CHANNEL_NAME);
+            this.channel.onmessage = (e) => this.receive(e.data);
+        } else {
+            // Older browsers: relay through storage events
+            window.addEventListener('storage', (e) => {
+                if (e.key === CHANNEL_NAME && e.newValue) {
+                    this.receive(JSON.parse(e.newValue));
+                }
+            });
+        }
+    }
+
+    /**
+     * Send changes to the other tabs
+     * @param {Object} payload - { tasks, changes, deletions } or { lists }
+     */
+    broadcast(payload) {
+        const message = { ...payload, tabId: this.tabId, sentAt: Date.now() };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(CHANNEL_NAME, JSON.stringify(message));
+                localStorage.removeItem(CHANNEL_NAME);
+            }
+        } catch (error) {
+            console.error('Error broadcasting changes to other tabs:', error);
+        }
+    }
+
+    /**
+     * Handle an incoming message, ignoring our own
+     * @param {Object} message - Broadcast message
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+        this.onMessage(message);
+    }
+
+    /**
+     * Work out which tasks changed between two versions of the list
+     * @param {Array} before - Tasks as last saved
+     * @param {Array} after - Tasks now
+     * @returns {Object} { changes, deletions } as lists of { id, baseUpdatedAt }
+     */
+    static diff(before, after) {
+        const previous = new Map(before.map(task => [task.id, task]));
+        const current = new Set(after.map(task => task.id));
+
+        const changes = after
+            .filter(task => !previous.has(task.id) || !this.isSameTask(previous.get(task.id), task))
+            .map(task => ({
+                id: task.id,
+                baseUpdatedAt: previous.has(task.id) ? previous.get(task.id).updatedAt : null
+            }));
+        const deletions = before
+            .filter(task => !current.has(task.id))
+            .map(task => ({ id: task.id, baseUpdatedAt: task.updatedAt }));
+
+        return { changes, deletions };
+    }
+
+    /**
+     * Merge another tab's task list into ours
+     * @param {Array} local - Our tasks
+     * @param {Object} message - { tasks, changes, deletions } from the other tab
+     * @param {Set} recentlyDeleted - Ids this tab deleted that others may not have seen
+     * @returns {Object} { tasks, conflicts, diverged } where conflicts lists tasks
+     *   whose concurrent edits were resolved and diverged means the result differs
+     *   from the other tab's list (so it should be saved and re-broadcast)
+     */
+    static merge(local, message, recentlyDeleted = new Set()) {
+        const changes = new Map((message.changes || []).map(change => [change.id, change]));
+        const deletions = new Map((message.deletions || []).map(deletion => [deletion.id, deletion]));
+        const remote = new Map(message.tasks.map(task => [task.id, task]));
+        const conflicts = [];
+        const merged = [];
+
+        // Tasks the other tab has that we don't: new there, or deleted here
+        message.tasks
+            .filter(task => !local.some(t => t.id === task.id))
+            .forEach(task => {
+                if (!recentlyDeleted.has(task.id)) {
+                    merged.push(task);
+                } else if (changes.has(task.id)) {
+                    // Edited there after we deleted it: keep the edit
+                    conflicts.push(task);
+                    merged.push(task);
+                }
+            });
+
+        local.forEach(task => {
+            const theirs = remote.get(task.id);
+
+            if (!theirs) {
+                const deletion = deletions.get(task.id);
+                if (!deletion) {
+                    merged.push(task);
+                } else if (deletion.baseUpdatedAt !== task.updatedAt) {
+                    // Deleted there, but edited here since: keep our edit
+                    conflicts.push(task);
+                    merged.push(task);
+                }
+                return;
+            }
+
+            if (this.isSameTask(task, theirs)) {
+                merged.push(theirs);
+                return;
+            }
+
+            const change = changes.get(task.id);
+            if (change && change.baseUpdatedAt === task.updatedAt) {
+                // Clean edit of the version we have
+                merged.push(theirs);
+                return;
+            }
+
+            if (change) {
+                conflicts.push(task);
+            }
+            merged.push(this.isNewer(theirs, task) ? theirs : task);
+        });
+
+        const diverged = merged.length !== message.tasks.length ||
+            merged.some(task => !remote.has(task.id) || remote.get(task.id) !== task);
+
+        return { tasks: merged, conflicts, diverged };
+    }
+
+    /**
+     * Compare two versions of a task, ignoring when they were saved
+     * @param {Object} a - Task
+     * @param {Object} b - Task
+     * @returns {boolean} True if the content is identical
+     */
+    static isSameTask(a, b) {
+        const { updatedAt: aUpdated, ...aRest } = a;
+        const { updatedAt: bUpdated, ...bRest } = b;
+        return JSON.stringify(aRest) === JSON.stringify(bRest);
+    }
+
+    /**
+     * Whether one version of a task was saved after another
+     * @param {Object} a - Task
+     * @param {Object} b - Task
+     * @returns {boolean} True if a is newer than b
+     */
+    static isNewer(a, b) {
+        return new Date(a.updatedAt || 0) > new Date(b.updatedAt || 0);
+    }
+}
@@ -1,26 +1,236 @@
 /**
  * Task model and utility functions
  */
+import { Recurrence } from './recurrence.js';
+import { DateUtils } from './dateUtils.js';
+import { TimeTracking } from './timeTracking.js';
+
+export const DEFAULT_LIST_ID = 'inbox';
+
+// Workflow statuses in board order; 'done' always goes with completed: true
+export const TASK_STATUSES = ['todo', 'in-progress', 'done'];
+
+const DEFAULT_PRIORITY = 4;
+const MAX_BLOCKERS = 20;
+// Ids end up in HTML attributes and selectors, so ones read from files or a server must look like this
+const ID_PATTERN = /^[\w.@-]{1,200}$/;
+// Names for each of the PRIORITY_LABELS, plus a few common alternatives
+const PRIORITY_NAMES = { urgent: 1, high: 2, medium: 3, med: 3, normal: 4, low: 4, none: 4 };
+const URGENCY_ORDER = { overdue: 0, high: 1, medium: 2, low: 3 };
+
 export class TaskModel {
+    /**
+     * User priorities, P1 (most important) to P4 (the default)
+     */
+    static get PRIORITY_LABELS() {
+        return { 1: 'Urgent', 2: 'High', 3: 'Medium', 4: 'Normal' };
+    }
+
+    /**
+     * Display names of the workflow statuses
+     */
+    static get STATUS_LABELS() {
+        return { todo: 'To do', 'in-progress': 'In progress', done: 'Done' };
+    }
+
     /**
      * Create a new task object
      * @param {string} text - Task text
      * @param {string} dueDate - Due date (optional)
      * @param {string} tags - Tags string (optional)
+     * @param {Object} options - Extra task fields (optional)
+     * @param {string} options.dueTime - Due time as HH:MM (optional)
+     * @param {number} options.priority - Priority from 1 (P1) to 4 (P4) (optional)
+     * @param {Object} options.recurrence - Repeat rule (optional)
+     * @param {Array} options.subtasks - Subtasks to copy (optional)
+     * @param {number} options.position - Place in the manual order (optional)
+     * @param {string} options.listId - List the task belongs to (optional)
+     * @param {Array} options.reminders - Minutes before the due time to remind (optional)
+     * @param {string} options.notes - Markdown notes (optional)
+     * @param {Array} options.blockedBy - IDs of tasks that have to be done first (optional)
      * @returns {Object} Task object
      */
-    static createTask(text, dueDate = '', tags = '') {
+    static createTask(text, dueDate = '', tags = '', options = {}) {
+        const now = new Date().toISOString();
+        const dueTime = dueDate && options.dueTime ? options.dueTime : '';
+
         return {
             id: this.generateId(),
             text: text.trim(),
+            notes: (options.notes || '').trim(),
             completed: false,
+            completedAt: null,
+            status: 'todo',
             dueDate: dueDate,
+            dueTime: dueTime,
             tags: this.parseTags(tags),
-            createdAt: new Date().toISOString(),
-            priority: this.calculatePriority(dueDate)
+            createdAt: now,
+            updatedAt: now,
+            priority: this.normalizePriority(options.priority),
+            urgency: this.calculateUrgency(dueDate, dueTime),
+            position: options.position || 0,
+            listId: options.listId || DEFAULT_LIST_ID,
+            reminders: dueDate ? this.normalizeReminders(options.reminders) : [],
+            recurrence: Recurrence.normalize(options.recurrence, dueDate),
+            subtasks: (options.subtasks || []).map(subtask => this.createSubtask(subtask.text)),
+            blockedBy: [...(options.blockedBy || [])],
+            timeEntries: [],
+            estimate: options.estimate || null,
+            timerStartedAt: null
         };
     }
 
+    /**
+     * Create a new subtask object
+     * @param {string} text - Subtask text
+     * @returns {Object} Subtask object
+     */
+    static createSubtask(text) {
+        return {
+            id: this.generateId(),
+            text: text.trim(),
+            completed: false
+        };
+    }
+
+    /**
+     * Get subtask completion progress for a task
+     * @param {Object} task - Task object
+     * @returns {Object} Progress with done, total and percent
+     */
+    static getSubtaskProgress(task) {
+        const total = task.subtasks ? task.subtasks.length : 0;
+        const done = total > 0 ? task.subtasks.filter(subtask => subtask.completed).length : 0;
+
+        return {
+            done,
+            total,
+            percent: total > 0 ? Math.round((done / total) * 100) : 0
+        };
+    }
+
+    /**
+     * Fill in fields missing from tasks saved by older versions
+     * @param {Object} task - Stored task object
+     * @returns {Object} Task object with all current fields
+     */
+    static normalizeTask(task) {
+        const { priorityOverride, ...rest } = task;
+
+        return {
+            ...rest,
+            tags: Array.isArray(task.tags) ? task.tags : [],
+            notes: typeof task.notes === 'string' ? task.notes : '',
+            dueTime: task.dueTime || '',
+            updatedAt: task.updatedAt || task.createdAt,
+            completedAt: task.completed && task.completedAt ? task.completedAt : null,
+            status: this.normalizeStatus(task.status, task.completed),
+            // Older versions stored the due-date urgency as priority and the user's choice as priorityOverride
+            priority: this.normalizePriority(typeof task.priority === 'number' ? task.priority : priorityOverride),
+            urgency: this.calculateUrgency(task.dueDate, task.dueTime),
+            listId: task.listId || DEFAULT_LIST_ID,
+            reminders: this.normalizeReminders(task.reminders),
+            recurrence: Recurrence.normalize(task.recurrence, task.dueDate),
+            subtasks: Array.isArray(task.subtasks) ? task.subtasks : [],
+            blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy.filter(id => typeof id === 'string') : [],
+            ...TimeTracking.normalize(task)
+        };
+    }
+
+    /**
+     * Create the next occurrence of a recurring task
+     * @param {Object} task - Completed recurring task
+     * @returns {Object|null} New task or null if the series has ended
+     */
+    static createNextOccurrence(task) {
+        if (!task.recurrence) return null;
+
+        const nextDueDate = Recurrence.getNextDueDate(task.recurrence, task.dueDate);
+        if (!nextDueDate) return null;
+
+        return this.createTask(task.text, nextDueDate, task.tags.join(' '), {
+            dueTime: task.dueTime,
+            priority: task.priority,
+            position: task.position,
+            listId: task.listId,
+            reminders: task.reminders,
+            notes: task.notes,
+            recurrence: Recurrence.advance(task.recurrence),
+            subtasks: task.subtasks,
+            estimate: task.estimate
+        });
+    }
+
+    /**
+     * Give tasks without a manual position one after all the others, keeping their order
+     * @param {Array} tasks - Array of tasks
+     * @returns {Array} Tasks that all have a position
+     */
+    static ensurePositions(tasks) {
+        let next = tasks.reduce((max, task) => {
+            return typeof task.position === 'number' ? Math.max(max, task.position + 1) : max;
+        }, 0);
+
+        return tasks.map(task => typeof task.position === 'number' ? task : { ...task, position: next++ });
+    }
+
+    /**
+     * Get a position that puts a task above all others in the manual order
+     * @param {Array} tasks - Array of tasks
+     * @returns {number} Position
+     */
+    static getTopPosition(tasks) {
+        return tasks.length > 0 ? Math.min(...tasks.map(task => task.position)) - 1 : 0;
+    }
+
+    /**
+     * Get a position between two neighbours in the manual order
+     * @param {number} before - Position of the task above (undefined at the top)
+     * @param {number} after - Position of the task below (undefined at the bottom)
+     * @returns {number|null} Position, or null if there is no room left between them
+     */
+    static getPositionBetween(before, after) {
+        if (before === undefined && after === undefined) return 0;
+        if (before === undefined) return after - 1;
+        if (after === undefined) return before + 1;
+
+        const middle = (before + after) / 2;
+        return middle > before && middle < after ? middle : null;
+    }
+
+    /**
+     * Move a task next to another one in the manual order
+     * @param {Array} tasks - Array of tasks (positions are updated in place)
+     * @param {string} taskId - Task to move
+     * @param {string} targetId - Task to move it next to
+     * @param {boolean} placeAfter - Place it below the target instead of above
+     * @returns {boolean} True if the task was moved
+     */
+    static reorderTask(tasks, taskId, targetId, placeAfter = false) {
+        const task = tasks.find(t => t.id === taskId);
+        if (!task || taskId === targetId) return false;
+
+        const ordered = this.sortTasks(tasks.filter(t => t !== task), 'manual');
+        const targetIndex = ordered.findIndex(t => t.id === targetId);
+        if (targetIndex === -1) return false;
+
+        const index = placeAfter ? targetIndex + 1 : targetIndex;
+        const before = ordered[index - 1];
+        const after = ordered[index];
+        let position = this.getPositionBetween(before && before.position, after && after.position);
+
+        if (position === null) {
+            // Out of room between the neighbours: space everything out again
+            ordered.forEach((t, i) => {
+                t.position = i;
+            });
+            position = index - 0.5;
+        }
+
+        task.position = position;
+        return true;
+    }
+
     /**
      * Generate unique ID for task
      * @returns {string} Unique ID
@@ -29,6 +239,15 @@ export class TaskModel {
         return Date.now().toString(36) + Math.random().toString(36).substr(2);
     }
 
+    /**
+     * Check that an ID from an imported file or the sync server is safe to keep
+     * @param {*} id - Task or subtask ID
+     * @returns {boolean} True for 1-200 letters, digits and _ . @ -
+     */
+    static isValidId(id) {
+        return typeof id === 'string' && ID_PATTERN.test(id);
+    }
+
     /**
      * Parse tags from string input
      * @param {string} tagsString - Tags as string (e.g., "#work #urgent")
@@ -47,19 +266,78 @@ export class TaskModel {
     }
 
     /**
-     * Calculate task priority based on due date
+     * Make a status agree with the completed flag
+     * @param {string} status - Stored status
+     * @param {boolean} completed - Whether the task is completed
+     * @returns {string} 'done' for completed tasks, otherwise 'todo' or 'in-progress'
+     */
+    static normalizeStatus(status, completed) {
+        if (completed) return 'done';
+        return status === 'in-progress' ? status : 'todo';
+    }
+
+    /**
+     * Read a priority written as 1-4, P1-P4 or a name such as "high"
+     * @param {*} value - Priority value
+     * @returns {number|null} Priority from 1 to 4, or null if not understood
+     */
+    static parsePriority(value) {
+        if (value === null || value === undefined) return null;
+
+        const text = String(value).trim().toLowerCase().replace(/^p(?=\d$)/, '');
+        if (/^[1-4]$/.test(text)) return Number(text);
+        return PRIORITY_NAMES[text] || null;
+    }
+
+    /**
+     * Read a priority, falling back to P4
+     * @param {*} value - Priority value
+     * @returns {number} Priority from 1 to 4
+     */
+    static normalizePriority(value) {
+        return this.parsePriority(value) || DEFAULT_PRIORITY;
+    }
+
+    /**
+     * Read a list of reminder offsets
+     * @param {Array} reminders - Minutes before the due time
+     * @returns {Array} Unique non-negative whole minutes, soonest reminder last
+     */
+    static normalizeReminders(reminders) {
+        if (!Array.isArray(reminders)) return [];
+
+        return [...new Set(reminders.map(Number))]
+            .filter(minutes => Number.isInteger(minutes) && minutes >= 0)
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * Check whether a task's due date (and time, if set) has passed
+     * @param {Object} task - Task with dueDate and dueTime
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {boolean} True if overdue
+     */
+    static isOverdue(task, now = new Date()) {
+        if (!task.dueDate) return false;
+
+        // A task without a time is due until the end of its day
+        if (!task.dueTime) return task.dueDate < DateUtils.toDateString(now);
+        return DateUtils.parseLocalDateTime(task.dueDate, task.dueTime) < now;
+    }
+
+    /**
+     * Calculate task urgency based on due date
      * @param {string} dueDate - Due date string
-     * @returns {string} Priority level
+     * @param {string} dueTime - Due time as HH:MM (optional)
+     * @returns {string} Urgency level
      */
-    static calculatePriority(dueDate) {
+    static calculateUrgency(dueDate, dueTime = '') {
         if (!dueDate) return 'low';
         
-        const today = new Date();
-        const due = new Date(dueDate);
-        const diffTime = due.getTime() - today.getTime();
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        
-        if (diffDays < 0) return 'overdue';
+        const now = new Date();
+        if (this.isOverdue({ dueDate, dueTime }, now)) return 'overdue';
+
+        const diffDays = DateUtils.daysBetween(now, DateUtils.parseLocalDate(dueDate));
         if (diffDays <= 1) return 'high';
         if (diffDays <= 3) return 'medium';
         return 'low';
@@ -68,21 +346,22 @@ export class TaskModel {
     /**
      * Get due date status for display
      * @param {string} dueDate - Due date string
+     * @param {string} dueTime - Due time as HH:MM (optional)
      * @returns {Object} Status object with class and text
      */
-    static getDueDateStatus(dueDate) {
+    static getDueDateStatus(dueDate, dueTime = '') {
         if (!dueDate) return { class: '', text: '' };
         
-        const today = new Date();
-        const due = new Date(dueDate);
-        const diffTime = due.getTime() - today.getTime();
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+        const now = new Date();
+        const diffDays = DateUtils.daysBetween(now, DateUtils.parseLocalDate(dueDate));
         
         if (diffDays < 0) {
             return { 
                 class: 'overdue', 
                 text: `Overdue by ${Math.abs(diffDays)} day${Math.abs(diffDays) !== 1 ? 's' : ''}` 
             };
+        } else if (diffDays === 0 && this.isOverdue({ dueDate, dueTime }, now)) {
+            return { class: 'overdue', text: 'Overdue' };
         } else if (diffDays === 0) {
             return { class: 'due-soon', text: 'Due today' };
         } else if (diffDays === 1) {
@@ -102,7 +381,8 @@ export class TaskModel {
     static formatDate(dateString) {
         if (!dateString) return '';
         
-        const date = new Date(dateString);
+        const date = DateUtils.parseLocalDate(dateString);
+        if (!date) return '';
         return date.toLocaleDateString('en-US', {
             year: 'numeric',
             month: 'short',
@@ -110,12 +390,29 @@ export class TaskModel {
         });
     }
 
+    /**
+     * Format a HH:MM time for display
+     * @param {string} timeString - Time string
+     * @returns {string} Formatted time
+     */
+    static formatTime(timeString) {
+        if (!timeString) return '';
+
+        const [hours, minutes] = timeString.split(':').map(Number);
+        const date = new Date(2000, 0, 1, hours, minutes);
+        return date.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+
     /**
      * Validate task data
      * @param {Object} taskData - Task data to validate
+     * @param {Array} tasks - All tasks, to check taskData.blockedBy for a task with an id (optional)
      * @returns {Object} Validation result
      */
-    static validateTask(taskData) {
+    static validateTask(taskData, tasks = []) {
         const errors = [];
         
         if (!taskData.text || taskData.text.trim().length === 0) {
@@ -125,17 +422,44 @@ export class TaskModel {
         if (taskData.text && taskData.text.trim().length > 500) {
             errors.push('Task text must be less than 500 characters');
         }
+
+        if (taskData.notes && taskData.notes.length > 5000) {
+            errors.push('Notes must be less than 5000 characters');
+        }
         
-        if (taskData.dueDate) {
-            const dueDate = new Date(taskData.dueDate);
-            if (isNaN(dueDate.getTime())) {
-                errors.push('Invalid due date format');
-            }
+        if (taskData.dueDate && !DateUtils.parseLocalDate(taskData.dueDate)) {
+            errors.push('Invalid due date format');
         }
         
-        if (taskData.tags && taskData.tags.length > 10) {
+        if (taskData.dueTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(taskData.dueTime)) {
+            errors.push('Invalid due time format');
+        }
+        
+        if (taskData.tags !== undefined && !Array.isArray(taskData.tags)) {
+            errors.push('Tags must be a list');
+        } else if (taskData.tags && taskData.tags.length > 10) {
             errors.push('Maximum 10 tags allowed');
         }
+
+        if (taskData.reminders && !(Array.isArray(taskData.reminders) &&
+            taskData.reminders.every(minutes => Number.isInteger(Number(minutes)) && Number(minutes) >= 0))) {
+            errors.push('Reminders must be a list of minutes before the due time');
+        } else if (taskData.reminders && taskData.reminders.length > 0 && !taskData.dueDate) {
+            errors.push('Reminders need a due date');
+        }
+
+        if (taskData.subtasks && !(Array.isArray(taskData.subtasks) &&
+            taskData.subtasks.every(subtask => subtask && typeof subtask.text === 'string' && subtask.text.trim()))) {
+            errors.push('Every subtask needs text');
+        }
+
+        errors.push(...Recurrence.validate(taskData.recurrence));
+        errors.push(...TimeTracking.validateDuration(taskData.estimate, 'Estimate'));
+        errors.push(...TimeTracking.validateDuration(taskData.logTime, 'Logged time', true));
+
+        if (taskData.id && taskData.blockedBy) {
+            errors.push(...this.validateDependencies(taskData.id, taskData.blockedBy, tasks));
+        }
         
         return {
             isValid: errors.length === 0,
@@ -143,6 +467,79 @@ export class TaskModel {
         };
     }
 
+    /**
+     * Check the tasks a task is to wait on
+     * @param {string} taskId - Task being changed
+     * @param {Array} blockedBy - IDs of the tasks it would wait on
+     * @param {Array} tasks - All tasks
+     * @returns {Array} Error messages
+     */
+    static validateDependencies(taskId, blockedBy, tasks) {
+        if (blockedBy.includes(taskId)) {
+            return ['A task cannot be blocked by itself'];
+        }
+        if (blockedBy.length > MAX_BLOCKERS) {
+            return [`Maximum ${MAX_BLOCKERS} blocking tasks allowed`];
+        }
+
+        const cycle = this.findDependencyCycle(tasks, taskId, blockedBy);
+        return cycle
+            ? [`Dependency cycle: ${cycle.map(task => `"${task.text}"`).join(' → ')}`]
+            : [];
+    }
+
+    /**
+     * Find a chain of blocking tasks that would lead from a task back to itself
+     * @param {Array} tasks - All tasks
+     * @param {string} taskId - Task being changed
+     * @param {Array} blockedBy - IDs the task would wait on
+     * @returns {Array|null} Tasks along the cycle, starting and ending with the task, or null if there is none
+     */
+    static findDependencyCycle(tasks, taskId, blockedBy) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const visited = new Set();
+
+        const search = (id, path) => {
+            if (id === taskId) return path;
+            if (visited.has(id) || !byId.has(id)) return null;
+            visited.add(id);
+
+            for (const nextId of byId.get(id).blockedBy || []) {
+                const cycle = search(nextId, [...path, nextId]);
+                if (cycle) return cycle;
+            }
+            return null;
+        };
+
+        for (const id of blockedBy) {
+            const cycle = search(id, [taskId, id]);
+            if (cycle) return cycle.map(cycleId => byId.get(cycleId));
+        }
+        return null;
+    }
+
+    /**
+     * Find the open tasks each open task is waiting on
+     * Blockers that are done, deleted or archived no longer count.
+     * @param {Array} tasks - All tasks
+     * @returns {Map} Arrays of blocking tasks, keyed by the ID of each blocked task
+     */
+    static getBlockers(tasks) {
+        const byId = new Map(tasks.map(task => [task.id, task]));
+        const blockers = new Map();
+
+        tasks.forEach(task => {
+            if (task.completed || !task.blockedBy || task.blockedBy.length === 0) return;
+
+            const open = task.blockedBy
+                .map(id => byId.get(id))
+                .filter(blocker => blocker && !blocker.completed);
+            if (open.length > 0) blockers.set(task.id, open);
+        });
+
+        return blockers;
+    }
+
     /**
      * Sort tasks by different criteria
      * @param {Array} tasks - Array of tasks
@@ -158,13 +555,20 @@ export class TaskModel {
                     if (!a.dueDate && !b.dueDate) return 0;
                     if (!a.dueDate) return 1;
                     if (!b.dueDate) return -1;
-                    return new Date(a.dueDate) - new Date(b.dueDate);
+                    // Tasks with a time come before untimed ones on the same day
+                    return `${a.dueDate} ${a.dueTime || '24:00'}`.localeCompare(`${b.dueDate} ${b.dueTime || '24:00'}`);
                 });
             
             case 'priority':
-                const priorityOrder = { 'overdue': 0, 'high': 1, 'medium': 2, 'low': 3 };
+                // Importance and urgency count equally; ties go to the more important task
                 return sortedTasks.sort((a, b) => {
-                    return priorityOrder[a.priority] - priorityOrder[b.priority];
+                    return this.getPriorityScore(a) - this.getPriorityScore(b) || a.priority - b.priority;
+                });
+            
+            case 'manual':
+                // Equal positions (e.g. a new occurrence of a recurring task) put the newer task first
+                return sortedTasks.sort((a, b) => {
+                    return a.position - b.position || new Date(b.createdAt) - new Date(a.createdAt);
                 });
             
             case 'created':
@@ -175,6 +579,15 @@ export class TaskModel {
         }
     }
 
+    /**
+     * Combine a task's priority and urgency into one rank (lower comes first)
+     * @param {Object} task - Task object
+     * @returns {number} Rank from 0 (P1, overdue) to 6 (P4, not due soon)
+     */
+    static getPriorityScore(task) {
+        return (task.priority - 1) + URGENCY_ORDER[task.urgency];
+    }
+
     /**
      * Filter tasks by tag
      * @param {Array} tasks - Array of tasks
@@ -208,17 +621,23 @@ export class TaskModel {
         const total = tasks.length;
         const completed = tasks.filter(task => task.completed).length;
         const pending = total - completed;
-        const overdue = tasks.filter(task => 
-            task.dueDate && !task.completed && 
-            new Date(task.dueDate) < new Date()
-        ).length;
+        const overdue = tasks.filter(task => !task.completed && this.isOverdue(task)).length;
+        
+        // Subtasks of completed tasks count as done
+        const subtasks = tasks.flatMap(task => (task.subtasks || []).map(subtask => ({
+            completed: task.completed || subtask.completed
+        })));
+        const subtasksCompleted = subtasks.filter(subtask => subtask.completed).length;
         
         return {
             total,
             completed,
             pending,
             overdue,
-            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0
+            completionRate: total > 0 ? Math.round((completed / total) * 100) : 0,
+            subtasksTotal: subtasks.length,
+            subtasksCompleted,
+            subtasksPending: subtasks.length - subtasksCompleted
         };
     }
 } 
\ No newline at end of file
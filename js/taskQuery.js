@@ -0,0 +1,363 @@
+/**
+ * Search query parsing and evaluation
+ *
+ * Grammar (case-insensitive keywords):
+ *   query  := or
+ *   or     := and ("OR" and)*
+ *   and    := unary (["AND"] unary)*
+ *   unary  := ("-" | "NOT") unary | "(" or ")" | term
+ *   term   := field ":" value | "quoted phrase" | word
+ *
+ * Fields: tag:#work, due:<today, due:this-week, due:upcoming, is:done, is:open, is:blocked,
+ * is:actionable, priority:p1, urgency:overdue, status:in-progress
+ */
+import { DateUtils } from './dateUtils.js';
+import { TaskModel } from './taskModel.js';
+
+const FIELDS = ['tag', 'due', 'is', 'priority', 'urgency', 'status'];
+
+export class TaskQuery {
+    /**
+     * Parse a search query into an expression tree
+     * @param {string} query - Query text
+     * @returns {Object|null} Expression tree or null for an empty query
+     */
+    static parse(query) {
+        const tokens = this.tokenize(query || '');
+        if (tokens.length === 0) return null;
+
+        const parser = { tokens, position: 0 };
+        let expression = this.parseOr(parser);
+
+        // Skip stray closing parentheses and keep going
+        while (parser.position < tokens.length) {
+            parser.position++;
+            const rest = this.parseOr(parser);
+            if (rest) {
+                expression = expression ? { type: 'and', operands: [expression, rest] } : rest;
+            }
+        }
+
+        return expression;
+    }
+
+    /**
+     * Split a query into tokens
+     * @param {string} query - Query text
+     * @returns {Array} Tokens of { type, value }
+     */
+    static tokenize(query) {
+        const tokens = [];
+        const pattern = /\s*(?:(\()|(\))|(-)?(?:([a-z]+):)?(?:"([^"]*)"?|([^\s()"]+)))/gi;
+        let match;
+
+        while ((match = pattern.exec(query)) && match[0].trim() !== '') {
+            const [, open, close, negate, field, quoted, word] = match;
+
+            if (open) {
+                tokens.push({ type: 'open' });
+                continue;
+            }
+            if (close) {
+                tokens.push({ type: 'close' });
+                continue;
+            }
+            if (negate) tokens.push({ type: 'not' });
+
+            if (!field && quoted === undefined && /^(and|or|not)$/i.test(word)) {
+                tokens.push({ type: word.toLowerCase() });
+                continue;
+            }
+
+            if (field && FIELDS.includes(field.toLowerCase())) {
+                tokens.push({ type: 'field', field: field.toLowerCase(), value: (quoted !== undefined ? quoted : word || '').toLowerCase() });
+            } else {
+                const text = (field ? `${field}:` : '') + (quoted !== undefined ? quoted : word || '');
+                tokens.push({ type: 'text', value: text.toLowerCase() });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse OR-separated groups
+     * @param {Object} parser - Parser state
+     * @returns {Object|null} Expression
+     */
+    static parseOr(parser) {
+        const operands = [this.parseAnd(parser)];
+
+        while (this.peek(parser) && this.peek(parser).type === 'or') {
+            parser.position++;
+            operands.push(this.parseAnd(parser));
+        }
+
+        const valid = operands.filter(Boolean);
+        if (valid.length === 0) return null;
+        return valid.length === 1 ? valid[0] : { type: 'or', operands: valid };
+    }
+
+    /**
+     * Parse terms joined by AND (explicit or implied by whitespace)
+     * @param {Object} parser - Parser state
+     * @returns {Object|null} Expression
+     */
+    static parseAnd(parser) {
+        const operands = [];
+        let token;
+
+        while ((token = this.peek(parser)) && token.type !== 'or' && token.type !== 'close') {
+            if (token.type === 'and') {
+                parser.position++;
+                continue;
+            }
+            const operand = this.parseUnary(parser);
+            if (operand) operands.push(operand);
+        }
+
+        if (operands.length === 0) return null;
+        return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    }
+
+    /**
+     * Parse a negation, a parenthesised group or a single term
+     * @param {Object} parser - Parser state
+     * @returns {Object|null} Expression
+     */
+    static parseUnary(parser) {
+        const token = parser.tokens[parser.position++];
+
+        switch (token.type) {
+            case 'not': {
+                const operand = this.peek(parser) ? this.parseUnary(parser) : null;
+                return operand ? { type: 'not', operand } : null;
+            }
+            case 'open': {
+                const expression = this.parseOr(parser);
+                // Tolerate a missing closing parenthesis while the user is typing
+                if (this.peek(parser) && this.peek(parser).type === 'close') parser.position++;
+                return expression;
+            }
+            case 'field':
+                return { type: 'field', field: token.field, value: token.value };
+            case 'text':
+                return { type: 'text', value: token.value };
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Look at the next token without consuming it
+     * @param {Object} parser - Parser state
+     * @returns {Object|undefined} Next token
+     */
+    static peek(parser) {
+        return parser.tokens[parser.position];
+    }
+
+    /**
+     * Check whether a task matches an expression
+     * @param {Object|null} expression - Parsed query
+     * @param {Object} task - Task object
+     * @param {Date} today - Reference date (defaults to today)
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks, for is:blocked and is:actionable (optional)
+     * @returns {boolean} True if the task matches
+     */
+    static evaluate(expression, task, today = DateUtils.today(), blockedIds = new Set()) {
+        if (!expression) return true;
+
+        switch (expression.type) {
+            case 'and':
+                return expression.operands.every(operand => this.evaluate(operand, task, today, blockedIds));
+            case 'or':
+                return expression.operands.some(operand => this.evaluate(operand, task, today, blockedIds));
+            case 'not':
+                return !this.evaluate(expression.operand, task, today, blockedIds);
+            case 'text':
+                return this.matchText(task, expression.value);
+            case 'field':
+                return this.matchField(task, expression.field, expression.value, today, blockedIds);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Filter tasks with a query string
+     * @param {Array} tasks - Array of tasks
+     * @param {string} query - Query text
+     * @param {Date} today - Reference date (defaults to today)
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks (optional)
+     * @returns {Array} Matching tasks
+     */
+    static filter(tasks, query, today = DateUtils.today(), blockedIds = new Set()) {
+        const expression = this.parse(query);
+        if (!expression) return tasks;
+        return tasks.filter(task => this.evaluate(expression, task, today, blockedIds));
+    }
+
+    /**
+     * Collect the free-text terms to highlight (terms under a negation are skipped)
+     * @param {Object|null} expression - Parsed query
+     * @returns {Array} Lowercase terms
+     */
+    static getHighlightTerms(expression) {
+        if (!expression) return [];
+
+        switch (expression.type) {
+            case 'and':
+            case 'or':
+                return expression.operands.flatMap(operand => this.getHighlightTerms(operand));
+            case 'text':
+                return expression.value ? [expression.value] : [];
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Match free text against the task, its notes and its subtasks
+     * @param {Object} task - Task object
+     * @param {string} value - Lowercase search text
+     * @returns {boolean} True if found
+     */
+    static matchText(task, value) {
+        if (task.text.toLowerCase().includes(value)) return true;
+        if (task.tags.some(tag => tag.includes(value))) return true;
+        if ((task.notes || '').toLowerCase().includes(value)) return true;
+        return (task.subtasks || []).some(subtask => subtask.text.toLowerCase().includes(value));
+    }
+
+    /**
+     * Match a field:value operator
+     * @param {Object} task - Task object
+     * @param {string} field - Field name
+     * @param {string} value - Lowercase value
+     * @param {Date} today - Reference date
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks
+     * @returns {boolean} True if matched
+     */
+    static matchField(task, field, value, today, blockedIds = new Set()) {
+        switch (field) {
+            case 'tag': {
+                const tag = value.startsWith('#') ? value : `#${value}`;
+                return task.tags.some(t => t.toLowerCase() === tag);
+            }
+            case 'is':
+                return this.matchStatus(task, value, today, blockedIds);
+            case 'priority':
+                return task.priority === TaskModel.parsePriority(value);
+            case 'urgency':
+                return task.urgency === value;
+            case 'status':
+                return task.status === value;
+            case 'due':
+                return this.matchDue(task.dueDate, value, today);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Match an is: operator
+     * @param {Object} task - Task object
+     * @param {string} value - done, open, overdue, recurring, blocked or actionable (open and not blocked)
+     * @param {Date} today - Reference date
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks
+     * @returns {boolean} True if matched
+     */
+    static matchStatus(task, value, today, blockedIds = new Set()) {
+        switch (value) {
+            case 'done':
+            case 'completed':
+                return task.completed;
+            case 'open':
+            case 'pending':
+                return !task.completed;
+            case 'overdue':
+                return !task.completed && TaskModel.isOverdue(task);
+            case 'recurring':
+                return !!task.recurrence;
+            case 'blocked':
+                return blockedIds.has(task.id);
+            case 'actionable':
+                return !task.completed && !blockedIds.has(task.id);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Match a due: operator
+     * Values: today, tomorrow, overdue, none, this-week, next-week, upcoming
+     * (the 7 days after today), a YYYY-MM-DD date, or a comparison such as <today, >=2026-10-20.
+     * @param {string} dueDate - Task due date (YYYY-MM-DD)
+     * @param {string} value - Operator value
+     * @param {Date} today - Reference date
+     * @returns {boolean} True if matched
+     */
+    static matchDue(dueDate, value, today) {
+        if (value === 'none') return !dueDate;
+        if (!dueDate) return false;
+
+        const todayString = DateUtils.toDateString(today);
+        const weekStart = DateUtils.addDays(today, -((today.getDay() + 6) % 7));
+
+        switch (value) {
+            case 'overdue':
+                return dueDate < todayString;
+            case 'this-week':
+                return dueDate >= DateUtils.toDateString(weekStart) &&
+                    dueDate <= DateUtils.toDateString(DateUtils.addDays(weekStart, 6));
+            case 'next-week':
+                return dueDate >= DateUtils.toDateString(DateUtils.addDays(weekStart, 7)) &&
+                    dueDate <= DateUtils.toDateString(DateUtils.addDays(weekStart, 13));
+            case 'upcoming':
+                return dueDate > todayString &&
+                    dueDate <= DateUtils.toDateString(DateUtils.addDays(today, 7));
+        }
+
+        // An empty or half-typed value (due:"" or due:") matches nothing
+        const match = /^(<=|>=|<|>|=)?(.+)$/.exec(value);
+        if (!match) return false;
+
+        const target = this.resolveDate(match[2], today);
+        if (!target) return false;
+
+        switch (match[1]) {
+            case '<':
+                return dueDate < target;
+            case '<=':
+                return dueDate <= target;
+            case '>':
+                return dueDate > target;
+            case '>=':
+                return dueDate >= target;
+            default:
+                return dueDate === target;
+        }
+    }
+
+    /**
+     * Resolve a date keyword or YYYY-MM-DD string
+     * @param {string} value - today, tomorrow, yesterday or a date
+     * @param {Date} today - Reference date
+     * @returns {string|null} Date string or null if not understood
+     */
+    static resolveDate(value, today) {
+        switch (value) {
+            case 'today':
+                return DateUtils.toDateString(today);
+            case 'tomorrow':
+                return DateUtils.toDateString(DateUtils.addDays(today, 1));
+            case 'yesterday':
+                return DateUtils.toDateString(DateUtils.addDays(today, -1));
+            default: {
+                const date = DateUtils.parseLocalDate(value);
+                return date ? DateUtils.toDateString(date) : null;
+            }
+        }
+    }
+}
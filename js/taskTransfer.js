@@ -0,0 +1,696 @@
+/**
+ * Import and export of tasks as JSON, CSV, Markdown checklists and iCalendar
+ */
+import { TaskModel } from './taskModel.js';
+import { DateUtils } from './dateUtils.js';
+import { Recurrence } from './recurrence.js';
+import { ArchiveModel } from './archive.js';
+import { ListModel } from './lists.js';
+import { SCHEMA_VERSION } from './migrations.js';
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'status', 'dueDate', 'dueTime', 'tags', 'priority', 'createdAt', 'completedAt', 'notes'];
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ICS_PRIORITIES = { 1: 1, 2: 5, 3: 9 };
+
+export class TaskTransfer {
+    /**
+     * Supported formats and their file details
+     * @returns {Object} Format descriptors keyed by format name
+     */
+    static get FORMATS() {
+        return {
+            json: { label: 'JSON backup', extension: 'json', mimeType: 'application/json' },
+            csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+            markdown: { label: 'Markdown checklist', extension: 'md', mimeType: 'text/markdown' },
+            ics: { label: 'iCalendar (VTODO)', extension: 'ics', mimeType: 'text/calendar' }
+        };
+    }
+
+    /**
+     * Serialize tasks in a format
+     * @param {Array} tasks - Array of tasks
+     * @param {string} format - Format name (json, csv, markdown, ics)
+     * @param {Object} backup - { archive, lists } to include in a JSON backup (optional)
+     * @returns {string} File contents
+     */
+    static exportTasks(tasks, format, backup = {}) {
+        switch (format) {
+            case 'json':
+                return this.toJSON(tasks, backup);
+            case 'csv':
+                return this.toCSV(tasks);
+            case 'markdown':
+                return this.toMarkdown(tasks);
+            case 'ics':
+                return this.toICS(tasks);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Guess the format of a file from its name
+     * @param {string} fileName - File name
+     * @returns {string|null} Format name or null if unknown
+     */
+    static detectFormat(fileName) {
+        const extension = fileName.split('.').pop().toLowerCase();
+        if (extension === 'md' || extension === 'markdown') return 'markdown';
+        return Object.keys(this.FORMATS).find(format => this.FORMATS[format].extension === extension) || null;
+    }
+
+    /**
+     * Parse and validate an imported file
+     * @param {string} content - File contents
+     * @param {string} format - Format name
+     * @returns {Object} { tasks, archive, lists, errors } where errors is a list of { row, errors };
+     *     only JSON backups have archived tasks and lists
+     */
+    static importTasks(content, format) {
+        let records;
+        let lists = [];
+        switch (format) {
+            case 'json':
+                ({ records, lists } = this.fromJSON(content));
+                break;
+            case 'csv':
+                records = this.fromCSV(content);
+                break;
+            case 'markdown':
+                records = this.fromMarkdown(content);
+                break;
+            case 'ics':
+                records = this.fromICS(content);
+                break;
+            default:
+                throw new Error(`Unknown import format: ${format}`);
+        }
+
+        const tasks = [];
+        const archive = [];
+        const errors = [];
+
+        records.forEach(({ row, data, archived }) => {
+            if (typeof data.text !== 'string') {
+                errors.push({ row, errors: ['Task text is required'] });
+                return;
+            }
+
+            const validation = TaskModel.validateTask(data);
+            if (!validation.isValid) {
+                errors.push({ row, errors: validation.errors });
+                return;
+            }
+
+            // A row that still can't be read is reported rather than failing the whole file
+            try {
+                if (archived) {
+                    archive.push(ArchiveModel.normalizeEntry(this.toTask(data)));
+                } else {
+                    tasks.push(this.toTask(data));
+                }
+            } catch (error) {
+                errors.push({ row, errors: [error.message] });
+            }
+        });
+
+        return { tasks, archive, lists, errors };
+    }
+
+    /**
+     * Combine imported tasks with the existing list
+     * @param {Array} existing - Current tasks
+     * @param {Array} imported - Validated imported tasks
+     * @param {string} mode - 'merge' keeps current tasks, 'replace' discards them
+     * @returns {Object} { tasks, added, duplicates }
+     */
+    static combineTasks(existing, imported, mode = 'merge') {
+        const seen = new Set(mode === 'merge' ? existing.map(task => task.id) : []);
+        const added = [];
+        let duplicates = 0;
+
+        imported.forEach(task => {
+            if (seen.has(task.id)) {
+                duplicates++;
+                return;
+            }
+            seen.add(task.id);
+            added.push(task);
+        });
+
+        return {
+            tasks: mode === 'merge' ? [...added, ...existing] : added,
+            added: added.length,
+            duplicates
+        };
+    }
+
+    /**
+     * Turn validated import data into a complete task
+     * @param {Object} data - Task fields
+     * @returns {Object} Task object
+     */
+    static toTask(data) {
+        const tags = Array.isArray(data.tags) ? data.tags.join(' ') : data.tags || '';
+        const id = typeof data.id === 'number' ? String(data.id) : data.id;
+        return TaskModel.normalizeTask({
+            ...data,
+            // UIDs from other apps can hold anything, so unsafe ones are replaced rather than rendered
+            id: TaskModel.isValidId(id) ? id : TaskModel.generateId(),
+            text: data.text.trim(),
+            completed: !!data.completed,
+            dueDate: data.dueDate || '',
+            tags: TaskModel.parseTags(tags),
+            subtasks: (data.subtasks || []).map(subtask => ({
+                id: TaskModel.isValidId(subtask.id) ? subtask.id : TaskModel.generateId(),
+                text: subtask.text.trim(),
+                completed: !!subtask.completed
+            })),
+            createdAt: data.createdAt && !isNaN(new Date(data.createdAt)) ? data.createdAt : new Date().toISOString(),
+            // Files without a completion time leave it unknown rather than pretending it was now
+            completedAt: data.completedAt && !isNaN(new Date(data.completedAt)) ? data.completedAt : null,
+            // A timer left running in a backup would otherwise count the time since it was made
+            timerStartedAt: null
+        });
+    }
+
+    // JSON
+
+    /**
+     * Full-fidelity JSON backup
+     * @param {Array} tasks - Array of tasks
+     * @param {Object} backup - { archive, lists } to include (optional)
+     * @returns {string} JSON text
+     */
+    static toJSON(tasks, { archive = [], lists = [] } = {}) {
+        return JSON.stringify({
+            app: 'simple-todo',
+            schemaVersion: SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            tasks: tasks,
+            archive: archive,
+            lists: lists
+        }, null, 2);
+    }
+
+    /**
+     * Read a JSON backup (or a bare array of tasks)
+     * Archived tasks are numbered on from the active ones; lists that aren't valid are left out.
+     * @param {string} content - JSON text
+     * @returns {Object} { records, lists } where records are { row, data, archived }
+     */
+    static fromJSON(content) {
+        const parsed = JSON.parse(content);
+        const tasks = Array.isArray(parsed) ? parsed : parsed && parsed.tasks;
+        if (!Array.isArray(tasks)) {
+            throw new Error('JSON file does not contain a list of tasks');
+        }
+        const archive = !Array.isArray(parsed) && Array.isArray(parsed.archive) ? parsed.archive : [];
+        const lists = !Array.isArray(parsed) && Array.isArray(parsed.lists) ? parsed.lists : [];
+
+        return {
+            records: [
+                ...tasks.map((data, index) => ({ row: index + 1, data: data || {}, archived: false })),
+                ...archive.map((data, index) => ({ row: tasks.length + index + 1, data: data || {}, archived: true }))
+            ],
+            lists: lists
+                .filter(list => list && TaskModel.isValidId(list.id) && typeof list.name === 'string' &&
+                    ListModel.validateList(list, []).length === 0)
+                .map(list => ({
+                    id: list.id,
+                    name: list.name.trim(),
+                    color: list.color,
+                    sort: typeof list.sort === 'string' ? list.sort : '',
+                    tags: TaskModel.parseTags(Array.isArray(list.tags) ? list.tags.join(' ') : '')
+                }))
+        };
+    }
+
+    // CSV
+
+    /**
+     * Export tasks as CSV with a header row
+     * @param {Array} tasks - Array of tasks
+     * @returns {string} CSV text
+     */
+    static toCSV(tasks) {
+        const rows = tasks.map(task => [
+            task.id,
+            task.text,
+            task.completed ? 'true' : 'false',
+            task.status,
+            task.dueDate || '',
+            task.dueTime || '',
+            task.tags.join(' '),
+            `P${task.priority}`,
+            task.createdAt || '',
+            task.completedAt || '',
+            task.notes || ''
+        ]);
+
+        return [CSV_COLUMNS, ...rows]
+            .map(row => row.map(value => this.escapeCSV(value)).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * Read CSV with a header row; columns are matched by name
+     * @param {string} content - CSV text
+     * @returns {Array} Records of { row, data }
+     */
+    static fromCSV(content) {
+        const rows = this.parseCSV(content);
+        if (rows.length === 0) return [];
+
+        const header = rows[0].map(name => name.trim());
+        if (!header.includes('text')) {
+            throw new Error('CSV file needs a "text" column');
+        }
+
+        return rows.slice(1)
+            .map((values, index) => ({ values, row: index + 2 }))
+            .filter(({ values }) => values.some(value => value.trim() !== ''))
+            .map(({ values, row }) => {
+                const record = {};
+                header.forEach((name, column) => {
+                    record[name] = values[column] !== undefined ? values[column] : '';
+                });
+
+                return {
+                    row,
+                    data: {
+                        id: record.id,
+                        text: record.text,
+                        completed: /^(true|yes|1|x)$/i.test(record.completed || ''),
+                        status: (record.status || '').trim().toLowerCase(),
+                        dueDate: record.dueDate,
+                        dueTime: record.dueTime,
+                        tags: TaskModel.parseTags(record.tags),
+                        priority: TaskModel.normalizePriority(record.priority),
+                        createdAt: record.createdAt,
+                        completedAt: record.completedAt,
+                        notes: record.notes
+                    }
+                };
+            });
+    }
+
+    /**
+     * Quote a CSV value when needed
+     * @param {*} value - Cell value
+     * @returns {string} Escaped cell
+     */
+    static escapeCSV(value) {
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Split CSV text into rows of cells (RFC 4180 quoting)
+     * @param {string} content - CSV text
+     * @returns {Array} Array of rows
+     */
+    static parseCSV(content) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // Markdown
+
+    /**
+     * Export tasks as a GitHub-style checklist; subtasks and quoted notes are indented
+     * @param {Array} tasks - Array of tasks
+     * @returns {string} Markdown text
+     */
+    static toMarkdown(tasks) {
+        const lines = ['# Tasks', ''];
+
+        tasks.forEach(task => {
+            const parts = [task.text.replace(/\s*\n\s*/g, ' '), ...task.tags];
+            if (task.dueDate) parts.push(`📅 ${task.dueDate}`);
+            lines.push(`- [${task.completed ? 'x' : ' '}] ${parts.join(' ')}`);
+
+            (task.subtasks || []).forEach(subtask => {
+                lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text.replace(/\s*\n\s*/g, ' ')}`);
+            });
+            if (task.notes) {
+                task.notes.split('\n').forEach(line => lines.push(`  > ${line}`.trimEnd()));
+            }
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Read checklist items ("- [x] text #tag"); indented items become subtasks
+     * and indented "> " lines become notes
+     * @param {string} content - Markdown text
+     * @returns {Array} Records of { row, data }
+     */
+    static fromMarkdown(content) {
+        const records = [];
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            const parent = records[records.length - 1];
+            const note = /^\s+>\s?(.*)$/.exec(line);
+            if (note && parent) {
+                parent.data.notes = parent.data.notes === undefined ? note[1] : `${parent.data.notes}\n${note[1]}`;
+                return;
+            }
+
+            const match = /^(\s*)[-*+]\s+\[([ xX])\]\s*(.*)$/.exec(line);
+            if (!match) return;
+
+            const completed = match[2].toLowerCase() === 'x';
+
+            if (match[1].length > 0 && parent) {
+                parent.data.subtasks.push({ ...TaskModel.createSubtask(match[3]), completed });
+                return;
+            }
+
+            let text = match[3];
+            let dueDate = '';
+            const due = /(?:📅|due:)\s*(\d{4}-\d{2}-\d{2})/.exec(text);
+            if (due) {
+                dueDate = due[1];
+                text = text.replace(due[0], '');
+            }
+            const tags = TaskModel.parseTags(text);
+            text = text.split(/\s+/).filter(word => !word.startsWith('#')).join(' ');
+
+            records.push({
+                row: index + 1,
+                data: { text, completed, dueDate, tags, subtasks: [] }
+            });
+        });
+
+        return records;
+    }
+
+    // iCalendar
+
+    /**
+     * Export tasks as an iCalendar file of VTODO entries
+     * @param {Array} tasks - Array of tasks
+     * @returns {string} iCalendar text
+     */
+    static toICS(tasks) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Simple To-Do App//EN'
+        ];
+        const stamp = this.formatICSDateTime(new Date());
+
+        tasks.forEach(task => {
+            lines.push('BEGIN:VTODO');
+            lines.push(`UID:${task.id}`);
+            lines.push(`DTSTAMP:${stamp}`);
+            if (task.createdAt) lines.push(`CREATED:${this.formatICSDateTime(new Date(task.createdAt))}`);
+            lines.push(`SUMMARY:${this.escapeICS(task.text)}`);
+            if (task.notes) lines.push(`DESCRIPTION:${this.escapeICS(task.notes)}`);
+            lines.push(`STATUS:${task.completed ? 'COMPLETED' : task.status === 'in-progress' ? 'IN-PROCESS' : 'NEEDS-ACTION'}`);
+            if (task.completed && task.completedAt) {
+                lines.push(`COMPLETED:${this.formatICSDateTime(new Date(task.completedAt))}`);
+            }
+
+            if (task.dueDate) {
+                const date = task.dueDate.replace(/-/g, '');
+                lines.push(task.dueTime
+                    ? `DUE:${date}T${task.dueTime.replace(':', '')}00`
+                    : `DUE;VALUE=DATE:${date}`);
+            }
+            if (task.tags.length > 0) {
+                lines.push(`CATEGORIES:${task.tags.map(tag => this.escapeICS(tag.slice(1))).join(',')}`);
+            }
+            if (ICS_PRIORITIES[task.priority]) {
+                lines.push(`PRIORITY:${ICS_PRIORITIES[task.priority]}`);
+            }
+            if (task.recurrence) {
+                lines.push(`RRULE:${this.toRRule(task.recurrence)}`);
+            }
+            (task.reminders || []).forEach(minutes => {
+                lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER;RELATED=END:-PT${minutes}M`);
+                lines.push(`DESCRIPTION:${this.escapeICS(task.text)}`, 'END:VALARM');
+            });
+            lines.push('END:VTODO');
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldICSLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Read VTODO entries from an iCalendar file
+     * @param {string} content - iCalendar text
+     * @returns {Array} Records of { row, data }
+     */
+    static fromICS(content) {
+        const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const records = [];
+        let current = null;
+        let inAlarm = false;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VTODO') {
+                current = { subtasks: [], reminders: [] };
+                return;
+            }
+            if (line === 'BEGIN:VALARM' || line === 'END:VALARM') {
+                inAlarm = line === 'BEGIN:VALARM';
+                return;
+            }
+            if (inAlarm) {
+                // Only the trigger of an alarm matters; its other fields would clash with the task's
+                const trigger = /^TRIGGER[^:]*:-P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/i.exec(line);
+                if (trigger && current) {
+                    const [, days = 0, hours = 0, minutes = 0] = trigger;
+                    current.reminders.push(Number(days) * 1440 + Number(hours) * 60 + Number(minutes));
+                }
+                return;
+            }
+            if (line === 'END:VTODO') {
+                if (current) records.push({ row: records.length + 1, data: current });
+                current = null;
+                return;
+            }
+            if (!current) return;
+
+            const separator = line.indexOf(':');
+            if (separator === -1) return;
+
+            const [name, ...params] = line.slice(0, separator).toUpperCase().split(';');
+            const value = line.slice(separator + 1);
+
+            switch (name) {
+                case 'UID':
+                    current.id = value;
+                    break;
+                case 'SUMMARY':
+                    current.text = this.unescapeICS(value);
+                    break;
+                case 'DESCRIPTION':
+                    current.notes = this.unescapeICS(value);
+                    break;
+                case 'STATUS':
+                    current.completed = value.toUpperCase() === 'COMPLETED';
+                    current.status = value.toUpperCase() === 'IN-PROCESS' ? 'in-progress' : '';
+                    break;
+                case 'DUE': {
+                    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(?:\d{2})?(Z)?)?/.exec(value);
+                    if (!match) {
+                        current.dueDate = value;
+                        break;
+                    }
+
+                    const [, year, month, day, hours, minutes, utc] = match;
+                    if (hours && utc && !params.includes('VALUE=DATE')) {
+                        // A UTC time is due at the local time it falls on, which can be another day
+                        const due = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+                        current.dueDate = DateUtils.toDateString(due);
+                        current.dueTime = `${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`;
+                    } else {
+                        current.dueDate = `${year}-${month}-${day}`;
+                        current.dueTime = hours && !params.includes('VALUE=DATE') ? `${hours}:${minutes}` : '';
+                    }
+                    break;
+                }
+                case 'CATEGORIES':
+                    current.tags = (current.tags || []).concat(
+                        value.split(/(?<!\\),/).map(tag => `#${this.unescapeICS(tag).trim().replace(/\s+/g, '-').toLowerCase()}`)
+                    );
+                    break;
+                case 'PRIORITY': {
+                    const priority = Number(value);
+                    if (priority >= 1 && priority <= 4) current.priority = 1;
+                    else if (priority === 5) current.priority = 2;
+                    else if (priority >= 6) current.priority = 3;
+                    break;
+                }
+                case 'CREATED': {
+                    const created = this.parseICSDateTime(value);
+                    if (created) current.createdAt = created.toISOString();
+                    break;
+                }
+                case 'COMPLETED': {
+                    const completedAt = this.parseICSDateTime(value);
+                    if (completedAt) current.completedAt = completedAt.toISOString();
+                    break;
+                }
+                case 'RRULE':
+                    current.recurrence = this.fromRRule(value);
+                    break;
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * Convert a recurrence rule to an RRULE value
+     * @param {Object} rule - Normalized recurrence rule
+     * @returns {string} RRULE value
+     */
+    static toRRule(rule) {
+        const parts = [`FREQ=${rule.frequency.toUpperCase()}`, `INTERVAL=${rule.interval}`];
+
+        if (rule.frequency === 'weekly') {
+            parts.push(`BYDAY=${rule.weekdays.map(day => ICS_WEEKDAYS[day]).join(',')}`);
+        }
+        if (rule.frequency === 'monthly') {
+            parts.push(`BYMONTHDAY=${rule.dayOfMonth}`);
+        }
+        if (rule.count) {
+            parts.push(`COUNT=${rule.count - rule.occurrence + 1}`);
+        } else if (rule.endDate) {
+            parts.push(`UNTIL=${rule.endDate.replace(/-/g, '')}`);
+        }
+
+        return parts.join(';');
+    }
+
+    /**
+     * Convert an RRULE value to a recurrence rule
+     * @param {string} value - RRULE value
+     * @returns {Object|null} Raw recurrence rule, or null if unsupported
+     */
+    static fromRRule(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, val] = part.split('=');
+            if (key && val) parts[key.toUpperCase()] = val;
+        });
+
+        const frequency = (parts.FREQ || '').toLowerCase();
+        if (!Recurrence.FREQUENCIES.includes(frequency)) return null;
+
+        const until = /^(\d{4})(\d{2})(\d{2})/.exec(parts.UNTIL || '');
+        return {
+            frequency,
+            interval: parts.INTERVAL || 1,
+            weekdays: (parts.BYDAY || '').split(',')
+                .map(day => ICS_WEEKDAYS.indexOf(day.slice(-2)))
+                .filter(day => day >= 0),
+            dayOfMonth: parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',')[0] : null,
+            endDate: until ? `${until[1]}-${until[2]}-${until[3]}` : '',
+            count: parts.COUNT || null
+        };
+    }
+
+    /**
+     * Format a date as a UTC iCalendar date-time
+     * @param {Date} date - Date to format
+     * @returns {string} e.g. 20261018T093000Z
+     */
+    static formatICSDateTime(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Parse an iCalendar date-time
+     * @param {string} value - e.g. 20261018T093000Z
+     * @returns {Date|null} Parsed date
+     */
+    static parseICSDateTime(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/.exec(value);
+        if (!match) return null;
+
+        const [, year, month, day, hours, minutes, seconds, utc] = match;
+        return utc
+            ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+            : new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    /**
+     * Escape text for an iCalendar property value
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    static escapeICS(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Undo iCalendar text escaping
+     * @param {string} text - Escaped text
+     * @returns {string} Plain text
+     */
+    static unescapeICS(text) {
+        return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Fold a content line at 75 characters as iCalendar requires
+     * @param {string} line - Content line
+     * @returns {string} Folded line
+     */
+    static foldICSLine(line) {
+        const chunks = [];
+        for (let i = 0; i < line.length; i += 74) {
+            chunks.push(line.slice(i, i + 74));
+        }
+        return chunks.join('\r\n ');
+    }
+}
@@ -0,0 +1,236 @@
+/**
+ * Time tracking
+ *
+ * Each task keeps a log of time entries ({ start, duration, manual }, with
+ * durations in milliseconds) and an optional estimate in minutes. A running
+ * timer is stored as the task's timerStartedAt timestamp rather than as a
+ * ticking count, so it carries on across reloads and tabs; only one task's
+ * timer runs at a time.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Longest estimate or single manual entry, in minutes (a working week)
+export const MAX_DURATION_MINUTES = 100 * 60;
+
+const UNIT_MINUTES = { h: 60, hr: 60, hrs: 60, hour: 60, hours: 60, m: 1, min: 1, mins: 1, minute: 1, minutes: 1 };
+
+export class TimeTracking {
+    /**
+     * Parse a typed duration: 45, 45m, 1h, 1.5h, 1h 30m, 2 hours 5 min or 1:30
+     * @param {string} text - Duration as typed (a leading "-" is kept, for taking time off)
+     * @returns {number|null} Whole minutes, or null if it isn't understood
+     */
+    static parseDuration(text) {
+        const value = String(text || '').trim().toLowerCase();
+        const sign = value.startsWith('-') ? -1 : 1;
+        const rest = value.replace(/^[-+]\s*/, '');
+        if (!rest) return null;
+
+        const clock = /^(\d+):([0-5]\d)$/.exec(rest);
+        if (clock) return sign * (Number(clock[1]) * 60 + Number(clock[2]));
+
+        // A bare number is minutes
+        if (/^\d+$/.test(rest)) return sign * Number(rest);
+
+        const pattern = /(\d+(?:\.\d+)?)\s*([a-z]+)\s*/g;
+        let minutes = 0;
+        let consumed = 0;
+        let match;
+        while ((match = pattern.exec(rest)) && match.index === consumed) {
+            if (!UNIT_MINUTES[match[2]]) return null;
+            minutes += Number(match[1]) * UNIT_MINUTES[match[2]];
+            consumed += match[0].length;
+        }
+
+        return consumed === rest.length ? sign * Math.round(minutes) : null;
+    }
+
+    /**
+     * Check a typed estimate or time entry
+     * @param {string} text - Duration as typed
+     * @param {string} label - Field name for the messages
+     * @param {boolean} allowNegative - Whether time can be taken off
+     * @returns {Array} Error messages; empty when valid or left blank
+     */
+    static validateDuration(text, label, allowNegative = false) {
+        if (!text || !String(text).trim()) return [];
+
+        const minutes = this.parseDuration(text);
+        if (minutes === null) {
+            return [`${label} should look like 45m, 1h 30m or 1:30`];
+        }
+        if (minutes === 0 || (minutes < 0 && !allowNegative)) {
+            return [`${label} must be more than 0 minutes`];
+        }
+        if (Math.abs(minutes) > MAX_DURATION_MINUTES) {
+            return [`${label} must be ${MAX_DURATION_MINUTES / 60} hours or less`];
+        }
+        return [];
+    }
+
+    /**
+     * Fill in missing or invalid time tracking fields on a stored task
+     * @param {Object} task - Stored task
+     * @returns {Object} { timeEntries, estimate, timerStartedAt }
+     */
+    static normalize(task) {
+        const entries = Array.isArray(task.timeEntries) ? task.timeEntries : [];
+        const startedAt = new Date(task.timerStartedAt);
+
+        return {
+            timeEntries: entries.filter(entry => entry && Number.isFinite(entry.duration) && !isNaN(new Date(entry.start))),
+            estimate: Number.isInteger(task.estimate) && task.estimate > 0 ? task.estimate : null,
+            timerStartedAt: task.timerStartedAt && !isNaN(startedAt) ? task.timerStartedAt : null
+        };
+    }
+
+    /**
+     * Find the task whose timer is running
+     * @param {Array} tasks - Array of tasks
+     * @returns {Object|null} Task or null if no timer is running
+     */
+    static findRunning(tasks) {
+        return tasks.find(task => task.timerStartedAt) || null;
+    }
+
+    /**
+     * Start a task's timer, stopping any other that is running
+     * @param {Array} tasks - Array of tasks
+     * @param {Object} task - Task to time
+     * @param {Date} now - Start time (defaults to now)
+     * @returns {Object|null} Task whose timer was stopped, if any
+     */
+    static start(tasks, task, now = new Date()) {
+        const running = tasks.find(other => other.timerStartedAt && other !== task) || null;
+        if (running) this.stop(running, now);
+
+        if (!task.timerStartedAt) {
+            task.timerStartedAt = now.toISOString();
+        }
+        return running;
+    }
+
+    /**
+     * Stop a task's timer and log the time since it started
+     * @param {Object} task - Task being timed
+     * @param {Date} now - Stop time (defaults to now)
+     * @returns {Object|null} The new time entry, or null if the timer wasn't running
+     */
+    static stop(task, now = new Date()) {
+        if (!task.timerStartedAt) return null;
+
+        const start = task.timerStartedAt;
+        task.timerStartedAt = null;
+
+        // A clock that moved backwards shouldn't log negative time
+        const duration = Math.max(0, now - new Date(start));
+        if (duration < 1000) return null;
+
+        const entry = { start, duration, manual: false };
+        task.timeEntries = [...task.timeEntries, entry];
+        return entry;
+    }
+
+    /**
+     * Log time by hand, as if it had just been spent
+     * @param {Object} task - Task object
+     * @param {number} minutes - Minutes to add (negative to take time off)
+     * @param {Date} now - When it was logged (defaults to now)
+     * @returns {Object} The new time entry
+     */
+    static addEntry(task, minutes, now = new Date()) {
+        const duration = minutes * MINUTE_MS;
+        const entry = {
+            start: new Date(now.getTime() - Math.max(0, duration)).toISOString(),
+            duration,
+            manual: true
+        };
+        task.timeEntries = [...task.timeEntries, entry];
+        return entry;
+    }
+
+    /**
+     * Time spent on a task, including a running timer
+     * @param {Object} task - Task object
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {number} Milliseconds (never negative)
+     */
+    static getTracked(task, now = new Date()) {
+        const logged = (task.timeEntries || []).reduce((sum, entry) => sum + entry.duration, 0);
+        const running = task.timerStartedAt ? Math.max(0, now - new Date(task.timerStartedAt)) : 0;
+        return Math.max(0, logged + running);
+    }
+
+    /**
+     * Total tracked time and estimates per tag, most time first
+     * Tasks with several tags count towards each of them.
+     * @param {Array} tasks - Array of tasks
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {Array} Rows of { tag, tracked, estimate } (tracked in milliseconds, estimate in minutes)
+     */
+    static getTotalsByTag(tasks, now = new Date()) {
+        const totals = new Map();
+
+        tasks.forEach(task => {
+            const tracked = this.getTracked(task, now);
+            if (tracked === 0 && !task.estimate) return;
+
+            task.tags.forEach(tag => {
+                const row = totals.get(tag) || { tag, tracked: 0, estimate: 0 };
+                row.tracked += tracked;
+                row.estimate += task.estimate || 0;
+                totals.set(tag, row);
+            });
+        });
+
+        return [...totals.values()].sort((a, b) => b.tracked - a.tracked || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Total tracked time across tasks
+     * @param {Array} tasks - Array of tasks
+     * @param {Date} now - Reference time (defaults to now)
+     * @returns {number} Milliseconds
+     */
+    static getTotal(tasks, now = new Date()) {
+        return tasks.reduce((sum, task) => sum + this.getTracked(task, now), 0);
+    }
+
+    /**
+     * Format a duration in hours and minutes
+     * @param {number} milliseconds - Duration
+     * @returns {string} e.g. "0m", "<1m", "45m", "2h" or "1h 30m"
+     */
+    static formatDuration(milliseconds) {
+        const minutes = Math.floor(milliseconds / MINUTE_MS);
+        const hours = Math.floor(minutes / 60);
+        if (minutes === 0 && milliseconds > 0) return '<1m';
+        if (hours === 0) return `${minutes}m`;
+        return minutes % 60 === 0 ? `${hours}h` : `${hours}h ${minutes % 60}m`;
+    }
+
+    /**
+     * Format an estimate for display and for the edit form
+     * @param {number|null} minutes - Estimate
+     * @returns {string} e.g. "1h 30m"; empty when there is none
+     */
+    static formatEstimate(minutes) {
+        return minutes ? this.formatDuration(minutes * MINUTE_MS) : '';
+    }
+
+    /**
+     * Format a running timer like a stopwatch
+     * @param {number} milliseconds - Elapsed time
+     * @returns {string} e.g. "4:05" or "1:04:05"
+     */
+    static formatClock(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        const pad = value => String(value).padStart(2, '0');
+        const hours = Math.floor(milliseconds / HOUR_MS);
+        const minutes = Math.floor(seconds / 60) % 60;
+
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds % 60)}` : `${minutes}:${pad(seconds % 60)}`;
+    }
+}
@@ -1,161 +1,1714 @@
 /**
  * UI Renderer module for handling DOM manipulation
  */
-import { TaskModel } from './taskModel.js';
+import { TaskModel, DEFAULT_LIST_ID } from './taskModel.js';
+import { Recurrence } from './recurrence.js';
+import { DateUtils } from './dateUtils.js';
+import { ALL_LISTS_ID } from './lists.js';
+import { ReminderService } from './reminders.js';
+import { StatsModel } from './stats.js';
+import { Markdown } from './markdown.js';
+import { KEYBOARD_SHORTCUTS } from './commands.js';
+import { Icons } from './icons.js';
+import { TimeTracking } from './timeTracking.js';
+
+// Archived tasks listed at once; a search finds the rest
+const ARCHIVE_PAGE_SIZE = 100;
 
 export class UIRenderer {
     constructor() {
         console.log('Initializing UIRenderer...');
+        // Task last clicked in selection mode, where a Shift-click range starts
+        this.selectionAnchor = null;
+        // Tasks whose notes are expanded, kept open across re-renders
+        this.expandedNotes = new Set();
+        // Commands listed in the palette and the highlighted one
+        this.commandResults = [];
+        this.commandIndex = 0;
         this.elements = {
             taskForm: document.getElementById('taskForm'),
             taskInput: document.getElementById('taskInput'),
             dueDateInput: document.getElementById('dueDateInput'),
+            prioritySelect: document.getElementById('prioritySelect'),
             tagsInput: document.getElementById('tagsInput'),
+            quickAddPreview: document.getElementById('quickAddPreview'),
             tasksList: document.getElementById('tasksList'),
             taskCount: document.getElementById('taskCount'),
             tagFilter: document.getElementById('tagFilter'),
+            searchInput: document.getElementById('searchInput'),
             sortBy: document.getElementById('sortBy'),
-            clearCompleted: document.getElementById('clearCompleted'),
+            groupBy: document.getElementById('groupBy'),
+            smartLists: document.getElementById('smartLists'),
+            savedViews: document.getElementById('savedViews'),
+            saveViewForm: document.getElementById('saveViewForm'),
+            saveViewName: document.getElementById('saveViewName'),
+            archiveCompleted: document.getElementById('archiveCompleted'),
+            layoutToggle: document.getElementById('layoutToggle'),
+            boardColumns: document.getElementById('boardColumns'),
+            calendarMode: document.getElementById('calendarMode'),
+            selectModeBtn: document.getElementById('selectModeBtn'),
+            batchBar: document.getElementById('batchBar'),
+            batchCount: document.getElementById('batchCount'),
+            batchTags: document.getElementById('batchTags'),
+            batchDueDate: document.getElementById('batchDueDate'),
             editModal: document.getElementById('editModal'),
             editForm: document.getElementById('editForm'),
             editTaskText: document.getElementById('editTaskText'),
+            editNotes: document.getElementById('editNotes'),
             editDueDate: document.getElementById('editDueDate'),
+            editDueTime: document.getElementById('editDueTime'),
+            editReminders: document.getElementById('editReminders'),
             editTags: document.getElementById('editTags'),
+            editPriority: document.getElementById('editPriority'),
+            editStatus: document.getElementById('editStatus'),
+            editBlockedBy: document.getElementById('editBlockedBy'),
+            editEstimate: document.getElementById('editEstimate'),
+            editLogTime: document.getElementById('editLogTime'),
+            editTimeSummary: document.getElementById('editTimeSummary'),
+            editList: document.getElementById('editList'),
+            editRepeat: document.getElementById('editRepeat'),
+            editRepeatOptions: document.getElementById('editRepeatOptions'),
+            editRepeatInterval: document.getElementById('editRepeatInterval'),
+            editRepeatWeekdays: document.getElementById('editRepeatWeekdays'),
+            editRepeatDayOfMonth: document.getElementById('editRepeatDayOfMonth'),
+            editRepeatEndDate: document.getElementById('editRepeatEndDate'),
+            editRepeatCount: document.getElementById('editRepeatCount'),
             closeModal: document.getElementById('closeModal'),
             cancelEdit: document.getElementById('cancelEdit'),
-            darkModeToggle: document.getElementById('darkModeToggle')
+            darkModeToggle: document.getElementById('darkModeToggle'),
+            listSelect: document.getElementById('listSelect'),
+            listColorDot: document.getElementById('listColorDot'),
+            editListBtn: document.getElementById('editListBtn'),
+            newListBtn: document.getElementById('newListBtn'),
+            listModal: document.getElementById('listModal'),
+            listModalTitle: document.getElementById('listModalTitle'),
+            closeListModal: document.getElementById('closeListModal'),
+            listForm: document.getElementById('listForm'),
+            listName: document.getElementById('listName'),
+            listColor: document.getElementById('listColor'),
+            listSort: document.getElementById('listSort'),
+            listTags: document.getElementById('listTags'),
+            deleteListBtn: document.getElementById('deleteListBtn'),
+            cancelList: document.getElementById('cancelList'),
+            statsBtn: document.getElementById('statsBtn'),
+            statsModal: document.getElementById('statsModal'),
+            statsTitle: document.getElementById('statsTitle'),
+            closeStatsModal: document.getElementById('closeStatsModal'),
+            statsContent: document.getElementById('statsContent'),
+            archiveBtn: document.getElementById('archiveBtn'),
+            activeTimer: document.getElementById('activeTimer'),
+            activeTimerTask: document.getElementById('activeTimerTask'),
+            activeTimerText: document.getElementById('activeTimerText'),
+            activeTimerClock: document.getElementById('activeTimerClock'),
+            activeTimerStop: document.getElementById('activeTimerStop'),
+            archiveModal: document.getElementById('archiveModal'),
+            archiveTitle: document.getElementById('archiveTitle'),
+            closeArchiveModal: document.getElementById('closeArchiveModal'),
+            archiveSearch: document.getElementById('archiveSearch'),
+            archiveSummary: document.getElementById('archiveSummary'),
+            archiveList: document.getElementById('archiveList'),
+            autoArchiveDays: document.getElementById('autoArchiveDays'),
+            purgeDays: document.getElementById('purgeDays'),
+            commandBtn: document.getElementById('commandBtn'),
+            commandPalette: document.getElementById('commandPalette'),
+            commandInput: document.getElementById('commandInput'),
+            commandResults: document.getElementById('commandResults'),
+            shortcutsModal: document.getElementById('shortcutsModal'),
+            closeShortcutsModal: document.getElementById('closeShortcutsModal'),
+            shortcutsContent: document.getElementById('shortcutsContent'),
+            syncBtn: document.getElementById('syncBtn'),
+            syncModal: document.getElementById('syncModal'),
+            closeSyncModal: document.getElementById('closeSyncModal'),
+            syncStatus: document.getElementById('syncStatus'),
+            syncForm: document.getElementById('syncForm'),
+            syncUrl: document.getElementById('syncUrl'),
+            syncToken: document.getElementById('syncToken'),
+            syncNowBtn: document.getElementById('syncNowBtn'),
+            syncDisconnectBtn: document.getElementById('syncDisconnectBtn'),
+            encryptionBtn: document.getElementById('encryptionBtn'),
+            encryptionModal: document.getElementById('encryptionModal'),
+            closeEncryptionModal: document.getElementById('closeEncryptionModal'),
+            encryptionUnsupported: document.getElementById('encryptionUnsupported'),
+            encryptionEnableForm: document.getElementById('encryptionEnableForm'),
+            encryptionSettings: document.getElementById('encryptionSettings'),
+            autoLockMinutes: document.getElementById('autoLockMinutes'),
+            lockNowBtn: document.getElementById('lockNowBtn'),
+            passphraseChangeForm: document.getElementById('passphraseChangeForm'),
+            encryptionDisableForm: document.getElementById('encryptionDisableForm'),
+            lockScreen: document.getElementById('lockScreen'),
+            unlockForm: document.getElementById('unlockForm'),
+            unlockPassphrase: document.getElementById('unlockPassphrase'),
+            unlockError: document.getElementById('unlockError'),
+            storageErrorScreen: document.getElementById('storageErrorScreen'),
+            storageErrorMessage: document.getElementById('storageErrorMessage'),
+            storageErrorReloadBtn: document.getElementById('storageErrorReloadBtn'),
+            updateBanner: document.getElementById('updateBanner'),
+            updateReloadBtn: document.getElementById('updateReloadBtn'),
+            updateDismissBtn: document.getElementById('updateDismissBtn'),
+            transferBtn: document.getElementById('transferBtn'),
+            transferModal: document.getElementById('transferModal'),
+            closeTransferModal: document.getElementById('closeTransferModal'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportBtn: document.getElementById('exportBtn'),
+            importForm: document.getElementById('importForm'),
+            importFile: document.getElementById('importFile'),
+            importResults: document.getElementById('importResults')
+        };
+        
+        // Check if all elements were found
+        const missingElements = Object.entries(this.elements)
+            .filter(([name, element]) => !element)
+            .map(([name]) => name);
+            
+        if (missingElements.length > 0) {
+            console.error('Missing elements:', missingElements);
+        } else {
+            console.log('All UI elements found successfully');
+        }
+    }
+
+    /**
+     * Render tasks list
+     * @param {Array} tasks - Array of tasks to render
+     * @param {Object} options - Render options
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     * @param {boolean} options.isFiltered - Whether a search or filter is hiding tasks
+     * @param {Array} options.groups - Labelled groups of { label, tasks } to render instead of a flat list
+     * @param {boolean} options.draggable - Show drag handles for manual ordering
+     * @param {Array} options.lists - Lists to label each task with (when showing several lists)
+     * @param {Set} options.selection - IDs of the selected tasks; show selection checkboxes when set
+     * @param {Map} options.blockers - Open blocking tasks keyed by the ID of the task they block
+     */
+    renderTasks(tasks, options = {}) {
+        this.elements.tasksList.classList.toggle('selecting', !!options.selection);
+
+        if (tasks.length === 0) {
+            this.renderEmptyState(options.isFiltered);
+            return;
+        }
+
+        const highlightTerms = options.highlightTerms || [];
+        const groups = options.groups || [{ label: '', tasks }];
+        const blockers = options.blockers || new Map();
+
+        this.elements.tasksList.innerHTML = groups.map(group => `
+            ${group.label ? `
+                <div class="task-group-header">
+                    ${this.escapeHtml(group.label)}
+                    <span class="task-count">(${group.tasks.length})</span>
+                </div>
+            ` : ''}
+            ${group.tasks.map(task => this.createTaskHTML(task, {
+                highlightTerms,
+                draggable: options.draggable,
+                list: options.lists ? options.lists.find(list => list.id === task.listId) : null,
+                selectable: !!options.selection,
+                selected: !!options.selection && options.selection.has(task.id),
+                blockers: blockers.get(task.id)
+            })).join('')}
+        `).join('');
+    }
+
+    /**
+     * Render tasks as a board of columns
+     * @param {Array} columns - Columns of { id, label, color, tasks } from BoardModel.getColumns
+     * @param {Object} options - Render options
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     * @param {string} options.columnsBy - What the columns are based on
+     * @param {Array} options.lists - Lists to label each card with (when showing several lists)
+     * @param {Map} options.blockers - Open blocking tasks keyed by the ID of the task they block
+     */
+    renderBoard(columns, options = {}) {
+        this.elements.tasksList.classList.remove('selecting');
+        const highlightTerms = options.highlightTerms || [];
+        const blockers = options.blockers || new Map();
+
+        this.elements.tasksList.innerHTML = `
+            <div class="board">
+                ${columns.map(column => `
+                    <section class="board-column" data-column-id="${this.escapeHtml(column.id)}">
+                        <header class="board-column-header">
+                            ${column.color ? `<span class="list-color-dot" style="background-color: ${this.escapeHtml(column.color)}"></span>` : ''}
+                            <span class="board-column-title">${this.escapeHtml(column.label)}</span>
+                            <span class="task-count">(${column.tasks.length})</span>
+                        </header>
+                        <div class="board-cards">
+                            ${column.tasks.map(task => this.createBoardCardHTML(task, {
+                                highlightTerms,
+                                list: options.columnsBy !== 'list' && options.lists
+                                    ? options.lists.find(list => list.id === task.listId)
+                                    : null,
+                                showStatus: options.columnsBy !== 'status',
+                                blockers: blockers.get(task.id)
+                            })).join('')}
+                        </div>
+                    </section>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a board card
+     * @param {Object} task - Task object
+     * @param {Object} options - Render options
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     * @param {Object} options.list - List to label the card with
+     * @param {boolean} options.showStatus - Show an "In progress" badge
+     * @param {Array} options.blockers - Open tasks this one is waiting on
+     * @returns {string} HTML string
+     */
+    createBoardCardHTML(task, options = {}) {
+        const { highlightTerms = [], list = null, showStatus = true, blockers = [] } = options;
+        const statusClass = task.completed ? 'completed' : `urgency-${task.urgency}`;
+
+        return `
+            <div class="task-item board-card ${statusClass} priority-p${task.priority} ${blockers.length > 0 ? 'blocked' : ''}" data-task-id="${this.escapeHtml(task.id)}">
+                <div class="board-card-top">
+                    <button class="task-btn drag-handle" title="Drag to another column (Alt+Left/Right)" aria-label="Move task">
+                        ${Icons.html('grip-vertical')}
+                    </button>
+                    <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''}>
+                    <div class="task-text">${this.formatTaskText(task.text, highlightTerms)}</div>
+                </div>
+                ${this.createTaskMetaHTML(task, list, showStatus, blockers)}
+                ${this.createNotesHTML(task)}
+                <div class="task-actions">
+                    ${this.createTimerButtonHTML(task)}
+                    <button class="task-btn edit-btn" title="Edit task">
+                        ${Icons.html('edit')}
+                    </button>
+                    <button class="task-btn delete-btn" title="Delete task">
+                        ${Icons.html('trash')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render tasks on a month or week calendar
+     * @param {Object} calendar - Result of CalendarModel.getCalendar
+     * @param {Object} options - Render options
+     * @param {string} options.mode - 'month' or 'week'
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     */
+    renderCalendar(calendar, options = {}) {
+        this.elements.tasksList.classList.remove('selecting');
+        const highlightTerms = options.highlightTerms || [];
+        const unit = options.mode === 'week' ? 'week' : 'month';
+        const weekdays = calendar.days.slice(0, 7).map(day => {
+            return DateUtils.parseLocalDate(day.date).toLocaleDateString('en-US', { weekday: 'short' });
+        });
+
+        this.elements.tasksList.innerHTML = `
+            <div class="calendar calendar-${unit}">
+                <div class="calendar-toolbar">
+                    <button type="button" class="task-btn" data-calendar-nav="-1" title="Previous ${unit}" aria-label="Previous ${unit}">
+                        ${Icons.html('chevron-left')}
+                    </button>
+                    <button type="button" class="clear-btn calendar-today-btn" data-calendar-nav="0">Today</button>
+                    <button type="button" class="task-btn" data-calendar-nav="1" title="Next ${unit}" aria-label="Next ${unit}">
+                        ${Icons.html('chevron-right')}
+                    </button>
+                    <h3 class="calendar-title">${this.escapeHtml(calendar.title)}</h3>
+                    ${calendar.undated > 0 ? `
+                        <span class="calendar-undated">${calendar.undated} ${calendar.undated === 1 ? 'task' : 'tasks'} without a due date not shown</span>
+                    ` : ''}
+                </div>
+                <div class="calendar-grid">
+                    ${weekdays.map(weekday => `<div class="calendar-weekday">${weekday}</div>`).join('')}
+                    ${calendar.days.map(day => `
+                        <div class="calendar-day ${day.inRange ? '' : 'outside'} ${day.isToday ? 'today' : ''}" data-date="${day.date}" title="Click to add a task on ${TaskModel.formatDate(day.date)}">
+                            <div class="calendar-day-label">${day.label}</div>
+                            <div class="calendar-tasks">
+                                ${day.tasks.map(task => this.createCalendarTaskHTML(task, highlightTerms)).join('')}
+                                ${day.hiddenCount > 0 ? `
+                                    <button type="button" class="calendar-more" title="Show this week">+${day.hiddenCount} more</button>
+                                ` : ''}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a task on the calendar
+     * @param {Object} task - Task object
+     * @param {Array} highlightTerms - Search terms to highlight
+     * @returns {string} HTML string
+     */
+    createCalendarTaskHTML(task, highlightTerms = []) {
+        const statusClass = task.completed ? 'completed' : `urgency-${task.urgency}`;
+        const time = task.dueTime ? `<span class="calendar-task-time">${TaskModel.formatTime(task.dueTime)}</span> ` : '';
+
+        return `
+            <button type="button" class="calendar-task ${statusClass} priority-p${task.priority}" data-task-id="${this.escapeHtml(task.id)}"
+                title="${this.escapeHtml(task.text)} (drag or Alt+arrow keys to reschedule)">
+                ${time}${this.highlightText(task.text, highlightTerms)}
+            </button>
+        `;
+    }
+
+
+    /**
+     * Show an inline form for adding a task on a calendar day
+     * @param {HTMLElement} dayElement - Day cell
+     */
+    showCalendarQuickAdd(dayElement) {
+        this.elements.tasksList.querySelectorAll('.calendar-quick-add').forEach(form => form.remove());
+
+        const form = document.createElement('form');
+        form.className = 'calendar-quick-add';
+        form.innerHTML = `
+            <input type="text" class="subtask-input" placeholder="New task" maxlength="200"
+                aria-label="New task on ${TaskModel.formatDate(dayElement.dataset.date)}">
+        `;
+        dayElement.querySelector('.calendar-tasks').appendChild(form);
+
+        const input = form.querySelector('input');
+        input.addEventListener('blur', () => form.remove());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                form.remove();
+            }
+        });
+        input.focus();
+    }
+
+    /**
+     * Create HTML for a single task
+     * @param {Object} task - Task object
+     * @param {Object} options - Render options
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     * @param {boolean} options.draggable - Show a drag handle
+     * @param {Object} options.list - List to label the task with
+     * @param {boolean} options.selectable - Show a selection checkbox
+     * @param {boolean} options.selected - Whether the task is selected
+     * @param {Array} options.blockers - Open tasks this one is waiting on
+     * @returns {string} HTML string
+     */
+    createTaskHTML(task, options = {}) {
+        const { highlightTerms = [], draggable = false, list = null, selectable = false, selected = false, blockers = [] } = options;
+        const statusClass = task.completed ? 'completed' : `urgency-${task.urgency}`;
+        
+        return `
+            <div class="task-item ${statusClass} priority-p${task.priority} ${selected ? 'selected' : ''} ${blockers.length > 0 ? 'blocked' : ''}" data-task-id="${this.escapeHtml(task.id)}">
+                ${selectable ? `
+                    <input type="checkbox" class="task-select" ${selected ? 'checked' : ''} title="Select (Shift-click for a range)" aria-label="Select task">
+                ` : ''}
+                ${draggable ? `
+                    <button class="task-btn drag-handle" title="Drag to reorder (Alt+Up/Down)" aria-label="Reorder task">
+                        ${Icons.html('grip-vertical')}
+                    </button>
+                ` : ''}
+                <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''}>
+                <div class="task-content">
+                    <div class="task-text">${this.formatTaskText(task.text, highlightTerms)}</div>
+                    ${this.createTaskMetaHTML(task, list, true, blockers)}
+                    ${this.createNotesHTML(task)}
+                    ${this.createSubtasksHTML(task, highlightTerms)}
+                </div>
+                <div class="task-actions">
+                    ${this.createTimerButtonHTML(task)}
+                    <button class="task-btn subtask-btn" title="Add subtask">
+                        ${Icons.html('list-check')}
+                    </button>
+                    <button class="task-btn edit-btn" title="Edit task">
+                        ${Icons.html('edit')}
+                    </button>
+                    <button class="task-btn delete-btn" title="Delete task">
+                        ${Icons.html('trash')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the button that starts or stops a task's timer
+     * @param {Object} task - Task object
+     * @returns {string} HTML string; empty for completed tasks
+     */
+    createTimerButtonHTML(task) {
+        if (task.completed) return '';
+
+        const running = !!task.timerStartedAt;
+        return `
+            <button class="task-btn timer-btn ${running ? 'running' : ''}" title="${running ? 'Stop timer' : 'Start timer'} (t)" aria-pressed="${running}">
+                ${Icons.html(running ? 'stop' : 'play')}
+            </button>
+        `;
+    }
+
+    /**
+     * Create HTML for a task's tracked time and estimate
+     * The running timer's badge carries its start and logged time so updateTimers can tick it.
+     * @param {Object} task - Task object
+     * @returns {string} HTML string; empty when nothing is tracked or estimated
+     */
+    createTimeHTML(task) {
+        const tracked = TimeTracking.getTracked(task);
+        if (tracked === 0 && !task.estimate && !task.timerStartedAt) return '';
+
+        const overEstimate = task.estimate && tracked > task.estimate * 60 * 1000;
+        const estimate = TimeTracking.formatEstimate(task.estimate);
+        const title = estimate ? `Tracked ${TimeTracking.formatDuration(tracked)} of ${estimate} estimated` : 'Time tracked';
+
+        return `
+            <div class="task-time ${task.timerStartedAt ? 'running' : ''} ${overEstimate ? 'over-estimate' : ''}" title="${title}"
+                ${task.timerStartedAt ? `data-timer-start="${this.escapeHtml(task.timerStartedAt)}" data-logged="${TimeTracking.getTracked({ ...task, timerStartedAt: null })}" data-estimate="${this.escapeHtml(estimate)}"` : ''}>
+                ${Icons.html('stopwatch')}
+                <span class="task-time-value">${TimeTracking.formatDuration(tracked)}${estimate ? ` / ${estimate}` : ''}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the running timer in the header, or hide it
+     * @param {Object|null} task - Task being timed
+     */
+    renderActiveTimer(task) {
+        this.elements.activeTimer.hidden = !task;
+        if (!task) return;
+
+        this.elements.activeTimer.dataset.taskId = task.id;
+        this.elements.activeTimer.dataset.timerStart = task.timerStartedAt;
+        this.elements.activeTimerText.textContent = task.text;
+        this.elements.activeTimerTask.title = `Timing "${task.text}" (click to edit)`;
+        this.updateTimers(new Date());
+    }
+
+    /**
+     * Tick the header clock and the running task's badge
+     * @param {Date} now - Current time
+     */
+    updateTimers(now) {
+        if (!this.elements.activeTimer.hidden) {
+            const elapsed = Math.max(0, now - new Date(this.elements.activeTimer.dataset.timerStart));
+            this.elements.activeTimerClock.textContent = TimeTracking.formatClock(elapsed);
+        }
+
+        this.elements.tasksList.querySelectorAll('.task-time.running').forEach(badge => {
+            const tracked = Number(badge.dataset.logged) + Math.max(0, now - new Date(badge.dataset.timerStart));
+            const estimate = badge.dataset.estimate;
+            badge.querySelector('.task-time-value').textContent =
+                `${TimeTracking.formatDuration(tracked)}${estimate ? ` / ${estimate}` : ''}`;
+        });
+    }
+
+    /**
+     * Format a task title, highlighting search terms and turning URLs into links
+     * @param {string} text - Task text
+     * @param {Array} highlightTerms - Search terms to highlight
+     * @returns {string} HTML string
+     */
+    formatTaskText(text, highlightTerms = []) {
+        return Markdown.linkify(text, part => this.highlightText(part, highlightTerms));
+    }
+
+    /**
+     * Create HTML for a task's expandable notes
+     * @param {Object} task - Task object
+     * @returns {string} HTML string
+     */
+    createNotesHTML(task) {
+        if (!task.notes) return '';
+
+        return `
+            <details class="task-notes" ${this.expandedNotes.has(task.id) ? 'open' : ''}>
+                <summary>
+                    ${Icons.html('note')}
+                    <span>Notes</span>
+                </summary>
+                <div class="task-notes-body">${Markdown.render(task.notes)}</div>
+            </details>
+        `;
+    }
+
+    /**
+     * Create HTML for the details under a task's text
+     * @param {Object} task - Task object
+     * @param {Object} list - List to label the task with (optional)
+     * @param {boolean} showStatus - Show an "In progress" badge (optional)
+     * @param {Array} blockers - Open tasks this one is waiting on (optional)
+     * @returns {string} HTML string
+     */
+    createTaskMetaHTML(task, list = null, showStatus = true, blockers = []) {
+        const dueDateStatus = TaskModel.getDueDateStatus(task.dueDate, task.dueTime);
+        const formattedDate = TaskModel.formatDate(task.dueDate);
+        const progress = TaskModel.getSubtaskProgress(task);
+
+        return `
+            <div class="task-meta">
+                ${list ? `
+                    <div class="task-list-badge">
+                        <span class="list-color-dot" style="background-color: ${this.escapeHtml(list.color)}"></span>
+                        <span>${this.escapeHtml(list.name)}</span>
+                    </div>
+                ` : ''}
+                ${showStatus && task.status === 'in-progress' ? `
+                    <div class="task-status">
+                        ${Icons.html('circle-half')}
+                        <span>${TaskModel.STATUS_LABELS[task.status]}</span>
+                    </div>
+                ` : ''}
+                ${blockers.length > 0 ? `
+                    <div class="task-blocked" title="${this.escapeHtml(`Waiting on: ${blockers.map(blocker => blocker.text).join(', ')}`)}">
+                        ${Icons.html('lock')}
+                        <span>Blocked by ${blockers.length === 1 ? `"${this.escapeHtml(blockers[0].text)}"` : `${blockers.length} tasks`}</span>
+                    </div>
+                ` : ''}
+                ${this.createTimeHTML(task)}
+                ${task.priority < 4 ? `
+                    <div class="task-priority priority-p${task.priority}" title="${TaskModel.PRIORITY_LABELS[task.priority]} priority">
+                        ${Icons.html('flag')}
+                        <span>P${task.priority}</span>
+                    </div>
+                ` : ''}
+                ${task.dueDate ? `
+                    <div class="task-due-date ${dueDateStatus.class}">
+                        ${Icons.html('calendar')}
+                        <span>${formattedDate}${task.dueTime ? ` ${TaskModel.formatTime(task.dueTime)}` : ''} - ${dueDateStatus.text}</span>
+                    </div>
+                ` : ''}
+                ${task.reminders.length > 0 && !task.completed ? `
+                    <div class="task-reminders" title="${this.escapeHtml(task.reminders.map(minutes => ReminderService.describe(minutes)).join(', '))}">
+                        ${Icons.html('bell')}
+                    </div>
+                ` : ''}
+                ${task.recurrence ? `
+                    <div class="task-recurrence">
+                        ${Icons.html('redo')}
+                        <span>${this.escapeHtml(Recurrence.describe(task.recurrence))}</span>
+                    </div>
+                ` : ''}
+                ${progress.total > 0 ? `
+                    <div class="task-progress" title="${progress.done} of ${progress.total} subtasks done">
+                        ${Icons.html('list-check')}
+                        <span>${progress.done}/${progress.total}</span>
+                        <div class="progress-bar">
+                            <div class="progress-fill" style="width: ${progress.percent}%"></div>
+                        </div>
+                    </div>
+                ` : ''}
+                ${task.tags.length > 0 ? `
+                    <div class="task-tags">
+                        ${task.tags.map(tag => `
+                            <span class="task-tag">${this.escapeHtml(tag)}</span>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Create HTML for the subtask checklist of a task
+     * @param {Object} task - Task object
+     * @param {Array} highlightTerms - Search terms to highlight (optional)
+     * @returns {string} HTML string
+     */
+    createSubtasksHTML(task, highlightTerms = []) {
+        const count = task.subtasks.length;
+
+        return `
+            <div class="subtasks ${count > 0 ? 'has-subtasks' : ''}">
+                ${count > 0 ? `
+                    <ul class="subtask-list">
+                        ${task.subtasks.map((subtask, index) => `
+                            <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${this.escapeHtml(subtask.id)}">
+                                <input type="checkbox" class="subtask-checkbox" ${subtask.completed ? 'checked' : ''}>
+                                <span class="subtask-text">${this.highlightText(subtask.text, highlightTerms)}</span>
+                                <div class="subtask-actions">
+                                    <button class="task-btn subtask-up-btn" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                                        ${Icons.html('arrow-up')}
+                                    </button>
+                                    <button class="task-btn subtask-down-btn" title="Move down" ${index === count - 1 ? 'disabled' : ''}>
+                                        ${Icons.html('arrow-down')}
+                                    </button>
+                                    <button class="task-btn subtask-delete-btn" title="Delete subtask">
+                                        ${Icons.html('times')}
+                                    </button>
+                                </div>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+                <form class="subtask-form">
+                    <input type="text" class="subtask-input" placeholder="Add a subtask" maxlength="500">
+                </form>
+            </div>
+        `;
+    }
+
+    /**
+     * Show and focus the add-subtask input of a task
+     * @param {string} taskId - Task ID
+     */
+    focusSubtaskInput(taskId) {
+        const taskItem = this.elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        if (!taskItem) return;
+
+        taskItem.querySelector('.subtasks').classList.add('adding');
+        taskItem.querySelector('.subtask-input').focus();
+    }
+
+    /**
+     * Put keyboard focus back on a task after the list is re-rendered
+     * @param {string} taskId - Task ID
+     */
+    focusTask(taskId) {
+        const taskItem = this.elements.tasksList.querySelector(`[data-task-id="${taskId}"]`);
+        if (taskItem) {
+            this.focusTaskElement(taskItem);
+        }
+    }
+
+    /**
+     * Focus a task's first control
+     * @param {HTMLElement} taskItem - Task element (list item, board card or calendar entry)
+     */
+    focusTaskElement(taskItem) {
+        // Calendar entries are buttons and take focus themselves
+        (taskItem.querySelector('.drag-handle') || taskItem.querySelector('.task-checkbox') || taskItem).focus();
+    }
+
+    /**
+     * Find the task element that has keyboard focus
+     * @returns {HTMLElement|null} Task element
+     */
+    getFocusedTaskElement() {
+        const element = document.activeElement;
+        if (!element || !this.elements.tasksList.contains(element)) return null;
+        return element.closest('.task-item, .calendar-task');
+    }
+
+    /**
+     * Move keyboard focus to the next or previous task on screen (j/k)
+     * @param {number} direction - 1 for the next task, -1 for the previous one
+     */
+    moveTaskFocus(direction) {
+        const items = [...this.elements.tasksList.querySelectorAll('.task-item, .calendar-task')];
+        if (items.length === 0) return;
+
+        const current = items.indexOf(this.getFocusedTaskElement());
+        const next = current === -1
+            ? (direction > 0 ? 0 : items.length - 1)
+            : Math.min(Math.max(current + direction, 0), items.length - 1);
+        this.focusTaskElement(items[next]);
+    }
+
+    /**
+     * Handle a single-key shortcut (no Ctrl, Alt or Meta) outside text fields
+     * @param {KeyboardEvent} e - Keydown event
+     * @param {Object} handlers - Event handler functions
+     * @returns {boolean} True if the key was a shortcut
+     */
+    handleShortcutKey(e, handlers) {
+        const taskItem = this.getFocusedTaskElement();
+        const taskId = taskItem ? taskItem.dataset.taskId : null;
+
+        switch (e.key) {
+            case 'j':
+                this.moveTaskFocus(1);
+                return true;
+            case 'k':
+                this.moveTaskFocus(-1);
+                return true;
+            case 'x':
+                if (!taskId) return false;
+                handlers.onTaskToggle(taskId, !taskItem.classList.contains('completed'));
+                this.focusTask(taskId);
+                return true;
+            case 'e':
+                if (!taskId) return false;
+                handlers.onTaskEdit(taskId);
+                return true;
+            case 't':
+                // Without a focused task, t stops whichever timer is running
+                if (!taskId && this.elements.activeTimer.hidden) return false;
+                handlers.onTimerToggle(taskId);
+                if (taskId) this.focusTask(taskId);
+                return true;
+            case '#': {
+                if (!taskId) return false;
+                // Keep the keyboard on the list by focusing the task after (or before) the deleted one
+                const items = [...this.elements.tasksList.querySelectorAll('.task-item, .calendar-task')];
+                const index = items.indexOf(taskItem);
+                const neighbour = items.slice(index + 1).concat(items.slice(0, index).reverse())
+                    .find(item => item.dataset.taskId !== taskId);
+                handlers.onTaskDelete(taskId);
+                if (neighbour) this.focusTask(neighbour.dataset.taskId);
+                return true;
+            }
+            case '/':
+                this.elements.searchInput.focus();
+                this.elements.searchInput.select();
+                return true;
+            case 'n':
+                this.elements.taskInput.focus();
+                return true;
+            case '?':
+                this.showShortcutsModal();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Drag a task by its handle with the mouse, pen or touch
+     * @param {HTMLElement} taskItem - Task element being dragged
+     * @param {Function} onDrop - Called with (taskId, targetId, placeAfter)
+     */
+    startDrag(taskItem, onDrop) {
+        let target = null;
+        let placeAfter = false;
+
+        const clearIndicator = () => {
+            this.elements.tasksList.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+                item.classList.remove('drop-before', 'drop-after');
+            });
+        };
+
+        const onMove = (e) => {
+            // Scroll when dragging near the top or bottom of the window
+            if (e.clientY < 40) window.scrollBy(0, -10);
+            if (e.clientY > window.innerHeight - 40) window.scrollBy(0, 10);
+
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            const over = element ? element.closest('#tasksList .task-item') : null;
+            clearIndicator();
+
+            if (!over || over === taskItem) {
+                target = null;
+                return;
+            }
+
+            const rect = over.getBoundingClientRect();
+            placeAfter = e.clientY > rect.top + rect.height / 2;
+            over.classList.add(placeAfter ? 'drop-after' : 'drop-before');
+            target = over;
+        };
+
+        const onEnd = (e) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onEnd);
+            document.removeEventListener('pointercancel', onEnd);
+            taskItem.classList.remove('dragging');
+            clearIndicator();
+
+            if (e.type === 'pointerup' && target) {
+                onDrop(taskItem.dataset.taskId, target.dataset.taskId, placeAfter);
+            }
+        };
+
+        taskItem.classList.add('dragging');
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onEnd);
+        document.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Drag a board card to another column with the mouse, pen or touch
+     * @param {HTMLElement} card - Card element being dragged
+     * @param {Function} onDrop - Called with (taskId, fromColumnId, toColumnId)
+     */
+    startCardDrag(card, onDrop) {
+        const fromColumn = card.closest('.board-column');
+        let target = null;
+
+        const clearIndicator = () => {
+            this.elements.tasksList.querySelectorAll('.board-column.drop-target').forEach(column => {
+                column.classList.remove('drop-target');
+            });
+        };
+
+        const onMove = (e) => {
+            if (e.clientY < 40) window.scrollBy(0, -10);
+            if (e.clientY > window.innerHeight - 40) window.scrollBy(0, 10);
+
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            const over = element ? element.closest('#tasksList .board-column') : null;
+            clearIndicator();
+
+            target = over && over !== fromColumn ? over : null;
+            if (target) target.classList.add('drop-target');
+        };
+
+        const onEnd = (e) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onEnd);
+            document.removeEventListener('pointercancel', onEnd);
+            card.classList.remove('dragging');
+            clearIndicator();
+
+            if (e.type === 'pointerup' && target) {
+                onDrop(card.dataset.taskId, fromColumn.dataset.columnId, target.dataset.columnId);
+            }
+        };
+
+        card.classList.add('dragging');
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onEnd);
+        document.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Drag a calendar entry to another day with the mouse, pen or touch
+     *
+     * The drag only starts once the pointer has moved a few pixels, so a plain
+     * click still opens the task.
+     * @param {HTMLElement} entry - Calendar entry being dragged
+     * @param {PointerEvent} startEvent - The pointerdown event
+     * @param {Function} onDrop - Called with (taskId, date)
+     */
+    startCalendarDrag(entry, startEvent, onDrop) {
+        const fromDay = entry.closest('.calendar-day');
+        let dragging = false;
+        let target = null;
+
+        const clearIndicator = () => {
+            this.elements.tasksList.querySelectorAll('.calendar-day.drop-target').forEach(day => {
+                day.classList.remove('drop-target');
+            });
+        };
+
+        const onMove = (e) => {
+            if (!dragging) {
+                if (Math.hypot(e.clientX - startEvent.clientX, e.clientY - startEvent.clientY) < 5) return;
+                dragging = true;
+                entry.classList.add('dragging');
+            }
+
+            if (e.clientY < 40) window.scrollBy(0, -10);
+            if (e.clientY > window.innerHeight - 40) window.scrollBy(0, 10);
+
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            const over = element ? element.closest('#tasksList .calendar-day') : null;
+            clearIndicator();
+
+            target = over && over !== fromDay ? over : null;
+            if (target) target.classList.add('drop-target');
+        };
+
+        const onEnd = (e) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onEnd);
+            document.removeEventListener('pointercancel', onEnd);
+            entry.classList.remove('dragging');
+            clearIndicator();
+            if (!dragging) return;
+
+            // Swallow the click that follows the drop, so it doesn't open a task or the quick-add form
+            const swallowClick = (clickEvent) => clickEvent.stopPropagation();
+            document.addEventListener('click', swallowClick, true);
+            setTimeout(() => document.removeEventListener('click', swallowClick, true), 0);
+
+            if (e.type === 'pointerup' && target) {
+                onDrop(entry.dataset.taskId, target.dataset.date);
+            }
+        };
+
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onEnd);
+        document.addEventListener('pointercancel', onEnd);
+    }
+
+    /**
+     * Render empty state when no tasks
+     * @param {boolean} isFiltered - Whether tasks exist but are hidden by a search or filter
+     */
+    renderEmptyState(isFiltered = false) {
+        this.elements.tasksList.innerHTML = isFiltered ? `
+            <div class="empty-state">
+                ${Icons.html('search')}
+                <h3>No matching tasks</h3>
+                <p>Try a different search or filter.</p>
+            </div>
+        ` : `
+            <div class="empty-state">
+                ${Icons.html('clipboard-list')}
+                <h3>No tasks yet</h3>
+                <p>Add your first task to get started!</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the choices of a filter or sort dropdown
+     * @param {string} name - Element name, e.g. 'sortBy' or 'groupBy'
+     * @returns {Array} Options of { value, label }
+     */
+    getSelectOptions(name) {
+        return [...this.elements[name].options].map(option => ({ value: option.value, label: option.textContent.trim() }));
+    }
+
+    /**
+     * Update task count display
+     * @param {number} count - Number of tasks
+     */
+    updateTaskCount(count) {
+        this.elements.taskCount.textContent = `(${count})`;
+    }
+
+    /**
+     * Show which layout is active
+     * @param {Object} layout - { view: 'list', 'board' or 'calendar', columns, calendar }
+     */
+    setLayoutControls(layout) {
+        const isList = layout.view === 'list';
+        this.elements.layoutToggle.querySelectorAll('[data-layout]').forEach(button => {
+            button.setAttribute('aria-pressed', String(button.dataset.layout === layout.view));
+        });
+        this.elements.boardColumns.hidden = layout.view !== 'board';
+        this.elements.boardColumns.value = layout.columns;
+        this.elements.calendarMode.hidden = layout.view !== 'calendar';
+        this.elements.calendarMode.value = layout.calendar;
+        // Grouping and multi-select only apply to the list
+        this.elements.groupBy.disabled = !isList;
+        this.elements.selectModeBtn.hidden = !isList;
+    }
+
+    /**
+     * Show or hide the batch action bar
+     * @param {boolean} selectionMode - Whether selection mode is on
+     * @param {number} count - Number of selected tasks
+     * @param {number} visibleCount - Number of tasks that could be selected
+     */
+    renderBatchBar(selectionMode, count, visibleCount) {
+        this.elements.batchBar.hidden = !selectionMode;
+        this.elements.selectModeBtn.classList.toggle('active', selectionMode);
+        this.elements.batchCount.textContent = `${count} of ${visibleCount} selected`;
+        this.elements.batchBar.querySelectorAll('[data-action]:not([data-action="clear"])').forEach(button => {
+            button.disabled = count === 0;
+        });
+        if (!selectionMode) {
+            this.selectionAnchor = null;
+        }
+    }
+
+    /**
+     * Update tag filter options
+     * @param {Array} tags - Array of available tags
+     * @param {string} selected - Tag to select (defaults to the current selection)
+     */
+    updateTagFilter(tags, selected = this.elements.tagFilter.value) {
+        const currentValue = selected;
+        
+        // Keep "All tags" option and add new tags
+        this.elements.tagFilter.innerHTML = `
+            <option value="">All tags</option>
+            ${tags.map(tag => `
+                <option value="${this.escapeHtml(tag)}" ${currentValue === tag ? 'selected' : ''}>
+                    ${this.escapeHtml(tag)}
+                </option>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * Render the smart lists and saved views in the sidebar
+     * @param {Array} builtInViews - Built-in smart lists
+     * @param {Array} savedViews - User-saved views
+     * @param {Object} counts - Task counts keyed by view id
+     * @param {string|null} activeViewId - Id of the view matching the current controls
+     */
+    renderSidebar(builtInViews, savedViews, counts, activeViewId) {
+        const viewHTML = (view) => `
+            <li class="view-item ${view.id === activeViewId ? 'active' : ''}" data-view-id="${this.escapeHtml(view.id)}">
+                <button class="view-btn">
+                    ${Icons.html(view.icon || 'filter')}
+                    <span class="view-name">${this.escapeHtml(view.name)}</span>
+                    <span class="view-count">${counts[view.id]}</span>
+                </button>
+                ${view.builtIn ? '' : `
+                    <button class="task-btn view-delete-btn" title="Delete view">
+                        ${Icons.html('times')}
+                    </button>
+                `}
+            </li>
+        `;
+
+        this.elements.smartLists.innerHTML = builtInViews.map(viewHTML).join('');
+        this.elements.savedViews.innerHTML = savedViews.map(viewHTML).join('');
+    }
+
+    /**
+     * Set the search, filter, sort and grouping controls
+     * @param {Object} state - { query, tagFilter, sort, groupBy }
+     */
+    setViewControls(state) {
+        this.elements.searchInput.value = state.query;
+        this.elements.tagFilter.value = state.tagFilter;
+        this.elements.sortBy.value = state.sort;
+        this.elements.groupBy.value = state.groupBy;
+    }
+
+    /**
+     * Render the list switcher in the header
+     * @param {Array} lists - Array of lists
+     * @param {string} activeListId - Selected list id, or ALL_LISTS_ID
+     */
+    renderListSwitcher(lists, activeListId) {
+        const activeList = lists.find(list => list.id === activeListId);
+
+        this.elements.listSelect.innerHTML = `
+            <option value="${ALL_LISTS_ID}">All lists</option>
+            ${lists.map(list => `
+                <option value="${this.escapeHtml(list.id)}" ${list.id === activeListId ? 'selected' : ''}>
+                    ${this.escapeHtml(list.name)}
+                </option>
+            `).join('')}
+        `;
+        this.elements.listColorDot.style.backgroundColor = activeList ? activeList.color : 'transparent';
+        this.elements.editListBtn.disabled = !activeList;
+    }
+
+    /**
+     * Show the list settings modal
+     * @param {Object|null} list - List to edit, or null for a new list
+     * @param {string} defaultColor - Colour for a new list
+     */
+    showListModal(list, defaultColor) {
+        this.elements.listModalTitle.textContent = list ? 'List Settings' : 'New List';
+        this.elements.listName.value = list ? list.name : '';
+        this.elements.listColor.value = list ? list.color : defaultColor;
+        this.elements.listSort.value = list ? list.sort : 'created';
+        this.elements.listTags.value = list ? list.tags.join(' ') : '';
+        // The Inbox always exists
+        this.elements.deleteListBtn.hidden = !list || list.id === DEFAULT_LIST_ID;
+        this.elements.listModal.dataset.listId = list ? list.id : '';
+        this.elements.listModal.style.display = 'block';
+        this.elements.listName.focus();
+    }
+
+    /**
+     * Hide the list settings modal
+     */
+    hideListModal() {
+        this.elements.listModal.style.display = 'none';
+        this.elements.listForm.reset();
+        delete this.elements.listModal.dataset.listId;
+    }
+
+    /**
+     * Get list form data
+     * @returns {Object} { name, color, sort, tags }
+     */
+    getListFormData() {
+        return {
+            name: this.elements.listName.value,
+            color: this.elements.listColor.value,
+            sort: this.elements.listSort.value,
+            tags: this.elements.listTags.value
+        };
+    }
+
+    /**
+     * Show edit modal with task data
+     * @param {Object} task - Task object to edit
+     * @param {Array} lists - Lists the task can be moved to
+     * @param {Array} blockerChoices - Tasks it can be marked as waiting on
+     */
+    showEditModal(task, lists = [], blockerChoices = []) {
+        this.elements.editList.innerHTML = lists.map(list => `
+            <option value="${this.escapeHtml(list.id)}">${this.escapeHtml(list.name)}</option>
+        `).join('');
+        this.elements.editBlockedBy.innerHTML = blockerChoices.map(choice => `
+            <option value="${this.escapeHtml(choice.id)}" ${task.blockedBy.includes(choice.id) ? 'selected' : ''}>${this.escapeHtml(choice.text)}${choice.completed ? ' (done)' : ''}</option>
+        `).join('');
+        this.elements.editEstimate.value = TimeTracking.formatEstimate(task.estimate);
+        this.elements.editLogTime.value = '';
+        this.elements.editTimeSummary.textContent = `Tracked so far: ${TimeTracking.formatDuration(TimeTracking.getTracked(task))}` +
+            `${task.timerStartedAt ? ' (timer running)' : ''}. Log time to add it, or a negative amount such as -15m to take some off.`;
+        this.elements.editList.value = task.listId;
+        this.elements.editTaskText.value = task.text;
+        this.elements.editNotes.value = task.notes || '';
+        this.elements.editDueDate.value = task.dueDate || '';
+        this.elements.editDueTime.value = task.dueTime || '';
+        this.elements.editTags.value = task.tags.join(' ');
+        this.elements.editPriority.value = String(task.priority);
+        this.elements.editStatus.value = task.status;
+        this.elements.editReminders.querySelectorAll('input').forEach(input => {
+            input.checked = task.reminders.includes(Number(input.value));
+        });
+        this.setRepeatFields(task.recurrence);
+        this.elements.editModal.style.display = 'block';
+        
+        // Store task ID for reference
+        this.elements.editModal.dataset.taskId = task.id;
+        
+        // Focus on first input
+        this.elements.editTaskText.focus();
+    }
+
+    /**
+     * Hide edit modal
+     */
+    hideEditModal() {
+        this.elements.editModal.style.display = 'none';
+        this.elements.editForm.reset();
+        this.elements.editRepeatOptions.dataset.frequency = '';
+        delete this.elements.editModal.dataset.taskId;
+    }
+
+    /**
+     * Populate the repeat fields of the edit modal
+     * @param {Object|null} rule - Recurrence rule
+     */
+    setRepeatFields(rule) {
+        const frequency = rule ? rule.frequency : '';
+        this.elements.editRepeat.value = frequency;
+        this.elements.editRepeatOptions.dataset.frequency = frequency;
+        this.elements.editRepeatInterval.value = rule ? rule.interval : 1;
+        this.elements.editRepeatDayOfMonth.value = rule && rule.dayOfMonth ? rule.dayOfMonth : '';
+        this.elements.editRepeatEndDate.value = rule ? rule.endDate : '';
+        this.elements.editRepeatCount.value = rule && rule.count ? rule.count : '';
+
+        this.elements.editRepeatWeekdays.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = !!rule && rule.weekdays.includes(Number(checkbox.value));
+        });
+    }
+
+    /**
+     * Read the repeat fields of the edit modal
+     * @returns {Object|null} Recurrence rule or null when not repeating
+     */
+    getRepeatFields() {
+        const frequency = this.elements.editRepeat.value;
+        if (!frequency) return null;
+
+        return {
+            frequency: frequency,
+            interval: this.elements.editRepeatInterval.value,
+            weekdays: [...this.elements.editRepeatWeekdays.querySelectorAll('input:checked')]
+                .map(checkbox => checkbox.value),
+            dayOfMonth: this.elements.editRepeatDayOfMonth.value,
+            endDate: this.elements.editRepeatEndDate.value,
+            count: this.elements.editRepeatCount.value
+        };
+    }
+
+    /**
+     * Show the import/export modal
+     */
+    showTransferModal() {
+        this.elements.importForm.reset();
+        this.elements.importResults.innerHTML = '';
+        this.elements.transferModal.style.display = 'block';
+        this.elements.exportFormat.focus();
+    }
+
+    /**
+     * Hide the import/export modal
+     */
+    hideTransferModal() {
+        this.elements.transferModal.style.display = 'none';
+    }
+
+    /**
+     * Show the outcome of an import, including rows that were rejected
+     * @param {Object} summary - { added, archived, lists, duplicates, errors }
+     */
+    renderImportResults(summary) {
+        const { added, archived = 0, lists = 0, duplicates, errors } = summary;
+        const counts = [`${added} task${added !== 1 ? 's' : ''}`];
+        if (archived > 0) counts.push(`${archived} archived task${archived !== 1 ? 's' : ''}`);
+        if (lists > 0) counts.push(`${lists} list${lists !== 1 ? 's' : ''}`);
+        const imported = counts.length > 1 ? `${counts.slice(0, -1).join(', ')} and ${counts[counts.length - 1]}` : counts[0];
+
+        this.elements.importResults.innerHTML = `
+            <p>
+                Imported ${imported}${duplicates > 0 ? `, skipped ${duplicates} duplicate${duplicates !== 1 ? 's' : ''}` : ''}.
+            </p>
+            ${errors.length > 0 ? `
+                <p class="import-errors-title">${errors.length} row${errors.length !== 1 ? 's' : ''} could not be imported:</p>
+                <ul class="import-errors">
+                    ${errors.map(error => `
+                        <li>Row ${error.row}: ${this.escapeHtml(error.errors.join(', '))}</li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Show the statistics modal
+     */
+    showStatsModal() {
+        this.elements.statsModal.style.display = 'block';
+        this.elements.closeStatsModal.focus();
+    }
+
+    /**
+     * Hide the statistics modal
+     */
+    hideStatsModal() {
+        this.elements.statsModal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the statistics modal is showing
+     * @returns {boolean} True if open
+     */
+    isStatsModalOpen() {
+        return this.elements.statsModal.style.display === 'block';
+    }
+
+    /**
+     * Show the archive modal with an empty search
+     */
+    showArchiveModal() {
+        this.elements.archiveSearch.value = '';
+        this.elements.archiveModal.style.display = 'block';
+        this.elements.archiveSearch.focus();
+    }
+
+    /**
+     * Hide the archive modal
+     */
+    hideArchiveModal() {
+        this.elements.archiveModal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the archive modal is showing
+     * @returns {boolean} True if open
+     */
+    isArchiveModalOpen() {
+        return this.elements.archiveModal.style.display === 'block';
+    }
+
+    /**
+     * Fill the archive modal
+     * @param {Array} tasks - Archived tasks matching the search, most recent first
+     * @param {Object} options - Render options
+     * @param {string} options.scope - Name of the list shown
+     * @param {number} options.total - Archived tasks in the list, before searching
+     * @param {Array} options.highlightTerms - Search terms to highlight
+     * @param {Array} options.lists - Lists to label each task with (when showing several lists)
+     * @param {Object} options.settings - { autoArchiveDays, purgeDays }
+     */
+    renderArchive(tasks, options = {}) {
+        const { scope, total, highlightTerms = [], lists = null, settings } = options;
+        const shown = tasks.slice(0, ARCHIVE_PAGE_SIZE);
+
+        this.elements.archiveTitle.textContent = `Archive · ${scope}`;
+        this.elements.autoArchiveDays.value = String(settings.autoArchiveDays);
+        this.elements.purgeDays.value = String(settings.purgeDays);
+
+        let summary;
+        if (total === 0) {
+            summary = 'Nothing archived yet. Completed tasks are moved here by "Archive completed" or automatically.';
+        } else if (tasks.length === total) {
+            summary = `${total} archived task${total !== 1 ? 's' : ''}`;
+        } else {
+            summary = `${tasks.length} of ${total} archived tasks match`;
+        }
+        if (shown.length < tasks.length) {
+            summary += ` · showing the ${shown.length} most recent`;
+        }
+        this.elements.archiveSummary.textContent = summary;
+
+        this.elements.archiveList.innerHTML = shown.map(task => this.createArchiveItemHTML(
+            task,
+            highlightTerms,
+            lists ? lists.find(list => list.id === task.listId) : null
+        )).join('');
+    }
+
+    /**
+     * Create HTML for an archived task
+     * @param {Object} task - Archived task
+     * @param {Array} highlightTerms - Search terms to highlight
+     * @param {Object} list - List to label the task with (optional)
+     * @returns {string} HTML string
+     */
+    createArchiveItemHTML(task, highlightTerms = [], list = null) {
+        const formatTimestamp = timestamp => TaskModel.formatDate(DateUtils.toDateString(new Date(timestamp)));
+
+        return `
+            <li class="archive-item" data-task-id="${this.escapeHtml(task.id)}">
+                <div class="archive-item-main">
+                    <div class="task-text">${this.formatTaskText(task.text, highlightTerms)}</div>
+                    ${this.createTaskMetaHTML(task, list, false)}
+                    <div class="archive-dates">
+                        ${task.completedAt ? `Completed ${formatTimestamp(task.completedAt)} · ` : ''}Archived ${formatTimestamp(task.archivedAt)}
+                    </div>
+                </div>
+                <div class="archive-actions">
+                    <button type="button" class="batch-btn" data-archive-action="restore" title="Move back to the task list">
+                        ${Icons.html('undo')} Restore
+                    </button>
+                    <button type="button" class="batch-btn batch-delete" data-archive-action="delete" title="Delete permanently">
+                        ${Icons.html('trash')} Delete
+                    </button>
+                </div>
+            </li>
+        `;
+    }
+
+    /**
+     * Show the keyboard shortcuts overlay
+     */
+    showShortcutsModal() {
+        this.elements.shortcutsContent.innerHTML = KEYBOARD_SHORTCUTS.map(section => `
+            <section class="shortcuts-section">
+                <h4>${section.group}</h4>
+                <dl>
+                    ${section.shortcuts.map(shortcut => `
+                        <div class="shortcut-row">
+                            <dt>${shortcut.keys.map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(' + ')}</dt>
+                            <dd>${this.escapeHtml(shortcut.description)}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </section>
+        `).join('');
+        this.elements.shortcutsModal.style.display = 'block';
+        this.elements.closeShortcutsModal.focus();
+    }
+
+    /**
+     * Hide the keyboard shortcuts overlay
+     */
+    hideShortcutsModal() {
+        this.elements.shortcutsModal.style.display = 'none';
+    }
+
+    /**
+     * Open the command palette with an empty query
+     * @param {Function} onSearch - Called with the query to list matching commands
+     */
+    showCommandPalette(onSearch) {
+        this.elements.commandInput.value = '';
+        this.elements.commandPalette.style.display = 'block';
+        onSearch('');
+        this.elements.commandInput.focus();
+    }
+
+    /**
+     * Close the command palette
+     */
+    hideCommandPalette() {
+        this.elements.commandPalette.style.display = 'none';
+        this.commandResults = [];
+    }
+
+    /**
+     * Check whether the command palette is showing
+     * @returns {boolean} True if open
+     */
+    isCommandPaletteOpen() {
+        return this.elements.commandPalette.style.display === 'block';
+    }
+
+    /**
+     * List commands in the palette, highlighting the first
+     * @param {Array} commands - Commands of { id, label, shortcut } in ranked order
+     */
+    renderCommandResults(commands) {
+        this.commandResults = commands;
+        this.commandIndex = 0;
+
+        this.elements.commandResults.innerHTML = commands.length === 0 ? `
+            <li class="command-empty">No matching commands</li>
+        ` : commands.map((command, index) => `
+            <li id="command-${index}" class="command-item" role="option" data-command-index="${index}">
+                <span>${this.escapeHtml(command.label)}</span>
+                ${command.shortcut ? `<kbd>${this.escapeHtml(command.shortcut)}</kbd>` : ''}
+            </li>
+        `).join('');
+        this.highlightCommand(0);
+    }
+
+    /**
+     * Move the palette highlight
+     * @param {number} index - Index of the command to highlight
+     */
+    highlightCommand(index) {
+        const items = [...this.elements.commandResults.querySelectorAll('.command-item')];
+        if (items.length === 0) {
+            this.elements.commandInput.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        this.commandIndex = (index + items.length) % items.length;
+        items.forEach((item, itemIndex) => item.setAttribute('aria-selected', String(itemIndex === this.commandIndex)));
+        this.elements.commandInput.setAttribute('aria-activedescendant', items[this.commandIndex].id);
+        items[this.commandIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Fill the statistics modal
+     * @param {Object} stats - Statistics from StatsModel.getStats
+     * @param {string} scope - Name of the list the statistics cover
+     */
+    renderStats(stats, scope) {
+        const { streaks } = stats;
+        const days = (count) => `${count} day${count !== 1 ? 's' : ''}`;
+        const cards = [
+            { value: `${stats.completionRate}%`, label: 'Completion rate', detail: `${stats.completed} of ${stats.total} tasks` },
+            { value: days(streaks.current), label: 'Current streak', detail: `Longest: ${days(streaks.longest)}` },
+            { value: StatsModel.formatDuration(stats.averageTimeToComplete), label: 'Average time to complete', detail: 'From adding to done' },
+            { value: stats.overdue, label: 'Overdue now', detail: `${stats.pending} still open` },
+            { value: TimeTracking.formatDuration(stats.timeTracked), label: 'Time tracked', detail: 'Timers and logged time' }
+        ];
+
+        this.elements.statsTitle.textContent = `Statistics · ${scope}`;
+        this.elements.statsContent.innerHTML = `
+            <div class="stats-cards">
+                ${cards.map(card => `
+                    <div class="stats-card">
+                        <span class="stats-value">${this.escapeHtml(String(card.value))}</span>
+                        <span class="stats-label">${card.label}</span>
+                        <span class="stats-detail">${this.escapeHtml(card.detail)}</span>
+                    </div>
+                `).join('')}
+            </div>
+            <h4 class="stats-heading">Completed per day</h4>
+            ${this.createBarChartHTML(stats.perDay, 'Tasks completed in the last 14 days')}
+            <h4 class="stats-heading">Completed per week</h4>
+            ${this.createBarChartHTML(stats.perWeek, 'Tasks completed in the last 8 weeks')}
+            <h4 class="stats-heading">Overdue tasks</h4>
+            ${this.createBarChartHTML(stats.overdueTrend, 'Overdue tasks on each of the last 14 days', 'overdue')}
+            <h4 class="stats-heading">By tag</h4>
+            ${stats.tags.length > 0 ? `
+                <ul class="stats-tags">
+                    ${stats.tags.map(row => `
+                        <li class="stats-tag-row" title="${row.completed} of ${row.total} done">
+                            <span class="task-tag">${this.escapeHtml(row.tag)}</span>
+                            <div class="progress-bar">
+                                <div class="progress-fill" style="width: ${row.rate}%"></div>
+                            </div>
+                            <span class="stats-detail">${row.completed}/${row.total} · ${row.rate}%</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="stats-empty">No tagged tasks yet.</p>'}
+            <h4 class="stats-heading">Time by tag</h4>
+            ${stats.timeByTag.length > 0 ? `
+                <ul class="stats-tags">
+                    ${stats.timeByTag.map(row => `
+                        <li class="stats-tag-row" title="${row.estimate ? `${TimeTracking.formatDuration(row.tracked)} of ${TimeTracking.formatEstimate(row.estimate)} estimated` : 'No estimates'}">
+                            <span class="task-tag">${this.escapeHtml(row.tag)}</span>
+                            <div class="progress-bar">
+                                <div class="progress-fill ${row.estimate && row.tracked > row.estimate * 60 * 1000 ? 'over-estimate' : ''}"
+                                    style="width: ${row.estimate ? Math.min(100, Math.round((row.tracked / (row.estimate * 60 * 1000)) * 100)) : 100}%"></div>
+                            </div>
+                            <span class="stats-detail">${TimeTracking.formatDuration(row.tracked)}${row.estimate ? ` / ${TimeTracking.formatEstimate(row.estimate)}` : ''}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : '<p class="stats-empty">No time tracked on tagged tasks yet.</p>'}
+        `;
+    }
+
+    /**
+     * Create a column chart from plain elements
+     * @param {Array} points - Points of { label, title, count }
+     * @param {string} description - Accessible description of the chart
+     * @param {string} variant - Extra class for the bars (optional)
+     * @returns {string} HTML string
+     */
+    createBarChartHTML(points, description, variant = '') {
+        const max = Math.max(1, ...points.map(point => point.count));
+
+        return `
+            <div class="stats-chart" role="img" aria-label="${this.escapeHtml(`${description}: ${points.map(point => point.count).join(', ')}`)}">
+                ${points.map(point => `
+                    <div class="stats-column" title="${this.escapeHtml(point.title)}">
+                        <span class="stats-bar-value">${point.count || ''}</span>
+                        <div class="stats-bar ${variant}" style="height: ${Math.round((point.count / max) * 100)}%"></div>
+                        <span class="stats-bar-label">${this.escapeHtml(point.label)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Show the sync settings modal
+     * @param {string} url - Address of the server in use (empty when not syncing)
+     */
+    showSyncModal(url) {
+        this.elements.syncUrl.value = url;
+        this.elements.syncToken.value = '';
+        this.elements.syncModal.style.display = 'block';
+        this.elements.syncUrl.focus();
+    }
+
+    /**
+     * Hide the sync settings modal
+     */
+    hideSyncModal() {
+        this.elements.syncToken.value = '';
+        this.elements.syncModal.style.display = 'none';
+    }
+
+    /**
+     * Check whether the sync settings modal is showing
+     * @returns {boolean} True if open
+     */
+    isSyncModalOpen() {
+        return this.elements.syncModal.style.display === 'block';
+    }
+
+    /**
+     * Show how syncing is going on the header button and in the sync modal
+     * @param {Object} status - From ServerSync.getStatus()
+     */
+    renderSyncStatus(status) {
+        const { enabled, state, pending, lastSyncedAt, error } = status;
+        const messages = {
+            off: 'Not connected. Your tasks stay in this browser.',
+            standby: 'Another open tab is syncing your tasks.',
+            syncing: 'Syncing…',
+            synced: lastSyncedAt
+                ? `Up to date. Last synced at ${new Date(lastSyncedAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}.`
+                : 'Connected.',
+            offline: error,
+            error
         };
-        
-        // Check if all elements were found
-        const missingElements = Object.entries(this.elements)
-            .filter(([name, element]) => !element)
-            .map(([name]) => name);
-            
-        if (missingElements.length > 0) {
-            console.error('Missing elements:', missingElements);
-        } else {
-            console.log('All UI elements found successfully');
+        let text = messages[state];
+        if (enabled && pending > 0) {
+            text += `${/[.…]$/.test(text) ? '' : '.'} ${pending} change${pending !== 1 ? 's' : ''} waiting to be sent.`;
         }
+
+        this.elements.syncStatus.textContent = text;
+        this.elements.syncStatus.classList.toggle('sync-status-error', state === 'error');
+        this.elements.syncNowBtn.hidden = !enabled;
+        this.elements.syncDisconnectBtn.hidden = !enabled;
+        this.elements.syncBtn.classList.toggle('active', enabled && state !== 'error');
+        this.elements.syncBtn.classList.toggle('sync-error', state === 'error');
+        this.elements.syncBtn.title = enabled ? `Sync: ${text}` : 'Sync';
     }
 
     /**
-     * Render tasks list
-     * @param {Array} tasks - Array of tasks to render
+     * Show the encryption settings modal
      */
-    renderTasks(tasks) {
-        if (tasks.length === 0) {
-            this.renderEmptyState();
-            return;
+    showEncryptionModal() {
+        this.elements.encryptionModal.querySelectorAll('form').forEach(form => form.reset());
+        this.elements.encryptionModal.style.display = 'block';
+        if (!this.elements.encryptionSettings.hidden) {
+            this.elements.autoLockMinutes.focus();
+        } else if (!this.elements.encryptionEnableForm.hidden) {
+            document.getElementById('newPassphrase').focus();
         }
+    }
 
-        this.elements.tasksList.innerHTML = tasks.map(task => this.createTaskHTML(task)).join('');
+    /**
+     * Hide the encryption settings modal
+     */
+    hideEncryptionModal() {
+        this.elements.encryptionModal.querySelectorAll('form').forEach(form => form.reset());
+        this.elements.encryptionModal.style.display = 'none';
     }
 
     /**
-     * Create HTML for a single task
-     * @param {Object} task - Task object
-     * @returns {string} HTML string
+     * Check whether the encryption settings modal is showing
+     * @returns {boolean} True if open
      */
-    createTaskHTML(task) {
-        const dueDateStatus = TaskModel.getDueDateStatus(task.dueDate);
-        const formattedDate = TaskModel.formatDate(task.dueDate);
-        
-        return `
-            <div class="task-item ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
-                <input type="checkbox" class="task-checkbox" ${task.completed ? 'checked' : ''}>
-                <div class="task-content">
-                    <div class="task-text">${this.escapeHtml(task.text)}</div>
-                    <div class="task-meta">
-                        ${task.dueDate ? `
-                            <div class="task-due-date ${dueDateStatus.class}">
-                                <i class="fas fa-calendar"></i>
-                                <span>${formattedDate} - ${dueDateStatus.text}</span>
-                            </div>
-                        ` : ''}
-                        ${task.tags.length > 0 ? `
-                            <div class="task-tags">
-                                ${task.tags.map(tag => `
-                                    <span class="task-tag">${this.escapeHtml(tag)}</span>
-                                `).join('')}
-                            </div>
-                        ` : ''}
-                    </div>
-                </div>
-                <div class="task-actions">
-                    <button class="task-btn edit-btn" title="Edit task">
-                        <i class="fas fa-edit"></i>
-                    </button>
-                    <button class="task-btn delete-btn" title="Delete task">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </div>
-            </div>
-        `;
+    isEncryptionModalOpen() {
+        return this.elements.encryptionModal.style.display === 'block';
     }
 
     /**
-     * Render empty state when no tasks
+     * Show the settings that apply to whether encryption is on
+     * @param {Object} state - Encryption state
+     * @param {boolean} state.supported - Whether the browser can encrypt
+     * @param {boolean} state.encrypted - Whether stored data is encrypted
+     * @param {number} state.autoLockMinutes - Idle minutes before locking (0 for never)
      */
-    renderEmptyState() {
-        this.elements.tasksList.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-clipboard-list"></i>
-                <h3>No tasks yet</h3>
-                <p>Add your first task to get started!</p>
-            </div>
-        `;
+    renderEncryption({ supported, encrypted, autoLockMinutes }) {
+        this.elements.encryptionUnsupported.hidden = supported || encrypted;
+        this.elements.encryptionEnableForm.hidden = !supported || encrypted;
+        this.elements.encryptionSettings.hidden = !encrypted;
+        this.elements.autoLockMinutes.value = String(autoLockMinutes);
+        this.elements.encryptionBtn.classList.toggle('active', encrypted);
+        this.elements.encryptionBtn.setAttribute('aria-label', encrypted ? 'Encryption settings (on)' : 'Encryption settings');
     }
 
     /**
-     * Update task count display
-     * @param {number} count - Number of tasks
+     * Cover the app with the passphrase prompt
+     * @param {Function} onUnlock - Called with the typed passphrase
      */
-    updateTaskCount(count) {
-        this.elements.taskCount.textContent = `(${count})`;
+    showLockScreen(onUnlock) {
+        this.elements.lockScreen.hidden = false;
+        this.elements.unlockError.textContent = '';
+        this.elements.unlockForm.onsubmit = (e) => {
+            e.preventDefault();
+            this.elements.unlockError.textContent = '';
+            onUnlock(this.elements.unlockPassphrase.value);
+        };
+        this.elements.unlockPassphrase.focus();
     }
 
     /**
-     * Update tag filter options
-     * @param {Array} tags - Array of available tags
+     * Remove the passphrase prompt
      */
-    updateTagFilter(tags) {
-        const currentValue = this.elements.tagFilter.value;
-        
-        // Keep "All tags" option and add new tags
-        this.elements.tagFilter.innerHTML = `
-            <option value="">All tags</option>
-            ${tags.map(tag => `
-                <option value="${this.escapeHtml(tag)}" ${currentValue === tag ? 'selected' : ''}>
-                    ${this.escapeHtml(tag)}
-                </option>
-            `).join('')}
-        `;
+    hideLockScreen() {
+        this.elements.unlockForm.onsubmit = null;
+        this.elements.unlockForm.reset();
+        this.elements.lockScreen.hidden = true;
     }
 
     /**
-     * Show edit modal with task data
-     * @param {Object} task - Task object to edit
+     * Explain why unlocking failed
+     * @param {string} message - Error message
      */
-    showEditModal(task) {
-        this.elements.editTaskText.value = task.text;
-        this.elements.editDueDate.value = task.dueDate || '';
-        this.elements.editTags.value = task.tags.join(' ');
-        this.elements.editModal.style.display = 'block';
-        
-        // Store task ID for reference
-        this.elements.editModal.dataset.taskId = task.id;
-        
-        // Focus on first input
-        this.elements.editTaskText.focus();
+    showUnlockError(message) {
+        this.elements.unlockError.textContent = message;
+        this.elements.unlockPassphrase.select();
+        this.elements.unlockPassphrase.focus();
     }
 
     /**
-     * Hide edit modal
+     * Cover the app when the task database can't be opened
+     * @param {string} message - Error message
      */
-    hideEditModal() {
-        this.elements.editModal.style.display = 'none';
-        this.elements.editForm.reset();
-        delete this.elements.editModal.dataset.taskId;
+    showStorageError(message) {
+        this.elements.storageErrorMessage.textContent = message;
+        this.elements.storageErrorReloadBtn.onclick = () => window.location.reload();
+        this.elements.storageErrorScreen.hidden = false;
+        this.elements.storageErrorReloadBtn.focus();
+    }
+
+    /**
+     * Offer to reload into a newly downloaded version
+     */
+    showUpdateBanner() {
+        this.elements.updateBanner.hidden = false;
+    }
+
+    /**
+     * Hide the update offer
+     */
+    hideUpdateBanner() {
+        this.elements.updateBanner.hidden = true;
+    }
+
+    /**
+     * Offer text content as a file download
+     * @param {string} content - File contents
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type
+     */
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
     }
 
     /**
@@ -166,6 +1719,7 @@ export class UIRenderer {
         return {
             text: this.elements.taskInput.value,
             dueDate: this.elements.dueDateInput.value,
+            priority: Number(this.elements.prioritySelect.value),
             tags: this.elements.tagsInput.value
         };
     }
@@ -177,8 +1731,18 @@ export class UIRenderer {
     getEditFormData() {
         return {
             text: this.elements.editTaskText.value,
+            notes: this.elements.editNotes.value,
             dueDate: this.elements.editDueDate.value,
-            tags: this.elements.editTags.value
+            dueTime: this.elements.editDueTime.value,
+            reminders: [...this.elements.editReminders.querySelectorAll('input:checked')].map(input => Number(input.value)),
+            tags: this.elements.editTags.value,
+            priority: Number(this.elements.editPriority.value),
+            status: this.elements.editStatus.value,
+            blockedBy: [...this.elements.editBlockedBy.selectedOptions].map(option => option.value),
+            estimate: this.elements.editEstimate.value,
+            logTime: this.elements.editLogTime.value,
+            listId: this.elements.editList.value,
+            recurrence: this.getRepeatFields()
         };
     }
 
@@ -187,15 +1751,51 @@ export class UIRenderer {
      */
     clearTaskForm() {
         this.elements.taskForm.reset();
+        this.renderQuickAddPreview(null);
         this.elements.taskInput.focus();
     }
 
+    /**
+     * Render the chips for fields recognised in the quick-add text
+     * @param {Object|null} parsed - Result of QuickAddParser.parse
+     */
+    renderQuickAddPreview(parsed) {
+        const chips = [];
+
+        if (parsed && parsed.dueDate) {
+            const time = parsed.dueTime ? ` ${TaskModel.formatTime(parsed.dueTime)}` : '';
+            chips.push({ icon: 'calendar', label: `${TaskModel.formatDate(parsed.dueDate)}${time}` });
+        }
+        if (parsed && parsed.recurrence) {
+            const rule = Recurrence.normalize(parsed.recurrence, parsed.dueDate);
+            chips.push({ icon: 'redo', label: Recurrence.describe(rule) });
+        }
+        if (parsed && parsed.priority) {
+            chips.push({
+                icon: 'flag',
+                label: `P${parsed.priority} · ${TaskModel.PRIORITY_LABELS[parsed.priority]}`,
+                className: `priority-p${parsed.priority}`
+            });
+        }
+        if (parsed) {
+            parsed.tags.forEach(tag => chips.push({ icon: 'tag', label: tag }));
+        }
+
+        this.elements.quickAddPreview.innerHTML = chips.map(chip => `
+            <span class="preview-chip ${chip.className || ''}">
+                ${Icons.html(chip.icon)}
+                ${this.escapeHtml(chip.label)}
+            </span>
+        `).join('');
+    }
+
     /**
      * Show notification message
      * @param {string} message - Message to show
      * @param {string} type - Message type (success, error, warning)
+     * @param {Object} action - Optional button with label and onClick callback
      */
-    showNotification(message, type = 'success') {
+    showNotification(message, type = 'success', action = null) {
         // Remove existing notifications
         const existingNotifications = document.querySelectorAll('.notification');
         existingNotifications.forEach(notification => notification.remove());
@@ -210,10 +1810,13 @@ export class UIRenderer {
         
         notification.innerHTML = `
             <div class="notification-content">
-                <i class="fas fa-${type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle'}"></i>
+                ${Icons.html(type === 'success' ? 'check-circle' : type === 'error' ? 'exclamation-circle' : 'info-circle')}
                 <span>${this.escapeHtml(message)}</span>
+                ${action ? `
+                    <button class="notification-action">${this.escapeHtml(action.label)}</button>
+                ` : ''}
                 <button class="notification-close">
-                    <i class="fas fa-times"></i>
+                    ${Icons.html('times')}
                 </button>
             </div>
         `;
@@ -233,6 +1836,13 @@ export class UIRenderer {
         closeBtn.addEventListener('click', () => {
             notification.remove();
         });
+
+        if (action) {
+            notification.querySelector('.notification-action').addEventListener('click', () => {
+                notification.remove();
+                action.onClick();
+            });
+        }
     }
 
     /**
@@ -244,11 +1854,11 @@ export class UIRenderer {
         
         if (isDark) {
             document.documentElement.setAttribute('data-theme', 'dark');
-            this.elements.darkModeToggle.innerHTML = '<i class="fas fa-sun"></i>';
+            this.elements.darkModeToggle.innerHTML = Icons.html('sun');
             console.log('Dark mode enabled, data-theme set to dark');
         } else {
             document.documentElement.removeAttribute('data-theme');
-            this.elements.darkModeToggle.innerHTML = '<i class="fas fa-moon"></i>';
+            this.elements.darkModeToggle.innerHTML = Icons.html('moon');
             console.log('Dark mode disabled, data-theme removed');
         }
         
@@ -257,14 +1867,80 @@ export class UIRenderer {
     }
 
     /**
-     * Escape HTML to prevent XSS
+     * Escape text and wrap search matches in <mark>
+     * @param {string} text - Text to render
+     * @param {Array} terms - Lowercase search terms
+     * @returns {string} HTML string
+     */
+    highlightText(text, terms) {
+        if (!terms || terms.length === 0) return this.escapeHtml(text);
+
+        const pattern = [...terms]
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('|');
+
+        return text
+            .split(new RegExp(`(${pattern})`, 'gi'))
+            .map((part, index) => index % 2 === 1
+                ? `<mark class="search-highlight">${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part))
+            .join('');
+    }
+
+    /**
+     * Escape HTML to prevent XSS, in content and in attribute values
      * @param {string} text - Text to escape
      * @returns {string} Escaped text
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return Markdown.escapeHtml(text === null || text === undefined ? '' : text);
+    }
+
+    /**
+     * Check whether an element accepts text input
+     * @param {Element} element - Element to check
+     * @returns {boolean} True for text inputs, textareas and editable content
+     */
+    isEditableElement(element) {
+        if (!element) return false;
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' &&
+            !['checkbox', 'radio', 'button', 'submit'].includes(element.type);
+    }
+
+    /**
+     * Check whether any modal dialog is showing
+     * @returns {boolean} True if a modal is open
+     */
+    isModalOpen() {
+        return [
+            this.elements.editModal,
+            this.elements.listModal,
+            this.elements.transferModal,
+            this.elements.statsModal,
+            this.elements.archiveModal,
+            this.elements.encryptionModal,
+            this.elements.syncModal,
+            this.elements.shortcutsModal,
+            this.elements.commandPalette
+        ].some(modal => modal.style.display === 'block');
+    }
+
+    /**
+     * Get the tasks a selection click applies to
+     * @param {string} taskId - ID of the clicked task
+     * @param {boolean} extend - Whether Shift was held to select a range
+     * @returns {Array} Task IDs from the last clicked task to this one, in the order shown
+     */
+    getSelectionRange(taskId, extend) {
+        const ids = [...this.elements.tasksList.querySelectorAll('.task-item')].map(item => item.dataset.taskId);
+        const start = ids.indexOf(this.selectionAnchor);
+        const end = ids.indexOf(taskId);
+        if (!extend || start === -1) return [taskId];
+
+        // A task grouped under several tags appears more than once, hence the Set
+        return [...new Set(ids.slice(Math.min(start, end), Math.max(start, end) + 1))];
     }
 
     /**
@@ -274,6 +1950,7 @@ export class UIRenderer {
     addEventListeners(handlers) {
         // Task form submission
         this.elements.taskForm.addEventListener('submit', handlers.onTaskSubmit);
+        this.elements.taskInput.addEventListener('input', handlers.onTaskInput);
 
         // Task list interactions
         this.elements.tasksList.addEventListener('click', (e) => {
@@ -281,9 +1958,29 @@ export class UIRenderer {
             if (!taskItem) return;
 
             const taskId = taskItem.dataset.taskId;
+            const subtaskItem = e.target.closest('.subtask-item');
 
-            if (e.target.classList.contains('task-checkbox')) {
+            if (e.target.classList.contains('task-select')) {
+                handlers.onTaskSelect(this.getSelectionRange(taskId, e.shiftKey), e.target.checked);
+                this.selectionAnchor = taskId;
+            } else if (subtaskItem) {
+                const subtaskId = subtaskItem.dataset.subtaskId;
+
+                if (e.target.classList.contains('subtask-checkbox')) {
+                    handlers.onSubtaskToggle(taskId, subtaskId, e.target.checked);
+                } else if (e.target.closest('.subtask-up-btn')) {
+                    handlers.onSubtaskMove(taskId, subtaskId, -1);
+                } else if (e.target.closest('.subtask-down-btn')) {
+                    handlers.onSubtaskMove(taskId, subtaskId, 1);
+                } else if (e.target.closest('.subtask-delete-btn')) {
+                    handlers.onSubtaskDelete(taskId, subtaskId);
+                }
+            } else if (e.target.classList.contains('task-checkbox')) {
                 handlers.onTaskToggle(taskId, e.target.checked);
+            } else if (e.target.closest('.timer-btn')) {
+                handlers.onTimerToggle(taskId);
+            } else if (e.target.closest('.subtask-btn')) {
+                this.focusSubtaskInput(taskId);
             } else if (e.target.closest('.edit-btn')) {
                 handlers.onTaskEdit(taskId);
             } else if (e.target.closest('.delete-btn')) {
@@ -291,15 +1988,191 @@ export class UIRenderer {
             }
         });
 
+        // Calendar: navigate, open or add tasks
+        this.elements.tasksList.addEventListener('click', (e) => {
+            if (!e.target.closest('.calendar') || e.target.closest('.calendar-quick-add')) return;
+
+            const nav = e.target.closest('[data-calendar-nav]');
+            const entry = e.target.closest('.calendar-task');
+            const day = e.target.closest('.calendar-day');
+
+            if (nav) {
+                handlers.onCalendarNavigate(Number(nav.dataset.calendarNav));
+            } else if (entry) {
+                handlers.onTaskEdit(entry.dataset.taskId);
+            } else if (e.target.closest('.calendar-more')) {
+                handlers.onCalendarDayOpen(day.dataset.date);
+            } else if (day) {
+                this.showCalendarQuickAdd(day);
+            }
+        });
+
+        // Remember which notes are open; toggle doesn't bubble, so listen while capturing
+        this.elements.tasksList.addEventListener('toggle', (e) => {
+            const taskItem = e.target.classList.contains('task-notes') ? e.target.closest('.task-item') : null;
+            if (!taskItem) return;
+
+            if (e.target.open) {
+                this.expandedNotes.add(taskItem.dataset.taskId);
+            } else {
+                this.expandedNotes.delete(taskItem.dataset.taskId);
+            }
+        }, true);
+
+        // Manual ordering, board columns and calendar days: dragging uses pointer events so touch works too
+        this.elements.tasksList.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+
+            const entry = e.target.closest('.calendar-task');
+            if (entry) {
+                this.startCalendarDrag(entry, e, handlers.onCalendarMove);
+                return;
+            }
+
+            const handle = e.target.closest('.drag-handle');
+            if (!handle) return;
+
+            e.preventDefault();
+            const card = handle.closest('.board-card');
+            if (card) {
+                this.startCardDrag(card, handlers.onCardMove);
+            } else {
+                this.startDrag(handle.closest('.task-item'), handlers.onTaskReorder);
+            }
+        });
+
+        // Alt+Left/Right moves the focused board card to the next column
+        this.elements.tasksList.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+            if (this.isEditableElement(e.target)) return;
+
+            const card = e.target.closest('.board-card');
+            if (!card) return;
+            e.preventDefault();
+
+            const columns = [...this.elements.tasksList.querySelectorAll('.board-column')];
+            const fromColumn = card.closest('.board-column');
+            const toColumn = columns[columns.indexOf(fromColumn) + (e.key === 'ArrowLeft' ? -1 : 1)];
+            if (toColumn) {
+                handlers.onCardMove(card.dataset.taskId, fromColumn.dataset.columnId, toColumn.dataset.columnId);
+            }
+        });
+
+        // Alt+arrow keys move the focused calendar entry a day or a week
+        this.elements.tasksList.addEventListener('keydown', (e) => {
+            const offsets = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+            if (!e.altKey || !(e.key in offsets)) return;
+
+            const entry = e.target.closest('.calendar-task');
+            if (!entry) return;
+            e.preventDefault();
+
+            const date = DateUtils.addDays(DateUtils.parseLocalDate(entry.closest('.calendar-day').dataset.date), offsets[e.key]);
+            handlers.onCalendarMove(entry.dataset.taskId, DateUtils.toDateString(date));
+        });
+
+        // Alt+Up/Down moves the focused task past its visible neighbour
+        this.elements.tasksList.addEventListener('keydown', (e) => {
+            if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+            if (this.isEditableElement(e.target)) return;
+
+            const taskItem = e.target.closest('.task-item');
+            if (!taskItem || taskItem.classList.contains('board-card')) return;
+            e.preventDefault();
+
+            const items = [...this.elements.tasksList.querySelectorAll('.task-item')];
+            const neighbour = items[items.indexOf(taskItem) + (e.key === 'ArrowUp' ? -1 : 1)];
+            if (neighbour) {
+                handlers.onTaskReorder(taskItem.dataset.taskId, neighbour.dataset.taskId, e.key === 'ArrowDown');
+            }
+        });
+
+        // Inline subtask form and calendar quick-add
+        this.elements.tasksList.addEventListener('submit', (e) => {
+            if (e.target.classList.contains('calendar-quick-add')) {
+                e.preventDefault();
+                const input = e.target.querySelector('input');
+                if (input.value.trim()) {
+                    handlers.onCalendarQuickAdd(e.target.closest('.calendar-day').dataset.date, input.value);
+                }
+                return;
+            }
+            if (!e.target.classList.contains('subtask-form')) return;
+            e.preventDefault();
+
+            const taskItem = e.target.closest('.task-item');
+            const input = e.target.querySelector('.subtask-input');
+            if (taskItem && input.value.trim()) {
+                handlers.onSubtaskAdd(taskItem.dataset.taskId, input.value);
+            }
+        });
+
         // Filter and sort controls
+        this.elements.searchInput.addEventListener('input', handlers.onSearchInput);
         this.elements.tagFilter.addEventListener('change', handlers.onTagFilterChange);
         this.elements.sortBy.addEventListener('change', handlers.onSortChange);
-        this.elements.clearCompleted.addEventListener('click', handlers.onClearCompleted);
+        this.elements.groupBy.addEventListener('change', handlers.onGroupByChange);
+
+        // Sidebar views
+        [this.elements.smartLists, this.elements.savedViews].forEach(list => {
+            list.addEventListener('click', (e) => {
+                const viewItem = e.target.closest('.view-item');
+                if (!viewItem) return;
+
+                if (e.target.closest('.view-delete-btn')) {
+                    handlers.onViewDelete(viewItem.dataset.viewId);
+                } else if (e.target.closest('.view-btn')) {
+                    handlers.onViewSelect(viewItem.dataset.viewId);
+                }
+            });
+        });
+        this.elements.saveViewForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onViewSave(this.elements.saveViewName.value);
+        });
+        this.elements.archiveCompleted.addEventListener('click', handlers.onArchiveCompleted);
+
+        // List, board or calendar layout
+        this.elements.layoutToggle.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-layout]');
+            if (button) {
+                handlers.onLayoutChange(button.dataset.layout);
+            }
+        });
+        this.elements.boardColumns.addEventListener('change', (e) => handlers.onBoardColumnsChange(e.target.value));
+        this.elements.calendarMode.addEventListener('change', (e) => handlers.onCalendarModeChange(e.target.value));
+
+        // Multi-select and batch actions
+        this.elements.selectModeBtn.addEventListener('click', handlers.onSelectModeToggle);
+        this.elements.batchBar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const action = button.dataset.action;
+            if (action === 'clear') {
+                handlers.onSelectionClear();
+            } else if (action === 'addTags' || action === 'removeTags') {
+                handlers.onBatchAction(action, this.elements.batchTags.value);
+            } else if (action === 'setDueDate') {
+                handlers.onBatchAction(action, this.elements.batchDueDate.value);
+            } else {
+                handlers.onBatchAction(action);
+            }
+        });
+        this.elements.batchTags.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handlers.onBatchAction('addTags', this.elements.batchTags.value);
+            }
+        });
 
         // Modal interactions
         this.elements.closeModal.addEventListener('click', () => this.hideEditModal());
         this.elements.cancelEdit.addEventListener('click', () => this.hideEditModal());
         this.elements.editForm.addEventListener('submit', handlers.onEditSubmit);
+        this.elements.editRepeat.addEventListener('change', (e) => {
+            this.elements.editRepeatOptions.dataset.frequency = e.target.value;
+        });
 
         // Close modal when clicking outside
         this.elements.editModal.addEventListener('click', (e) => {
@@ -308,6 +2181,174 @@ export class UIRenderer {
             }
         });
 
+        // Lists
+        this.elements.listSelect.addEventListener('change', (e) => handlers.onListSelect(e.target.value));
+        this.elements.newListBtn.addEventListener('click', handlers.onListNew);
+        this.elements.editListBtn.addEventListener('click', handlers.onListEdit);
+        this.elements.listForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onListSubmit(this.getListFormData(), this.elements.listModal.dataset.listId || null);
+        });
+        this.elements.deleteListBtn.addEventListener('click', () => {
+            handlers.onListDelete(this.elements.listModal.dataset.listId);
+        });
+        this.elements.closeListModal.addEventListener('click', () => this.hideListModal());
+        this.elements.cancelList.addEventListener('click', () => this.hideListModal());
+        this.elements.listModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.listModal) {
+                this.hideListModal();
+            }
+        });
+
+        // Statistics modal
+        this.elements.statsBtn.addEventListener('click', handlers.onStatsOpen);
+        this.elements.closeStatsModal.addEventListener('click', () => this.hideStatsModal());
+        this.elements.statsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.statsModal) {
+                this.hideStatsModal();
+            }
+        });
+
+        // Running timer in the header
+        this.elements.activeTimerTask.addEventListener('click', () => handlers.onTaskEdit(this.elements.activeTimer.dataset.taskId));
+        this.elements.activeTimerStop.addEventListener('click', () => handlers.onTimerToggle(this.elements.activeTimer.dataset.taskId));
+
+        // Archive modal
+        this.elements.archiveBtn.addEventListener('click', handlers.onArchiveOpen);
+        this.elements.closeArchiveModal.addEventListener('click', () => this.hideArchiveModal());
+        this.elements.archiveModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.archiveModal) {
+                this.hideArchiveModal();
+            }
+        });
+        this.elements.archiveSearch.addEventListener('input', (e) => handlers.onArchiveSearch(e.target.value));
+        this.elements.archiveList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-archive-action]');
+            if (!button) return;
+
+            const taskId = button.closest('.archive-item').dataset.taskId;
+            if (button.dataset.archiveAction === 'restore') {
+                handlers.onArchiveRestore([taskId]);
+            } else {
+                handlers.onArchiveDelete([taskId]);
+            }
+        });
+        [this.elements.autoArchiveDays, this.elements.purgeDays].forEach(select => {
+            select.addEventListener('change', () => handlers.onArchiveSettingsChange({
+                autoArchiveDays: Number(this.elements.autoArchiveDays.value),
+                purgeDays: Number(this.elements.purgeDays.value)
+            }));
+        });
+
+        // Sync modal
+        this.elements.syncBtn.addEventListener('click', handlers.onSyncOpen);
+        this.elements.closeSyncModal.addEventListener('click', () => this.hideSyncModal());
+        this.elements.syncModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.syncModal) {
+                this.hideSyncModal();
+            }
+        });
+        this.elements.syncForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onSyncConnect(this.elements.syncUrl.value.trim(), this.elements.syncToken.value.trim());
+        });
+        this.elements.syncNowBtn.addEventListener('click', handlers.onSyncNow);
+        this.elements.syncDisconnectBtn.addEventListener('click', handlers.onSyncDisconnect);
+
+        // Encryption modal
+        this.elements.encryptionBtn.addEventListener('click', handlers.onEncryptionOpen);
+        this.elements.closeEncryptionModal.addEventListener('click', () => this.hideEncryptionModal());
+        this.elements.encryptionModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.encryptionModal) {
+                this.hideEncryptionModal();
+            }
+        });
+        this.elements.encryptionEnableForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onEncryptionEnable(
+                document.getElementById('newPassphrase').value,
+                document.getElementById('confirmPassphrase').value
+            );
+        });
+        this.elements.passphraseChangeForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onPassphraseChange(
+                document.getElementById('currentPassphrase').value,
+                document.getElementById('changedPassphrase').value,
+                document.getElementById('confirmChangedPassphrase').value
+            );
+        });
+        this.elements.encryptionDisableForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            handlers.onEncryptionDisable(document.getElementById('disablePassphrase').value);
+        });
+        this.elements.autoLockMinutes.addEventListener('change', () => handlers.onAutoLockChange(Number(this.elements.autoLockMinutes.value)));
+        this.elements.lockNowBtn.addEventListener('click', handlers.onLockNow);
+
+        // Keyboard shortcuts overlay
+        this.elements.closeShortcutsModal.addEventListener('click', () => this.hideShortcutsModal());
+        this.elements.shortcutsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.shortcutsModal) {
+                this.hideShortcutsModal();
+            }
+        });
+
+        // Command palette
+        this.elements.commandBtn.addEventListener('click', () => this.showCommandPalette(handlers.onCommandSearch));
+        this.elements.commandPalette.addEventListener('click', (e) => {
+            const item = e.target.closest('.command-item');
+            if (item) {
+                handlers.onCommandRun(this.commandResults[Number(item.dataset.commandIndex)]);
+            } else if (e.target === this.elements.commandPalette) {
+                this.hideCommandPalette();
+            }
+        });
+        this.elements.commandInput.addEventListener('input', (e) => handlers.onCommandSearch(e.target.value));
+        this.elements.commandInput.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.highlightCommand(this.commandIndex + (e.key === 'ArrowDown' ? 1 : -1));
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    if (this.commandResults[this.commandIndex]) {
+                        handlers.onCommandRun(this.commandResults[this.commandIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    e.preventDefault();
+                    e.stopPropagation();
+                    this.hideCommandPalette();
+                    break;
+            }
+        });
+
+        // New version prompt
+        this.elements.updateReloadBtn.addEventListener('click', handlers.onUpdateApply);
+        this.elements.updateDismissBtn.addEventListener('click', () => this.hideUpdateBanner());
+
+        // Import / export modal
+        this.elements.transferBtn.addEventListener('click', () => this.showTransferModal());
+        this.elements.closeTransferModal.addEventListener('click', () => this.hideTransferModal());
+        this.elements.transferModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.transferModal) {
+                this.hideTransferModal();
+            }
+        });
+        this.elements.exportBtn.addEventListener('click', () => {
+            handlers.onExport(this.elements.exportFormat.value);
+        });
+        this.elements.importForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const file = this.elements.importFile.files[0];
+            const mode = this.elements.importForm.querySelector('input[name="importMode"]:checked').value;
+            if (file) {
+                handlers.onImport(file, mode);
+            }
+        });
+
         // Dark mode toggle
         if (this.elements.darkModeToggle) {
             this.elements.darkModeToggle.addEventListener('click', handlers.onDarkModeToggle);
@@ -318,8 +2359,54 @@ export class UIRenderer {
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !e.ctrlKey && !e.metaKey) {
+                if (this.elements.shortcutsModal.style.display === 'block') {
+                    this.hideShortcutsModal();
+                } else if (!this.isModalOpen()) {
+                    handlers.onSelectionClear();
+                }
+                return;
+            }
+
+            // Single-key shortcuts (j, k, x, e, t, #, /, n, ?) stay out of the way of typing and dialogs
+            if (!e.ctrlKey && !e.metaKey && !e.altKey && !this.isModalOpen() &&
+                !this.isEditableElement(e.target) && e.target.tagName !== 'SELECT') {
+                if (this.handleShortcutKey(e, handlers)) {
+                    e.preventDefault();
+                }
+                return;
+            }
+
             if (e.ctrlKey || e.metaKey) {
                 switch (e.key) {
+                    case 'k':
+                    case 'K':
+                        e.preventDefault();
+                        if (this.isCommandPaletteOpen()) {
+                            this.hideCommandPalette();
+                        } else if (!this.isModalOpen()) {
+                            this.showCommandPalette(handlers.onCommandSearch);
+                        }
+                        break;
+                    case 'a':
+                    case 'A':
+                        // Leave text fields to the browser's own select all
+                        if (this.isEditableElement(e.target) || this.isModalOpen()) break;
+                        e.preventDefault();
+                        handlers.onSelectAll();
+                        break;
+                    case 'z':
+                    case 'Z':
+                    case 'y':
+                        // Leave text fields to the browser's own undo
+                        if (this.isEditableElement(e.target)) break;
+                        e.preventDefault();
+                        if (e.key === 'y' || e.shiftKey) {
+                            handlers.onRedo();
+                        } else {
+                            handlers.onUndo();
+                        }
+                        break;
                     case 'Enter':
                         if (document.activeElement === this.elements.taskInput) {
                             e.preventDefault();
@@ -330,6 +2417,26 @@ export class UIRenderer {
                         if (this.elements.editModal.style.display === 'block') {
                             this.hideEditModal();
                         }
+                        if (this.elements.transferModal.style.display === 'block') {
+                            this.hideTransferModal();
+                        }
+                        if (this.elements.listModal.style.display === 'block') {
+                            this.hideListModal();
+                        }
+                        if (this.isStatsModalOpen()) {
+                            this.hideStatsModal();
+                        }
+                        if (this.isArchiveModalOpen()) {
+                            this.hideArchiveModal();
+                        }
+                        if (this.isEncryptionModalOpen()) {
+                            this.hideEncryptionModal();
+                        }
+                        if (this.isSyncModalOpen()) {
+                            this.hideSyncModal();
+                        }
+                        this.hideShortcutsModal();
+                        this.hideCommandPalette();
                         break;
                 }
             }
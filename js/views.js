@@ -0,0 +1,167 @@
+/**
+ * Saved views and built-in smart lists
+ *
+ * A view is a named combination of search query, tag filter, sort and
+ * grouping: { id, name, query, tagFilter, sort, groupBy, builtIn }.
+ */
+import { TaskModel } from './taskModel.js';
+import { TaskQuery } from './taskQuery.js';
+import { DateUtils } from './dateUtils.js';
+
+export const BUILT_IN_VIEWS = [
+    { id: 'all', name: 'All tasks', icon: 'list', query: '', sort: 'created', groupBy: '' },
+    { id: 'today', name: 'Today', icon: 'sun', query: 'due:today is:open', sort: 'priority', groupBy: '' },
+    { id: 'upcoming', name: 'Upcoming 7 days', icon: 'calendar-week', query: 'due:upcoming is:open', sort: 'dueDate', groupBy: 'dueDate' },
+    { id: 'overdue', name: 'Overdue', icon: 'exclamation-triangle', query: 'is:overdue', sort: 'dueDate', groupBy: '' },
+    { id: 'actionable', name: 'Actionable', icon: 'play', query: 'is:actionable', sort: 'priority', groupBy: '' },
+    { id: 'no-date', name: 'No date', icon: 'calendar-times', query: 'due:none is:open', sort: 'created', groupBy: '' },
+    { id: 'completed', name: 'Completed', icon: 'check-circle', query: 'is:done', sort: 'created', groupBy: '' }
+].map(view => ({ ...view, tagFilter: '', builtIn: true }));
+
+const PRIORITY_GROUPS = Object.entries(TaskModel.PRIORITY_LABELS)
+    .map(([priority, label]) => `P${priority} · ${label}`);
+
+export class ViewModel {
+    /**
+     * Create a saved view from the current controls
+     * @param {string} name - View name
+     * @param {Object} state - { query, tagFilter, sort, groupBy }
+     * @returns {Object} View object
+     */
+    static createView(name, state) {
+        return {
+            id: TaskModel.generateId(),
+            name: name.trim(),
+            query: state.query || '',
+            tagFilter: state.tagFilter || '',
+            sort: state.sort || 'created',
+            groupBy: state.groupBy || '',
+            builtIn: false
+        };
+    }
+
+    /**
+     * Validate a view name
+     * @param {string} name - Proposed name
+     * @param {Array} views - Existing saved views
+     * @returns {Array} Array of error messages
+     */
+    static validateName(name, views) {
+        const errors = [];
+        const trimmed = (name || '').trim();
+
+        if (!trimmed) {
+            errors.push('View name is required');
+        } else if (trimmed.length > 50) {
+            errors.push('View name must be less than 50 characters');
+        } else if ([...BUILT_IN_VIEWS, ...views].some(view => view.name.toLowerCase() === trimmed.toLowerCase())) {
+            errors.push('A view with that name already exists');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Find the view whose settings match the current controls
+     * @param {Array} views - Views to search
+     * @param {Object} state - { query, tagFilter, sort, groupBy }
+     * @returns {Object|null} Matching view
+     */
+    static findMatchingView(views, state) {
+        return views.find(view =>
+            view.query === state.query &&
+            view.tagFilter === state.tagFilter &&
+            view.sort === state.sort &&
+            view.groupBy === state.groupBy
+        ) || null;
+    }
+
+    /**
+     * Filter tasks by a view's query and tag filter
+     * @param {Array} tasks - Array of tasks
+     * @param {Object} view - View (or current state) with query and tagFilter
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks (optional)
+     * @returns {Array} Matching tasks
+     */
+    static filterTasks(tasks, view, blockedIds = new Set()) {
+        let filtered = TaskModel.filterTasksByTag(tasks, view.tagFilter);
+        if (view.query) {
+            filtered = TaskQuery.filter(filtered, view.query, DateUtils.today(), blockedIds);
+        }
+        return filtered;
+    }
+
+    /**
+     * Count the tasks in each view
+     * @param {Array} tasks - Array of tasks
+     * @param {Array} views - Views to count
+     * @param {Set} blockedIds - IDs of tasks waiting on open tasks (optional)
+     * @returns {Object} Counts keyed by view id
+     */
+    static getCounts(tasks, views, blockedIds = new Set()) {
+        const counts = {};
+        views.forEach(view => {
+            counts[view.id] = this.filterTasks(tasks, view, blockedIds).length;
+        });
+        return counts;
+    }
+
+    /**
+     * Split sorted tasks into labelled groups
+     * @param {Array} tasks - Sorted tasks
+     * @param {string} groupBy - '', 'dueDate', 'tag' or 'priority'
+     * @returns {Array} Groups of { label, tasks }; a single unlabelled group when not grouping
+     */
+    static groupTasks(tasks, groupBy) {
+        if (!groupBy) return [{ label: '', tasks }];
+
+        const groups = new Map();
+        const add = (label, task) => {
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(task);
+        };
+
+        tasks.forEach(task => {
+            switch (groupBy) {
+                case 'tag':
+                    // A task appears under each of its tags
+                    if (task.tags.length === 0) add('No tag', task);
+                    task.tags.forEach(tag => add(tag, task));
+                    break;
+                case 'priority':
+                    add(PRIORITY_GROUPS[task.priority - 1], task);
+                    break;
+                case 'dueDate':
+                default:
+                    add(this.getDueGroup(task.dueDate), task);
+            }
+        });
+
+        const order = groupBy === 'dueDate'
+            ? ['Overdue', 'Today', 'Tomorrow', 'Next 7 days', 'Later', 'No date']
+            : groupBy === 'priority'
+                ? PRIORITY_GROUPS
+                : [...groups.keys()].sort((a, b) => (a === 'No tag') - (b === 'No tag') || a.localeCompare(b));
+
+        return order
+            .filter(label => groups.has(label))
+            .map(label => ({ label, tasks: groups.get(label) }));
+    }
+
+    /**
+     * Get the due date group label for a task
+     * @param {string} dueDate - Due date (YYYY-MM-DD)
+     * @returns {string} Group label
+     */
+    static getDueGroup(dueDate) {
+        if (!dueDate) return 'No date';
+
+        const today = DateUtils.today();
+        const todayString = DateUtils.toDateString(today);
+        if (dueDate < todayString) return 'Overdue';
+        if (dueDate === todayString) return 'Today';
+        if (dueDate === DateUtils.toDateString(DateUtils.addDays(today, 1))) return 'Tomorrow';
+        if (dueDate <= DateUtils.toDateString(DateUtils.addDays(today, 7))) return 'Next 7 days';
+        return 'Later';
+    }
+}
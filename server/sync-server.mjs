@@ -0,0 +1,465 @@
+#!/usr/bin/env node
+/**
+ * Reference sync server
+ *
+ * A small, dependency-free server for the app's sync API, for self-hosting or
+ * trying sync locally. It also serves the app itself, so one command gives a
+ * working setup:
+ *
+ *   node server/sync-server.mjs --port 8787 --data ./sync-data.json --token secret
+ *
+ * then open http://localhost:8787/ and connect to http://localhost:8787/api.
+ * PORT, HOST, SYNC_DATA and SYNC_TOKEN work in place of the options.
+ *
+ * The API only answers the app it serves: requests sent from other web pages
+ * are refused unless their origin is listed with --origin (or SYNC_ORIGINS,
+ * comma-separated), e.g. when the app is hosted somewhere else. Without a token
+ * the server only listens on localhost and only answers requests addressed to
+ * localhost, so a page can't reach it by pointing its own domain at 127.0.0.1.
+ *
+ * API (JSON; send "Authorization: Bearer <token>" when the server has one):
+ *
+ *   GET /api/tasks[?since=<cursor>]
+ *     Tasks changed after the cursor (everything without one):
+ *     200 { cursor, tasks: [task], deleted: [id] } with an ETag header.
+ *     Sending If-None-Match with the ETag that came with the cursor gets a
+ *     304 when nothing has changed. A cursor from before the server's data
+ *     was reset gets a 410; start again without one.
+ *
+ *   POST /api/tasks  { tasks: [task], deleted: [id] }
+ *     Store changed and deleted tasks: 200 { cursor, applied, stale: [id] }.
+ *     Each task needs an id (1-200 letters, digits, _ . @ or -) and updatedAt
+ *     (archived ones also archivedAt); a task older than the stored version
+ *     is left out and listed as stale, and the client should fetch it again.
+ *     Deletions are stamped with the server's time, so they beat older versions.
+ *
+ * The cursor is a revision number bumped by every stored change. All data is
+ * kept in memory and written to one JSON file after each change.
+ */
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { timingSafeEqual } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const APP_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+// The app's rule for ids it will render (TaskModel.isValidId)
+const ID_PATTERN = /^[\w.@-]{1,200}$/;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.md': 'text/markdown; charset=utf-8'
+};
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+// Sent only to the origins allowed with --origin, along with Access-Control-Allow-Origin
+const CORS_HEADERS = {
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+/**
+ * Error answered with an HTTP status
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} message - Error message for the client
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+/**
+ * Tasks and deletions, each stamped with the revision that last changed it
+ */
+class TaskStore {
+    /**
+     * @param {string} file - JSON file to keep the data in
+     */
+    constructor(file) {
+        this.file = file;
+        this.revision = 0;
+        // Task ids mapped to { task, deletedAt, revision }; deleted tasks keep a record with task null
+        this.records = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    /**
+     * Read the data file, starting empty if there isn't one
+     */
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw new Error(`Could not read ${this.file}: ${error.message}`);
+        }
+
+        this.revision = data.revision || 0;
+        (data.records || []).forEach(record => this.records.set(record.id, record));
+    }
+
+    /**
+     * Write the data file, one write at a time
+     * The file is replaced in one step, so a crash never leaves half of it.
+     * @returns {Promise} Resolves when written
+     */
+    save() {
+        const data = JSON.stringify({ revision: this.revision, records: [...this.records.values()] });
+        const write = this.pendingWrite.then(async () => {
+            const temporary = `${this.file}.tmp`;
+            await fs.writeFile(temporary, data);
+            await fs.rename(temporary, this.file);
+        });
+        this.pendingWrite = write.catch(() => {});
+        return write;
+    }
+
+    /**
+     * Get the ETag for the current revision
+     * @returns {string} Quoted ETag
+     */
+    getETag() {
+        return `"${this.revision}"`;
+    }
+
+    /**
+     * List what changed after a revision
+     * @param {number} since - Revision the client has (0 for everything)
+     * @returns {Object} { cursor, tasks, deleted }
+     */
+    getChanges(since) {
+        const changed = [...this.records.values()].filter(record => record.revision > since);
+        return {
+            cursor: String(this.revision),
+            tasks: changed.filter(record => record.task).map(record => record.task),
+            // A full download has nothing to delete
+            deleted: since > 0 ? changed.filter(record => !record.task).map(record => record.id) : []
+        };
+    }
+
+    /**
+     * Store pushed changes, keeping the newest version of each task
+     * @param {Object} changes - { tasks, deleted } from the client
+     * @param {Date} now - Time deletions are stamped with (defaults to now)
+     * @returns {Object} { applied, stale } where stale lists ids whose stored version is newer
+     */
+    apply({ tasks, deleted }, now = new Date()) {
+        const stale = [];
+        let applied = 0;
+
+        tasks.forEach(task => {
+            const record = this.records.get(task.id);
+            const version = getVersion(task);
+            const current = record ? (record.task ? getVersion(record.task) : record.deletedAt) : '';
+
+            if (version <= current) {
+                // The same version again (a retried push) isn't stale
+                if (!record.task || version < current) stale.push(task.id);
+                return;
+            }
+            this.records.set(task.id, { id: task.id, task, deletedAt: null, revision: ++this.revision });
+            applied++;
+        });
+
+        deleted.forEach(id => {
+            const record = this.records.get(id);
+            if (record && !record.task) return;
+            this.records.set(id, { id, task: null, deletedAt: now.toISOString(), revision: ++this.revision });
+            applied++;
+        });
+
+        return { applied, stale };
+    }
+}
+
+/**
+ * Get the version of a task: its updatedAt, or archivedAt once archived
+ * @param {Object} task - Task
+ * @returns {string} ISO timestamp
+ */
+function getVersion(task) {
+    const updatedAt = task.updatedAt || '';
+    return task.archivedAt && task.archivedAt > updatedAt ? task.archivedAt : updatedAt;
+}
+
+/**
+ * Check a pushed body
+ * @param {*} body - Parsed JSON
+ * @returns {Object} { tasks, deleted }
+ * @throws {HttpError} If it isn't a valid push
+ */
+function validatePush(body) {
+    if (!body || !Array.isArray(body.tasks) || !Array.isArray(body.deleted)) {
+        throw new HttpError(400, 'Expected { tasks: [...], deleted: [...] }');
+    }
+
+    const validId = id => typeof id === 'string' && ID_PATTERN.test(id);
+    body.tasks.forEach((task, index) => {
+        if (!task || typeof task !== 'object' || !validId(task.id)) {
+            throw new HttpError(400, `Task ${index + 1} has no valid id`);
+        }
+        if (typeof task.updatedAt !== 'string' || isNaN(new Date(task.updatedAt))) {
+            throw new HttpError(400, `Task ${task.id} has no valid updatedAt`);
+        }
+    });
+    if (!body.deleted.every(validId)) {
+        throw new HttpError(400, 'Deleted ids must be 1-200 letters, digits, _ . @ or -');
+    }
+
+    return { tasks: body.tasks, deleted: body.deleted };
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} request - Request
+ * @returns {Promise<*>} Parsed body
+ * @throws {HttpError} If it is too large or not JSON
+ */
+async function readJSON(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new HttpError(413, 'Request body is too large');
+        chunks.push(chunk);
+    }
+
+    try {
+        return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+}
+
+/**
+ * Check the bearer token, if the server has one
+ * @param {http.IncomingMessage} request - Request
+ * @param {string} token - Expected token (empty allows everyone)
+ * @returns {boolean} True if allowed
+ */
+function isAuthorized(request, token) {
+    if (!token) return true;
+
+    const match = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    const given = Buffer.from(match ? match[1] : '');
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Check where an API request comes from
+ * Browsers name the page's origin on every cross-site request, so one that
+ * isn't the app itself or an allowed origin is refused before anything is read
+ * or stored. Without a token, the Host header also has to be localhost.
+ * @param {http.IncomingMessage} request - Request
+ * @param {Array} origins - Other origins allowed to use the API
+ * @param {string} token - Access token (empty when the server has none)
+ * @returns {Object} CORS headers to answer with (empty for the app itself)
+ * @throws {HttpError} If the request is from somewhere else
+ */
+function checkOrigin(request, origins, token) {
+    const host = request.headers.host || '';
+    if (!token) {
+        let hostname = '';
+        try {
+            hostname = new URL(`http://${host}`).hostname;
+        } catch (error) {
+            // Not a host name at all, so not localhost either
+        }
+        if (!isLoopback(hostname)) {
+            throw new HttpError(403, 'Without a token the server only answers requests to localhost');
+        }
+    }
+
+    const origin = request.headers.origin;
+    if (!origin || origin === `http://${host}`) return {};
+    if (!origins.includes(origin)) throw new HttpError(403, 'Requests from other sites are not allowed');
+    return { ...CORS_HEADERS, 'Access-Control-Allow-Origin': origin, Vary: 'Origin' };
+}
+
+/**
+ * Check whether a host name only accepts connections from this machine
+ * @param {string} host - Host the server listens on
+ * @returns {boolean} True for localhost and the loopback addresses
+ */
+function isLoopback(host) {
+    return LOOPBACK_HOSTS.includes(host.toLowerCase());
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} response - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - Body to send (omitted for 304)
+ * @param {Object} headers - Extra headers
+ */
+function sendJSON(response, status, body, headers = {}) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store', ...headers });
+    response.end(status === 304 ? undefined : JSON.stringify(body));
+}
+
+/**
+ * Answer a request to the sync API
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {URL} url - Parsed request URL
+ * @param {TaskStore} store - Task store
+ * @param {string} token - Access token (empty allows everyone)
+ * @param {Object} cors - CORS headers from checkOrigin
+ */
+async function handleApi(request, response, url, store, token, cors) {
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, cors);
+        response.end();
+        return;
+    }
+    if (url.pathname !== '/api/tasks') throw new HttpError(404, 'Not found');
+    if (!isAuthorized(request, token)) throw new HttpError(401, 'Missing or wrong access token');
+
+    if (request.method === 'GET') {
+        const cursor = url.searchParams.get('since');
+        const since = cursor === null ? 0 : Number(cursor);
+        if (!Number.isInteger(since) || since < 0) throw new HttpError(400, 'since must be a cursor from an earlier response');
+        if (since > store.revision) throw new HttpError(410, 'The server has no changes after that cursor; fetch everything again');
+
+        const etag = store.getETag();
+        if (request.headers['if-none-match'] === etag && since === store.revision) {
+            sendJSON(response, 304, null, { ...cors, ETag: etag });
+            return;
+        }
+        sendJSON(response, 200, store.getChanges(since), { ...cors, ETag: etag });
+        return;
+    }
+
+    if (request.method === 'POST') {
+        const result = store.apply(validatePush(await readJSON(request)));
+        if (result.applied > 0) await store.save();
+        sendJSON(response, 200, { cursor: String(store.revision), ...result }, { ...cors, ETag: store.getETag() });
+        return;
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+}
+
+/**
+ * Serve a file of the app
+ * @param {http.IncomingMessage} request - Request
+ * @param {http.ServerResponse} response - Response
+ * @param {URL} url - Parsed request URL
+ * @param {string} dataFile - Data file, which is never served
+ */
+async function serveStatic(request, response, url, dataFile) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') throw new HttpError(405, 'Method not allowed');
+
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (error) {
+        throw new HttpError(400, 'Malformed URL');
+    }
+
+    const relative = pathname.replace(/^\/+/, '') || 'index.html';
+    const file = path.resolve(APP_ROOT, relative);
+    // Stay inside the app folder and keep out of .git and other dot-folders
+    if (!file.startsWith(APP_ROOT + path.sep) || relative.split('/').some(part => part.startsWith('.')) ||
+        file === dataFile || file === `${dataFile}.tmp`) {
+        throw new HttpError(404, 'Not found');
+    }
+
+    let content;
+    try {
+        content = await fs.readFile(file);
+    } catch (error) {
+        throw new HttpError(404, 'Not found');
+    }
+    response.writeHead(200, {
+        'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+        'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : content);
+}
+
+/**
+ * Start the server
+ * @param {Object} options - { port, host, data, token, origins }
+ * @returns {Promise<http.Server>} Listening server
+ * @throws {Error} If it would listen beyond localhost without a token
+ */
+export async function startServer({ port = 8787, host = 'localhost', data = 'sync-data.json', token = '', origins = [] } = {}) {
+    if (!token && !isLoopback(host)) {
+        throw new Error(`Set a token (--token or SYNC_TOKEN) to listen on ${host}; without one the server only listens on localhost`);
+    }
+
+    const dataFile = path.resolve(data);
+    const store = new TaskStore(dataFile);
+    await store.load();
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, 'http://localhost');
+        let cors = {};
+        try {
+            if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+                cors = checkOrigin(request, origins, token);
+                await handleApi(request, response, url, store, token, cors);
+            } else {
+                await serveStatic(request, response, url, dataFile);
+            }
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) console.error('Error handling request:', error);
+            if (!response.headersSent) {
+                sendJSON(response, status, { error: status === 500 ? 'Internal server error' : error.message }, cors);
+            } else {
+                response.end();
+            }
+        }
+    });
+
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, resolve);
+    });
+    console.log(`Sync server listening on http://${host}:${server.address().port} (data in ${dataFile}${token ? ', token required' : ''})`);
+    return server;
+}
+
+// Run directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const { values } = parseArgs({
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' },
+            data: { type: 'string' },
+            token: { type: 'string' },
+            origin: { type: 'string', multiple: true }
+        }
+    });
+
+    startServer({
+        port: Number(values.port || process.env.PORT || 8787),
+        host: values.host || process.env.HOST || 'localhost',
+        data: values.data || process.env.SYNC_DATA || 'sync-data.json',
+        token: values.token || process.env.SYNC_TOKEN || '',
+        origins: values.origin || (process.env.SYNC_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    }).catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,86 @@
+/**
+ * Service worker: keeps a copy of the app so it loads offline
+ *
+ * Every file the app needs is cached when the worker installs. When you deploy
+ * a change, bump CACHE_VERSION (and list any new files below) so browsers
+ * download the new version; open tabs then offer to reload into it.
+ */
+const CACHE_VERSION = 12;
+const CACHE_PREFIX = 'simple-todo-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icons.svg',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'js/app.js',
+    'js/appUpdates.js',
+    'js/archive.js',
+    'js/board.js',
+    'js/calendar.js',
+    'js/commandHistory.js',
+    'js/commands.js',
+    'js/dateUtils.js',
+    'js/encryption.js',
+    'js/icons.js',
+    'js/lists.js',
+    'js/markdown.js',
+    'js/migrations.js',
+    'js/quickAddParser.js',
+    'js/recurrence.js',
+    'js/reminders.js',
+    'js/serverSync.js',
+    'js/stats.js',
+    'js/storage.js',
+    'js/tabSync.js',
+    'js/taskModel.js',
+    'js/taskQuery.js',
+    'js/taskTransfer.js',
+    'js/timeTracking.js',
+    'js/uiRenderer.js',
+    'js/views.js'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache so a new version never precaches stale files
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// The page asks a waiting worker to take over once the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true }) ||
+            (request.mode === 'navigate' ? await cache.match('index.html') : undefined);
+        return cached || fetch(request);
+    })());
+});
@@ -0,0 +1,82 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { MIGRATIONS, SCHEMA_VERSION } from '../js/migrations.js';
+import { TaskStorage, LocalStorageBackend } from '../js/storage.js';
+
+// Just enough of the browser's localStorage for LocalStorageBackend
+class MemoryStorage {
+    constructor() { this.items = new Map(); }
+    getItem(key) { return this.items.has(key) ? this.items.get(key) : null; }
+    setItem(key, value) { this.items.set(key, String(value)); }
+    removeItem(key) { this.items.delete(key); }
+}
+
+beforeEach(() => {
+    globalThis.localStorage = new MemoryStorage();
+});
+
+const read = key => JSON.parse(localStorage.getItem(key));
+
+async function openStorage() {
+    const storage = new TaskStorage(new LocalStorageBackend());
+    await storage.init();
+    return storage;
+}
+
+test('there is one migration for each schema version, in order', () => {
+    assert.deepEqual(MIGRATIONS.map(migration => migration.version), Array.from({ length: SCHEMA_VERSION }, (_, i) => i + 1));
+});
+
+test('unstamped tasks are upgraded to the current schema', async () => {
+    localStorage.setItem('todo-tasks', JSON.stringify([
+        { id: 'a', text: 'Old', completed: false, dueDate: '2026-10-18', priority: 'high', priorityOverride: 2, createdAt: '2026-01-01T00:00:00.000Z' },
+        { id: 'b', text: 'Done', completed: true, createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-02-01T00:00:00.000Z' }
+    ]));
+
+    const tasks = await (await openStorage()).loadTasks();
+
+    assert.equal(Number(localStorage.getItem('todo-schema-version')), SCHEMA_VERSION);
+    assert.deepEqual(tasks.map(t => [t.id, t.priority, t.position, t.listId, t.status]), [
+        ['a', 2, 0, 'inbox', 'todo'],
+        ['b', 4, 1, 'inbox', 'done']
+    ]);
+    assert.equal(tasks[0].updatedAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(tasks[1].completedAt, '2026-02-01T00:00:00.000Z');
+    assert.deepEqual([tasks[0].subtasks, tasks[0].blockedBy, tasks[0].timeEntries, tasks[0].reminders], [[], [], [], []]);
+});
+
+test('tasks from the original app are imported once, without duplicates', async () => {
+    localStorage.setItem('todo-tasks', JSON.stringify([{ id: 'a', text: 'Kept', completed: false }]));
+    localStorage.setItem('simple-tasks', JSON.stringify([{ id: 'a', text: 'Duplicate' }, { id: 'c', text: 'Legacy', completed: false }]));
+
+    const tasks = await (await openStorage()).loadTasks();
+
+    assert.deepEqual(tasks.map(t => t.text), ['Kept', 'Legacy']);
+    assert.equal(localStorage.getItem('simple-tasks'), null);
+});
+
+test('only migrations newer than the stored version run, on tasks and the archive', async () => {
+    const done = { id: 'd', text: 'Done', completed: true, status: 'done', updatedAt: '2026-03-01T00:00:00.000Z', position: 5 };
+    localStorage.setItem('todo-tasks', JSON.stringify([done]));
+    localStorage.setItem('todo-archive', JSON.stringify([{ ...done, id: 'e', archivedAt: '2026-03-02T00:00:00.000Z' }]));
+    localStorage.setItem('todo-schema-version', '6');
+
+    const storage = await openStorage();
+    const [task] = await storage.loadTasks();
+    const [archived] = await storage.loadArchive();
+
+    assert.equal(task.completedAt, '2026-03-01T00:00:00.000Z');
+    assert.equal(task.position, 5);
+    assert.equal(archived.completedAt, '2026-03-01T00:00:00.000Z');
+    assert.deepEqual(archived.timeEntries, []);
+});
+
+test('data already at the current version is left alone', async () => {
+    const stored = [{ id: 'x', text: 'As saved' }];
+    localStorage.setItem('todo-tasks', JSON.stringify(stored));
+    localStorage.setItem('todo-schema-version', String(SCHEMA_VERSION));
+
+    await openStorage();
+
+    assert.deepEqual(read('todo-tasks'), stored);
+});
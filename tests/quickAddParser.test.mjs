@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuickAddParser } from '../js/quickAddParser.js';
+
+// A Sunday
+const today = new Date(2026, 9, 18);
+
+const parse = input => QuickAddParser.parse(input, today);
+
+test('parse takes the date, time, tags, priority and repeat rule out of the text', () => {
+    assert.deepEqual(parse('Send report tomorrow 3pm #work #Work !p1'), {
+        text: 'Send report',
+        dueDate: '2026-10-19',
+        dueTime: '15:00',
+        tags: ['#work'],
+        priority: 1,
+        recurrence: null
+    });
+});
+
+test('parse reads relative and named dates', () => {
+    assert.equal(parse('x today').dueDate, '2026-10-18');
+    assert.equal(parse('x in 3 days').dueDate, '2026-10-21');
+    assert.equal(parse('x in 2 weeks').dueDate, '2026-11-01');
+    assert.equal(parse('x next week').dueDate, '2026-10-19');
+    assert.equal(parse('x friday').dueDate, '2026-10-23');
+    assert.equal(parse('x next sunday').dueDate, '2026-10-25');
+    assert.equal(parse('x oct 20').dueDate, '2026-10-20');
+    assert.equal(parse('x 1st jan').dueDate, '2027-01-01');
+    assert.equal(parse('x 2026-12-24').dueDate, '2026-12-24');
+});
+
+test('parse leaves weekday abbreviations that are ordinary words in the text', () => {
+    assert.deepEqual([parse('Buy sun screen').text, parse('Buy sun screen').dueDate], ['Buy sun screen', '']);
+    assert.equal(parse('Call on fri').dueDate, '2026-10-23');
+});
+
+test('parse leaves dates and times that do not exist in the text', () => {
+    assert.deepEqual([parse('feb 30 thing').text, parse('feb 30 thing').dueDate], ['feb 30 thing', '']);
+    assert.deepEqual([parse('2026-02-30 x').text, parse('2026-02-30 x').dueDate], ['2026-02-30 x', '']);
+    assert.deepEqual([parse('call at 13pm').text, parse('call at 13pm').dueTime], ['call at 13pm', '']);
+});
+
+test('parse reads 12-hour, 24-hour and named times, dated today', () => {
+    assert.deepEqual([parse('x at 12am').dueTime, parse('x at 12am').dueDate], ['00:00', '2026-10-18']);
+    assert.equal(parse('x 9:30pm').dueTime, '21:30');
+    assert.equal(parse('x @ 17:05').dueTime, '17:05');
+    assert.equal(parse('x noon').dueTime, '12:00');
+});
+
+test('parse reads repeat rules and dates them on their first occurrence', () => {
+    assert.deepEqual(parse('Gym every mon, wed and fri').recurrence, { frequency: 'weekly', interval: 1, weekdays: [1, 3, 5] });
+    assert.equal(parse('Gym every mon, wed and fri').dueDate, '2026-10-19');
+    assert.deepEqual(parse('Rent every month on the 1st').recurrence, { frequency: 'monthly', interval: 1, dayOfMonth: 1 });
+    assert.equal(parse('Rent every month on the 1st').dueDate, '2026-11-01');
+    assert.deepEqual(parse('Water plants every 3 days').recurrence, { frequency: 'daily', interval: 3 });
+    assert.equal(parse('Water plants every 3 days').dueDate, '2026-10-18');
+    assert.equal(parse('Standup every weekday').dueDate, '2026-10-19');
+});
+
+test('parse reads priority names', () => {
+    assert.equal(parse('x !high').priority, 2);
+    assert.equal(parse('x !low').priority, 4);
+    assert.equal(parse('x !p9').priority, null);
+});
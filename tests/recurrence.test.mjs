@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Recurrence } from '../js/recurrence.js';
+import { TaskModel } from '../js/taskModel.js';
+
+const rule = (raw, dueDate) => Recurrence.normalize(raw, dueDate);
+
+test('getNextDueDate adds the interval for daily rules', () => {
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'daily', interval: 2 }), '2026-10-18'), '2026-10-20');
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'daily' }), '2026-12-31'), '2027-01-01');
+});
+
+test('getNextDueDate finds the next chosen weekday', () => {
+    const weekdays = rule({ frequency: 'weekly', weekdays: [1, 3, 5] });
+    assert.equal(Recurrence.getNextDueDate(weekdays, '2026-10-19'), '2026-10-21');
+    assert.equal(Recurrence.getNextDueDate(weekdays, '2026-10-23'), '2026-10-26');
+});
+
+test('getNextDueDate skips weeks for rules every N weeks', () => {
+    const fortnightly = rule({ frequency: 'weekly', interval: 2, weekdays: [1] });
+    assert.equal(Recurrence.getNextDueDate(fortnightly, '2026-10-19'), '2026-11-02');
+});
+
+test('getNextDueDate keeps the day of month, clamped to short months', () => {
+    const monthEnd = rule({ frequency: 'monthly', dayOfMonth: 31 });
+    assert.equal(Recurrence.getNextDueDate(monthEnd, '2026-01-31'), '2026-02-28');
+    assert.equal(Recurrence.getNextDueDate(monthEnd, '2026-02-28'), '2026-03-31');
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'monthly', interval: 3, dayOfMonth: 15 }), '2026-11-15'), '2027-02-15');
+});
+
+test('getNextDueDate ends the series at its count or end date', () => {
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'daily', count: 3, occurrence: 3 }), '2026-10-18'), null);
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'daily', count: 3, occurrence: 2 }), '2026-10-18'), '2026-10-19');
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'weekly', weekdays: [1], endDate: '2026-10-25' }), '2026-10-19'), null);
+    assert.equal(Recurrence.getNextDueDate(rule({ frequency: 'daily', endDate: '2026-10-19' }), '2026-10-18'), '2026-10-19');
+});
+
+test('normalize anchors missing weekdays and day of month on the due date', () => {
+    assert.deepEqual(rule({ frequency: 'weekly' }, '2026-10-21').weekdays, [3]);
+    assert.equal(rule({ frequency: 'monthly' }, '2026-10-21').dayOfMonth, 21);
+    assert.equal(rule({ frequency: 'yearly' }, '2026-10-21'), null);
+});
+
+test('validate reports unusable rules', () => {
+    assert.deepEqual(Recurrence.validate({ frequency: 'daily', interval: 1 }), []);
+    assert.deepEqual(Recurrence.validate('daily'), ['Invalid repeat rule']);
+    assert.deepEqual(Recurrence.validate({ frequency: 'weekly', weekdays: 'mon', interval: 0, endDate: '2026-02-30', count: -1 }), [
+        'Repeat weekdays must be a list',
+        'Repeat interval must be at least 1',
+        'Invalid repeat end date',
+        'Repeat count must be at least 1'
+    ]);
+});
+
+test('createNextOccurrence copies the task to its next due date and advances the count', () => {
+    const task = TaskModel.createTask('Report', '2026-10-23', '#work', {
+        dueTime: '09:00',
+        recurrence: { frequency: 'weekly', weekdays: [1, 5], count: 4 }
+    });
+    const next = TaskModel.createNextOccurrence(task);
+
+    assert.notEqual(next.id, task.id);
+    assert.equal(next.completed, false);
+    assert.deepEqual([next.text, next.dueDate, next.dueTime, next.tags], ['Report', '2026-10-26', '09:00', ['#work']]);
+    assert.equal(next.recurrence.occurrence, 2);
+    assert.equal(TaskModel.createNextOccurrence({ ...task, recurrence: { ...task.recurrence, occurrence: 4 } }), null);
+});
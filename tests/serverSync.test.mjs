@@ -0,0 +1,144 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { ServerSync } from '../js/serverSync.js';
+import { TaskModel } from '../js/taskModel.js';
+import { startServer } from '../server/sync-server.mjs';
+
+let directory;
+let server;
+let api;
+
+before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-sync-'));
+    server = await startServer({ port: 0, data: path.join(directory, 'data.json') });
+    api = `http://localhost:${server.address().port}/api`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+const task = (id, text, updatedAt) => ({ ...TaskModel.createTask(text), id, createdAt: updatedAt, updatedAt });
+
+async function push(body) {
+    const response = await fetch(`${api}/tasks`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    return response.json();
+}
+
+// A client syncing the given tasks, as a tab would
+function createClient(tasks, state = {}) {
+    const client = {
+        data: { tasks, archive: [] },
+        pulls: 0
+    };
+    client.sync = new ServerSync({ saveSyncState: async () => {}, loadSyncState: async () => null }, {
+        getData: () => client.data,
+        onChanges: (data) => {
+            client.data = data;
+            client.pulls++;
+        },
+        onStatus: () => {}
+    });
+    client.sync.state = { ...ServerSync.normalizeState(null), url: api, ...state };
+    return client;
+}
+
+test('changes made on one client reach another, and an unchanged pull gets a 304', async () => {
+    const first = createClient([task('shared-1', 'From first', '2026-10-18T10:00:00.000Z')]);
+    await first.sync.runCycle();
+    assert.deepEqual(first.sync.state.synced, { 'shared-1': '2026-10-18T10:00:00.000Z' });
+
+    const second = createClient([]);
+    await second.sync.runCycle();
+    assert.deepEqual(second.data.tasks.map(t => t.text), ['From first']);
+
+    second.data = { tasks: [], archive: [] };
+    await second.sync.runCycle();
+    await first.sync.runCycle();
+    assert.deepEqual(first.data.tasks, []);
+
+    const statuses = [];
+    const request = first.sync.request.bind(first.sync);
+    first.sync.request = async (...args) => {
+        const response = await request(...args);
+        statuses.push(response.status);
+        return response;
+    };
+    const pulls = first.pulls;
+    await first.sync.runCycle();
+    assert.deepEqual(statuses, [304]);
+    assert.equal(first.pulls, pulls);
+});
+
+test('a push the server has a newer version of is replaced by the server copy', async () => {
+    await push({ tasks: [task('stale-1', 'Theirs', '2026-10-18T12:00:00.000Z')], deleted: [] });
+
+    const client = createClient([task('stale-1', 'Mine', '2026-10-18T11:00:00.000Z')], { cursor: '0' });
+    await client.sync.runCycle();
+
+    assert.deepEqual(client.data.tasks.map(t => t.text), ['Theirs']);
+    assert.equal(client.sync.state.synced['stale-1'], '2026-10-18T12:00:00.000Z');
+    assert.deepEqual(ServerSync.getPending(client.data, client.sync.state.synced), { tasks: [], deleted: [] });
+});
+
+test('a stale push of a task deleted on the server removes it here', async () => {
+    await push({ tasks: [task('gone-1', 'Gone', '2026-10-18T09:00:00.000Z')], deleted: [] });
+    await push({ tasks: [], deleted: ['gone-1'] });
+
+    const client = createClient([task('gone-1', 'Edited', '2026-10-18T09:30:00.000Z')]);
+    await client.sync.runCycle();
+
+    assert.equal(client.data.tasks.some(t => t.id === 'gone-1'), false);
+    assert.equal(client.sync.state.synced['gone-1'], undefined);
+});
+
+test('a cursor the server does not know gets a 410 and a full download', async () => {
+    await push({ tasks: [task('full-1', 'Everything', '2026-10-18T08:00:00.000Z')], deleted: [] });
+    const client = createClient([], { cursor: '100000', etag: '"100000"' });
+    await client.sync.runCycle();
+
+    assert.ok(client.data.tasks.some(t => t.id === 'full-1'));
+    assert.notEqual(client.sync.state.cursor, '100000');
+});
+
+test('readDelta skips entries without a valid id and rejects anything that is not a delta', async () => {
+    const { sync } = createClient([]);
+    const delta = await sync.readDelta(new Response(JSON.stringify({
+        cursor: '3',
+        tasks: [{ id: '"><b>', text: 'x' }, null, { id: 'ok', text: 'Fine' }],
+        deleted: ['a b', 'old']
+    })));
+    assert.deepEqual(delta, { cursor: '3', tasks: [{ id: 'ok', text: 'Fine' }], deleted: ['old'] });
+
+    await assert.rejects(sync.readDelta(new Response('<html>')), { name: 'SyncError', reason: 'invalid-response' });
+    await assert.rejects(sync.readDelta(new Response('{"cursor":3,"tasks":[],"deleted":[]}')), { reason: 'invalid-response' });
+});
+
+test('normalizeRemote leaves out tasks the app would not accept', () => {
+    const tasks = ServerSync.normalizeRemote([
+        { id: 'a', text: 5 },
+        { id: 'b', text: 'Bad date', dueDate: '2026-02-30' },
+        { id: 'c', text: 'Archived', updatedAt: '2026-01-01T00:00:00.000Z', archivedAt: '2026-01-02T00:00:00.000Z' }
+    ]);
+    assert.deepEqual(tasks.map(t => [t.id, t.archivedAt, t.listId]), [['c', '2026-01-02T00:00:00.000Z', 'inbox']]);
+});
+
+test('applyRemote keeps newer local versions and deletions not yet pushed', () => {
+    const local = { tasks: [task('a', 'Mine', '2026-10-18T12:00:00.000Z')], archive: [] };
+    const synced = { a: '2026-10-18T10:00:00.000Z', b: '2026-10-18T10:00:00.000Z' };
+    const result = ServerSync.applyRemote(local, {
+        tasks: [task('a', 'Theirs', '2026-10-18T11:00:00.000Z'), task('b', 'Deleted here', '2026-10-18T11:00:00.000Z')],
+        deleted: []
+    }, synced);
+
+    assert.equal(result.changed, false);
+    assert.deepEqual(result.synced, { a: '2026-10-18T11:00:00.000Z', b: '2026-10-18T10:00:00.000Z' });
+});
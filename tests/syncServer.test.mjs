@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { startServer } from '../server/sync-server.mjs';
+
+let directory;
+
+before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'todo-server-'));
+});
+
+after(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+// Start a server for one test, closed again when the test ends
+async function serve(t, options = {}) {
+    const server = await startServer({ port: 0, data: path.join(directory, `${t.name.replace(/\W+/g, '-')}.json`), ...options });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    return server.address().port;
+}
+
+// Raw request, so Host and Origin can be set like a browser would
+function request(port, pathname, { method = 'GET', headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ port, path: pathname, method, headers }, response => {
+            let text = '';
+            response.on('data', chunk => text += chunk);
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                headers: response.headers,
+                body: text && response.headers['content-type'].startsWith('application/json') ? JSON.parse(text) : text
+            }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+const task = (id, updatedAt, extra = {}) => ({ id, text: id, updatedAt, ...extra });
+
+test('pushed tasks and deletions come back in deltas after a cursor', async (t) => {
+    const port = await serve(t);
+
+    const empty = await request(port, '/api/tasks');
+    assert.deepEqual(empty.body, { cursor: '0', tasks: [], deleted: [] });
+
+    const pushed = await request(port, '/api/tasks', { method: 'POST', body: { tasks: [task('a', '2026-10-18T10:00:00.000Z'), task('b', '2026-10-18T10:00:00.000Z')], deleted: [] } });
+    assert.deepEqual(pushed.body, { cursor: '2', applied: 2, stale: [] });
+
+    await request(port, '/api/tasks', { method: 'POST', body: { tasks: [], deleted: ['b'] } });
+    const delta = await request(port, '/api/tasks?since=2');
+    assert.deepEqual(delta.body, { cursor: '3', tasks: [], deleted: ['b'] });
+
+    const full = await request(port, '/api/tasks');
+    assert.deepEqual(full.body.tasks.map(t => t.id), ['a']);
+    assert.deepEqual(full.body.deleted, []);
+});
+
+test('older versions are stale and the same version again is not', async (t) => {
+    const port = await serve(t);
+    const push = tasks => request(port, '/api/tasks', { method: 'POST', body: { tasks, deleted: [] } });
+
+    await push([task('a', '2026-10-18T10:00:00.000Z')]);
+    assert.deepEqual((await push([task('a', '2026-10-18T10:00:00.000Z')])).body.stale, []);
+    assert.deepEqual((await push([task('a', '2026-10-18T09:00:00.000Z')])).body.stale, ['a']);
+
+    // An archived task's version is when it was archived
+    assert.deepEqual((await push([task('a', '2026-10-18T09:00:00.000Z', { archivedAt: '2026-10-18T11:00:00.000Z' })])).body,
+        { cursor: '2', applied: 1, stale: [] });
+});
+
+test('an unchanged pull gets a 304 and an unknown cursor a 410', async (t) => {
+    const port = await serve(t);
+    await request(port, '/api/tasks', { method: 'POST', body: { tasks: [task('a', '2026-10-18T10:00:00.000Z')], deleted: [] } });
+
+    const pulled = await request(port, '/api/tasks?since=1');
+    assert.equal(pulled.headers.etag, '"1"');
+    assert.equal((await request(port, '/api/tasks?since=1', { headers: { 'If-None-Match': '"1"' } })).status, 304);
+    assert.equal((await request(port, '/api/tasks?since=5')).status, 410);
+    assert.equal((await request(port, '/api/tasks?since=abc')).status, 400);
+});
+
+test('malformed pushes are refused', async (t) => {
+    const port = await serve(t);
+    const push = body => request(port, '/api/tasks', { method: 'POST', body });
+
+    assert.equal((await push({ tasks: [] })).status, 400);
+    assert.deepEqual((await push({ tasks: [task('<img>', '2026-10-18T10:00:00.000Z')], deleted: [] })).body, { error: 'Task 1 has no valid id' });
+    assert.deepEqual((await push({ tasks: [task('a', 'yesterday')], deleted: [] })).body, { error: 'Task a has no valid updatedAt' });
+    assert.equal((await push({ tasks: [], deleted: ['a b'] })).status, 400);
+    assert.equal((await request(port, '/api/tasks', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: undefined })).status, 400);
+    assert.equal((await request(port, '/api/tasks', { method: 'DELETE' })).status, 405);
+    assert.equal((await request(port, '/api/other')).status, 404);
+});
+
+test('a server with a token needs it on every API request', async (t) => {
+    const port = await serve(t, { token: 'secret' });
+
+    assert.equal((await request(port, '/api/tasks')).status, 401);
+    assert.equal((await request(port, '/api/tasks', { headers: { Authorization: 'Bearer wrong!' } })).status, 401);
+    assert.equal((await request(port, '/api/tasks', { headers: { Authorization: 'Bearer secret' } })).status, 200);
+});
+
+test('requests from other sites are refused unless their origin is allowed', async (t) => {
+    const port = await serve(t, { origins: ['https://app.example'] });
+
+    assert.equal((await request(port, '/api/tasks', { headers: { Origin: `http://localhost:${port}` } })).status, 200);
+
+    const other = await request(port, '/api/tasks', { method: 'POST', headers: { Origin: 'https://evil.example' }, body: { tasks: [], deleted: ['a'] } });
+    assert.equal(other.status, 403);
+    assert.equal(other.headers['access-control-allow-origin'], undefined);
+    assert.deepEqual((await request(port, '/api/tasks')).body.cursor, '0');
+
+    const allowed = await request(port, '/api/tasks', { method: 'OPTIONS', headers: { Origin: 'https://app.example' } });
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers['access-control-allow-origin'], 'https://app.example');
+});
+
+test('without a token only requests to localhost are answered', async (t) => {
+    const port = await serve(t);
+
+    assert.equal((await request(port, '/api/tasks', { headers: { Host: `evil.example:${port}` } })).status, 403);
+    assert.equal((await request(port, '/api/tasks', { headers: { Host: `127.0.0.1:${port}` } })).status, 200);
+    await assert.rejects(startServer({ port: 0, host: '0.0.0.0', data: path.join(directory, 'open.json') }), /Set a token/);
+});
+
+test('the app is served, but not dot-folders or paths outside it', async (t) => {
+    const port = await serve(t);
+
+    const index = await request(port, '/');
+    assert.equal(index.status, 200);
+    assert.match(index.headers['content-type'], /^text\/html/);
+    assert.equal((await request(port, '/js/app.js')).status, 200);
+    assert.equal((await request(port, '/.git/config')).status, 404);
+    assert.equal((await request(port, '/../package.json')).status, 404);
+    assert.equal((await request(port, '/%2e%2e/%2e%2e/etc/passwd')).status, 404);
+    assert.equal((await request(port, '/%E0%A4%A')).status, 400);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TabSync } from '../js/tabSync.js';
+
+const task = (id, text, updatedAt) => ({ id, text, updatedAt });
+
+// What the other tab sends after changing its copy of the list from before to after
+const messageFrom = (before, after) => ({ tasks: after, ...TabSync.diff(before, after) });
+
+test('diff lists added, edited and deleted tasks with the version they were based on', () => {
+    const before = [task('a', 'A', '1'), task('b', 'B', '1'), task('c', 'C', '1')];
+    const after = [task('a', 'A', '2'), task('b', 'B edited', '2'), task('d', 'D', '2')];
+
+    assert.deepEqual(TabSync.diff(before, after), {
+        changes: [{ id: 'b', baseUpdatedAt: '1' }, { id: 'd', baseUpdatedAt: null }],
+        deletions: [{ id: 'c', baseUpdatedAt: '1' }]
+    });
+});
+
+test('merge applies edits to different tasks from both tabs', () => {
+    const saved = [task('a', 'A', '1'), task('b', 'B', '1')];
+    const local = [task('a', 'A mine', '2'), task('b', 'B', '1')];
+    const theirs = [task('a', 'A', '1'), task('b', 'B theirs', '3')];
+
+    const result = TabSync.merge(local, messageFrom(saved, theirs));
+    assert.deepEqual(result.tasks.map(t => t.text).sort(), ['A mine', 'B theirs']);
+    assert.deepEqual(result.conflicts, []);
+    assert.equal(result.diverged, true);
+});
+
+test('merge keeps the newer of two concurrent edits and reports the conflict', () => {
+    const saved = [task('a', 'A', '2026-10-18T10:00:00.000Z')];
+    const local = [task('a', 'A mine', '2026-10-18T10:05:00.000Z')];
+    const theirs = [task('a', 'A theirs', '2026-10-18T10:01:00.000Z')];
+
+    const result = TabSync.merge(local, messageFrom(saved, theirs));
+    assert.deepEqual(result.tasks.map(t => t.text), ['A mine']);
+    assert.deepEqual(result.conflicts.map(t => t.id), ['a']);
+});
+
+test('merge takes a clean edit of the version this tab has', () => {
+    const saved = [task('a', 'A', '1')];
+    const theirs = [task('a', 'A theirs', '2')];
+
+    const result = TabSync.merge(saved, messageFrom(saved, theirs));
+    assert.equal(result.tasks[0], theirs[0]);
+    assert.equal(result.diverged, false);
+});
+
+test('merge keeps a task deleted in one tab but edited in the other', () => {
+    const saved = [task('a', 'A', '1')];
+
+    const deletedThere = TabSync.merge([task('a', 'A mine', '2')], messageFrom(saved, []));
+    assert.deepEqual(deletedThere.tasks.map(t => t.text), ['A mine']);
+    assert.deepEqual(deletedThere.conflicts.map(t => t.id), ['a']);
+
+    const deletedHere = TabSync.merge([], messageFrom(saved, [task('a', 'A theirs', '2')]), new Set(['a']));
+    assert.deepEqual(deletedHere.tasks.map(t => t.text), ['A theirs']);
+    assert.deepEqual(deletedHere.conflicts.map(t => t.id), ['a']);
+});
+
+test('merge drops deletions of unchanged tasks and doesn\'t bring back tasks deleted here', () => {
+    const saved = [task('a', 'A', '1'), task('b', 'B', '1')];
+
+    assert.deepEqual(TabSync.merge(saved, messageFrom(saved, [saved[1]])).tasks.map(t => t.id), ['b']);
+
+    const result = TabSync.merge([saved[1]], messageFrom(saved, saved), new Set(['a']));
+    assert.deepEqual(result.tasks.map(t => t.id), ['b']);
+    assert.equal(result.diverged, true);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskModel } from '../js/taskModel.js';
+
+test('parsePriority reads each priority label back as its own priority', () => {
+    for (const [priority, label] of Object.entries(TaskModel.PRIORITY_LABELS)) {
+        assert.equal(TaskModel.parsePriority(label), Number(priority), label);
+        assert.equal(TaskModel.parsePriority(label.toLowerCase()), Number(priority), label);
+    }
+});
+
+test('parsePriority reads numbers and P1-P4', () => {
+    assert.equal(TaskModel.parsePriority(2), 2);
+    assert.equal(TaskModel.parsePriority('p3'), 3);
+    assert.equal(TaskModel.parsePriority('P1'), 1);
+    assert.equal(TaskModel.parsePriority('p5'), null);
+    assert.equal(TaskModel.parsePriority('soon'), null);
+});
+
+test('validateTask requires tags to be a list of at most 10', () => {
+    assert.equal(TaskModel.validateTask({ text: 'Task', tags: ['#a', '#b'] }).isValid, true);
+    assert.deepEqual(TaskModel.validateTask({ text: 'Task', tags: '#a #b' }).errors, ['Tags must be a list']);
+    const tags = Array.from({ length: 11 }, (_, i) => `#t${i}`);
+    assert.deepEqual(TaskModel.validateTask({ text: 'Task', tags }).errors, ['Maximum 10 tags allowed']);
+});
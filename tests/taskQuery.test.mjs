@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskQuery } from '../js/taskQuery.js';
+import { TaskModel } from '../js/taskModel.js';
+
+const today = new Date(2026, 9, 18);
+const tasks = [
+    { ...TaskModel.createTask('Dated', '2026-10-20'), id: 'dated' },
+    { ...TaskModel.createTask('Undated'), id: 'undated' }
+];
+
+const search = query => TaskQuery.filter(tasks, query, today).map(task => task.id);
+
+test('an empty or half-typed due: value parses to an empty field term', () => {
+    for (const query of ['due:""', 'due:"']) {
+        assert.deepEqual(TaskQuery.parse(query), { type: 'field', field: 'due', value: '' }, query);
+    }
+});
+
+test('due: with an empty or half-typed value matches nothing instead of throwing', () => {
+    for (const query of ['due:""', 'due:"', 'due:', 'due:"" Dated', '-due:""']) {
+        assert.doesNotThrow(() => search(query), query);
+    }
+    assert.deepEqual(search('due:""'), []);
+    assert.deepEqual(search('due:"'), []);
+    assert.deepEqual(search('-due:""'), ['dated', 'undated']);
+});
+
+test('due: still understands dates and comparisons', () => {
+    assert.deepEqual(search('due:2026-10-20'), ['dated']);
+    assert.deepEqual(search('due:>today'), ['dated']);
+    assert.deepEqual(search('due:none'), ['undated']);
+    assert.deepEqual(search('due:<'), []);
+});
+
+const board = [
+    { ...TaskModel.createTask('Write report', '2026-10-17', '#work', { priority: 1, notes: 'Quarterly numbers' }), id: 'report' },
+    { ...TaskModel.createTask('Buy milk', '2026-10-22', '#home #shop'), id: 'milk' },
+    { ...TaskModel.createTask('Plan trip', '2026-10-27', '#home', { subtasks: [{ text: 'Book hotel' }] }), id: 'trip' },
+    { ...TaskModel.createTask('Call mom'), id: 'call', completed: true, status: 'done' }
+];
+
+const find = (query, blockedIds) => TaskQuery.filter(board, query, today, blockedIds).map(task => task.id);
+
+test('words match the text, tags, notes and subtasks', () => {
+    assert.deepEqual(find('quarterly'), ['report']);
+    assert.deepEqual(find('hotel'), ['trip']);
+    assert.deepEqual(find('shop'), ['milk']);
+    assert.deepEqual(find('"buy milk"'), ['milk']);
+    assert.deepEqual(find('"milk buy"'), []);
+});
+
+test('terms combine with AND, OR, NOT and parentheses', () => {
+    assert.deepEqual(find('tag:home milk'), ['milk']);
+    assert.deepEqual(find('tag:work OR tag:shop'), ['report', 'milk']);
+    assert.deepEqual(find('tag:home -milk'), ['trip']);
+    assert.deepEqual(find('NOT tag:home'), ['report', 'call']);
+    assert.deepEqual(find('(report OR milk) AND is:open'), ['report', 'milk']);
+    assert.deepEqual(find('tag:home AND (trip OR call)'), ['trip']);
+});
+
+test('stray parentheses are skipped', () => {
+    assert.deepEqual(find('milk)'), ['milk']);
+    assert.deepEqual(find('(milk'), ['milk']);
+});
+
+test('fields filter on priority, status and completion', () => {
+    assert.deepEqual(find('priority:p1'), ['report']);
+    assert.deepEqual(find('priority:urgent'), ['report']);
+    assert.deepEqual(find('is:done'), ['call']);
+    assert.deepEqual(find('status:todo'), ['report', 'milk', 'trip']);
+    assert.deepEqual(find('is:overdue'), ['report']);
+});
+
+test('is:blocked and is:actionable use the blocked ids', () => {
+    const blocked = new Set(['trip']);
+    assert.deepEqual(find('is:blocked', blocked), ['trip']);
+    assert.deepEqual(find('is:actionable', blocked), ['report', 'milk']);
+});
+
+test('due: understands week ranges and upcoming days', () => {
+    assert.deepEqual(find('due:overdue'), ['report']);
+    assert.deepEqual(find('due:this-week'), ['report']);
+    assert.deepEqual(find('due:next-week'), ['milk']);
+    assert.deepEqual(find('due:upcoming'), ['milk']);
+    assert.deepEqual(find('due:>=2026-10-22'), ['milk', 'trip']);
+    assert.deepEqual(find('due:<=yesterday'), ['report']);
+});
+
+test('getHighlightTerms returns the free-text terms that are not negated', () => {
+    assert.deepEqual(TaskQuery.getHighlightTerms(TaskQuery.parse('Milk tag:home -bread ("write report" OR x)')), ['milk', 'write report', 'x']);
+    assert.deepEqual(TaskQuery.getHighlightTerms(TaskQuery.parse('')), []);
+});
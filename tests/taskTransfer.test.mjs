@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskTransfer } from '../js/taskTransfer.js';
+import { TaskModel } from '../js/taskModel.js';
+import { ArchiveModel } from '../js/archive.js';
+
+function sampleTasks() {
+    const report = TaskModel.createTask('Send report, "final"', '2026-10-23', '#work #q4', {
+        dueTime: '09:30',
+        priority: 1,
+        notes: 'Line one\nLine two',
+        recurrence: { frequency: 'weekly', weekdays: [1, 5] },
+        reminders: [15],
+        subtasks: [{ text: 'Draft' }, { text: 'Review' }]
+    });
+    const done = TaskModel.createTask('Buy milk', '', '#home');
+    done.completed = true;
+    done.completedAt = '2026-10-17T08:00:00.000Z';
+    done.subtasks = [];
+    return [report, done];
+}
+
+const roundTrip = (tasks, format, backup) => TaskTransfer.importTasks(TaskTransfer.exportTasks(tasks, format, backup), format);
+
+test('JSON backups round-trip tasks, archived tasks and lists', () => {
+    const [task, done] = sampleTasks();
+    const archived = ArchiveModel.normalizeEntry({ ...done, archivedAt: '2026-10-18T00:00:00.000Z' });
+    const lists = [{ id: 'work', name: 'Work', color: '#3366ff', sort: '', tags: ['#work'] }];
+
+    const result = roundTrip([task], 'json', { archive: [archived], lists });
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(result.tasks, [task]);
+    assert.deepEqual(result.archive.map(t => [t.id, t.text, t.archivedAt]), [[done.id, 'Buy milk', '2026-10-18T00:00:00.000Z']]);
+    assert.deepEqual(result.lists, lists);
+});
+
+test('CSV round-trips the fields it has columns for', () => {
+    const tasks = sampleTasks();
+    const result = roundTrip(tasks, 'csv');
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(
+        result.tasks.map(t => [t.id, t.text, t.completed, t.dueDate, t.dueTime, t.tags, t.priority, t.completedAt, t.notes]),
+        tasks.map(t => [t.id, t.text, t.completed, t.dueDate, t.dueTime, t.tags, t.priority, t.completedAt, t.notes])
+    );
+});
+
+test('Markdown round-trips text, completion, due dates, tags, subtasks and notes', () => {
+    const tasks = sampleTasks();
+    const result = roundTrip(tasks, 'markdown');
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(
+        result.tasks.map(t => [t.text, t.completed, t.dueDate, t.tags, t.subtasks.map(s => s.text), t.notes]),
+        tasks.map(t => [t.text, t.completed, t.dueDate, t.tags, t.subtasks.map(s => s.text), t.notes])
+    );
+});
+
+test('iCalendar round-trips tasks with their repeat rule and reminders', () => {
+    const tasks = sampleTasks();
+    const result = roundTrip(tasks, 'ics');
+
+    assert.deepEqual(result.errors, []);
+    assert.deepEqual(
+        result.tasks.map(t => [t.id, t.text, t.completed, t.dueDate, t.dueTime, t.tags, t.priority, t.notes, t.reminders, t.recurrence]),
+        tasks.map(t => [t.id, t.text, t.completed, t.dueDate, t.dueTime, t.tags, t.priority, t.notes, t.reminders, t.recurrence])
+    );
+});
+
+test('iCalendar due times in UTC are imported in local time', () => {
+    const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VTODO\r\nUID:utc\r\nSUMMARY:Call\r\nDUE:20261018T233000Z\r\nEND:VTODO\r\nEND:VCALENDAR\r\n';
+    const due = new Date(Date.UTC(2026, 9, 18, 23, 30));
+    const [task] = TaskTransfer.importTasks(ics, 'ics').tasks;
+
+    assert.equal(task.dueDate, `${due.getFullYear()}-${String(due.getMonth() + 1).padStart(2, '0')}-${String(due.getDate()).padStart(2, '0')}`);
+    assert.equal(task.dueTime, `${String(due.getHours()).padStart(2, '0')}:${String(due.getMinutes()).padStart(2, '0')}`);
+});
+
+test('malformed rows are reported by row and the rest are imported', () => {
+    const json = JSON.stringify({
+        tasks: [
+            { id: 'ok', text: 'Fine' },
+            { id: 'no-text' },
+            { text: 'Bad date', dueDate: '2026-02-30' },
+            { text: 'String tags', tags: '#a' },
+            { text: 'Bad subtasks', subtasks: 'x' },
+            null
+        ]
+    });
+    const result = TaskTransfer.importTasks(json, 'json');
+
+    assert.deepEqual(result.tasks.map(t => t.id), ['ok']);
+    assert.deepEqual(result.errors.map(e => e.row), [2, 3, 4, 5, 6]);
+    assert.deepEqual(result.errors[1].errors, ['Invalid due date format']);
+    assert.deepEqual(result.errors[2].errors, ['Tags must be a list']);
+
+    const csv = TaskTransfer.importTasks('text,dueDate\nFine,2026-10-18\n,\nBad,tomorrow\n', 'csv');
+    assert.deepEqual(csv.tasks.map(t => t.text), ['Fine']);
+    assert.deepEqual(csv.errors, [{ row: 4, errors: ['Invalid due date format'] }]);
+});
+
+test('ids that are unsafe to render are replaced on import', () => {
+    const [task] = TaskTransfer.importTasks(JSON.stringify([{ id: '"><img src=x>', text: 'x' }]), 'json').tasks;
+    assert.equal(TaskModel.isValidId(task.id), true);
+});
+
+test('files that are not a task list are rejected', () => {
+    assert.throws(() => TaskTransfer.importTasks('{"tasks": 1}', 'json'), /does not contain a list of tasks/);
+    assert.throws(() => TaskTransfer.importTasks('name\nx\n', 'csv'), /needs a "text" column/);
+});